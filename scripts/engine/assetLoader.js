@@ -3,6 +3,8 @@
  * Handles loading and managing all game assets (images, audio, fonts, etc.)
  */
 
+import { isTiledSource, loadTiledMap } from './tiledLoader.js';
+
 export class AssetLoader {
     constructor() {
         // Asset storage
@@ -185,14 +187,21 @@ export class AssetLoader {
     }
     
     /**
-     * Load a level module
+     * Load a level module or Tiled map (.tmx or .json)
      * @param {string} id - Unique identifier for the level
-     * @param {string} src - Source path for the level module
+     * @param {string} src - Source path for the level module or map
      */
     loadLevel(id, src) {
-        import(/* webpackIgnore: true */ `/${src}`)
-            .then(module => {
-                this.levels[id] = module.default;
+        // Add leading slash for Vite
+        const normalizedSrc = src.startsWith('/') ? src : '/' + src;
+        
+        const levelRequest = isTiledSource(normalizedSrc) ?
+            loadTiledMap(normalizedSrc) :
+            import(/* webpackIgnore: true */ normalizedSrc).then(module => module.default);
+        
+        levelRequest
+            .then(level => {
+                this.levels[id] = level;
                 this.assetLoaded();
             })
             .catch(error => {
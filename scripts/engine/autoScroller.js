@@ -0,0 +1,251 @@
+/**
+ * Auto Scroller
+ * Moves the camera along a fixed path for auto-scrolling levels
+ *
+ * Levels opt in with `autoScroll` (see levelParser.js), e.g.
+ * {
+ *     speed: 60,
+ *     waypoints: [{ x: 0, y: 0 }, { x: 1600, y: 0, speed: 90 }, { x: 2560, y: 0 }]
+ * }
+ * Waypoints are positions of the camera's top-left corner. The camera travels from
+ * each waypoint to the next at that waypoint's speed and stops at the last one.
+ * The player is pushed along by the trailing edge of the view, crushed if something
+ * solid pins them against it, and held back at the leading edge. Entities ahead of
+ * the view stay inactive until it reaches them.
+ */
+
+import { TILE_FLAGS } from './tileCollisionMap.js';
+
+const WAKE_MARGIN = 64; // Pixels beyond the view where dormant entities wake up
+const SKIP_STEP = 16; // Pixels per step when skipping ahead to the player
+
+export class AutoScroller {
+    constructor(game) {
+        this.game = game;
+
+        // Path state
+        this.active = false;
+        this.waypoints = [];
+        this.segment = 0; // Index of the waypoint the camera is travelling away from
+        this.position = { x: 0, y: 0 };
+
+        // Entities waiting for the view to reach them
+        this.dormant = new Set();
+
+        // Bind methods
+        this.start = this.start.bind(this);
+        this.stop = this.stop.bind(this);
+        this.update = this.update.bind(this);
+        this.advance = this.advance.bind(this);
+        this.isInView = this.isInView.bind(this);
+    }
+
+    /**
+     * Start scrolling along a path
+     * @param {Object} autoScroll - Normalized auto-scroll path, { waypoints: [{ x, y, speed }] }
+     * @param {Object} [focus] - Entity to start with in view, e.g. a player respawning at a checkpoint
+     */
+    start(autoScroll, focus = null) {
+        this.waypoints = autoScroll.waypoints;
+        this.segment = 0;
+        this.position = { x: this.waypoints[0].x, y: this.waypoints[0].y };
+        this.active = true;
+
+        // Skip along the path until the focus is no longer ahead of the middle of the view
+        if (focus) {
+            while (this.isAhead(focus) && this.advance(SKIP_STEP)) {
+                // Keep skipping
+            }
+        }
+
+        this.game.renderer.followTarget(null);
+        this.applyCamera();
+
+        // Everything outside the view waits for it, except the player
+        const entityManager = this.game.entityManager;
+        this.dormant = new Set([...entityManager.entities, ...entityManager.entitiesToAdd]
+            .filter(entity => entity.type !== 'player' && entity.active && !this.isInView(entity)));
+
+        this.dormant.forEach(entity => {
+            entity.active = false;
+        });
+    }
+
+    /**
+     * Stop scrolling and wake any entities still waiting
+     */
+    stop() {
+        this.dormant.forEach(entity => {
+            entity.active = true;
+        });
+
+        this.active = false;
+        this.dormant = new Set();
+    }
+
+    /**
+     * Get the direction the camera is travelling in
+     * @returns {Object} - { x, y } unit direction, zero once the path has ended
+     */
+    getDirection() {
+        const from = this.position;
+        const to = this.waypoints[this.segment + 1];
+        if (!to) return { x: 0, y: 0 };
+
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+
+        return { x: dx / length, y: dy / length };
+    }
+
+    /**
+     * Move the camera along the path, carrying leftover distance past waypoints
+     * @param {number} distance - Distance to move in pixels
+     * @returns {boolean} - Whether the camera moved, false once the path has ended
+     */
+    advance(distance) {
+        let moved = false;
+
+        while (distance > 0 && this.segment < this.waypoints.length - 1) {
+            const target = this.waypoints[this.segment + 1];
+            const dx = target.x - this.position.x;
+            const dy = target.y - this.position.y;
+            const remaining = Math.hypot(dx, dy);
+
+            if (remaining > distance) {
+                this.position.x += dx / remaining * distance;
+                this.position.y += dy / remaining * distance;
+                distance = 0;
+            } else {
+                this.position.x = target.x;
+                this.position.y = target.y;
+                distance -= remaining;
+                this.segment++;
+            }
+
+            moved = true;
+        }
+
+        return moved;
+    }
+
+    /**
+     * Check whether an entity is ahead of the middle of the view along the path
+     * @param {Object} entity - Entity to check
+     * @returns {boolean} - Whether the view would have to scroll on to center it
+     */
+    isAhead(entity) {
+        const camera = this.game.renderer.camera;
+        const direction = this.getDirection();
+        const dx = entity.x + entity.width / 2 - (this.position.x + camera.width / 2);
+        const dy = entity.y + entity.height / 2 - (this.position.y + camera.height / 2);
+
+        return dx * direction.x + dy * direction.y > 0;
+    }
+
+    /**
+     * Check whether an entity is within reach of the view
+     * @param {Object} entity - Entity to check
+     * @returns {boolean} - Whether it overlaps the view grown by the wake margin
+     */
+    isInView(entity) {
+        const camera = this.game.renderer.camera;
+
+        return (
+            entity.x + entity.width > camera.x - WAKE_MARGIN &&
+            entity.x < camera.x + camera.width + WAKE_MARGIN &&
+            entity.y + entity.height > camera.y - WAKE_MARGIN &&
+            entity.y < camera.y + camera.height + WAKE_MARGIN
+        );
+    }
+
+    /**
+     * Move the camera to the current path position, within the camera bounds
+     */
+    applyCamera() {
+        const camera = this.game.renderer.camera;
+        const bounds = camera.bounds;
+
+        camera.x = Math.max(bounds.left, Math.min(this.position.x, bounds.right - camera.width));
+        camera.y = Math.max(bounds.top, Math.min(this.position.y, bounds.bottom - camera.height));
+    }
+
+    /**
+     * Update the scroll
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+
+        const player = this.game.gameManager.player;
+        if (player && (player.state === 'dead' || player.state === 'warping')) return;
+
+        const waypoint = this.waypoints[this.segment];
+        this.advance(waypoint.speed * deltaTime);
+        this.applyCamera();
+
+        if (player) {
+            this.keepPlayerInView(player);
+        }
+
+        // Wake entities the view has reached
+        this.dormant.forEach(entity => {
+            if (this.isInView(entity)) {
+                entity.active = true;
+                this.dormant.delete(entity);
+            }
+        });
+    }
+
+    /**
+     * Keep the player inside the view
+     * The trailing edge pushes the player along and crushes them against anything solid;
+     * the leading edge just holds them back. Dropping out of the bottom while scrolling up
+     * is a fall.
+     * @param {Object} player - Player entity
+     */
+    keepPlayerInView(player) {
+        const camera = this.game.renderer.camera;
+        const direction = this.getDirection();
+        let pushed = false;
+
+        if (player.x < camera.x) {
+            player.x = camera.x;
+            pushed = direction.x > 0;
+        } else if (player.x + player.width > camera.x + camera.width) {
+            player.x = camera.x + camera.width - player.width;
+            pushed = direction.x < 0;
+        }
+
+        if (direction.y > 0 && player.y < camera.y) {
+            player.y = camera.y;
+            pushed = true;
+        } else if (direction.y < 0 && player.y > camera.y + camera.height) {
+            player.touchHazard({ hazardType: 'killZone' });
+            return;
+        }
+
+        player.updateCollider();
+
+        if (pushed && this.isPinned(player)) {
+            player.touchHazard({ hazardType: 'crush' });
+        }
+    }
+
+    /**
+     * Check whether the player has been pushed into solid level geometry
+     * @param {Object} player - Player entity
+     * @returns {boolean} - Whether the player's collider overlaps a solid cell
+     */
+    isPinned(player) {
+        const physics = this.game.physics;
+        if (!physics.tileMap) return false;
+
+        const collider = player.collider;
+
+        return physics.tileMap
+            .queryRects(collider.x, collider.y, collider.width, collider.height, TILE_FLAGS.SOLID)
+            .some(rect => physics.checkCollision(collider, rect));
+    }
+}
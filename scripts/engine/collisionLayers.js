@@ -0,0 +1,125 @@
+/**
+ * Collision Layers
+ * The one registry of collision layers, shared by Physics, the tile collision map and entities
+ *
+ * Every collider and entity sits on one layer (collisionLayer) and has a mask of the layers
+ * it collides with (collisionMask). Masks come from COLLISION_MATRIX unless set by hand, so
+ * both sides of a pair agree. Entities that touch each other get a callback named for the
+ * pair of layers, e.g. Player.onPlayerEnemy(enemy, contact); see getPairCallbackName().
+ */
+
+export const COLLISION_LAYERS = {
+    NONE: 0, // Never collides, e.g. particles and floating text
+    DEFAULT: 0x0001, // Plain physics objects
+    PLAYER: 0x0002,
+    ENEMY: 0x0004,
+    PLATFORM: 0x0008, // Level geometry and moving platforms
+    ITEM: 0x0010, // Coins and powerups
+    PROJECTILE: 0x0020,
+    TRIGGER: 0x0040, // Checkpoints, goals and warps
+    HAZARD: 0x0080, // Saw blades and kill zones
+    BLOCK: 0x0100 // Blocks and bricks the player can bump
+};
+
+// Masks for common groups of layers
+export const COLLISION_MASKS = {
+    TERRAIN: COLLISION_LAYERS.PLATFORM | COLLISION_LAYERS.BLOCK // What things stand on and walk into
+};
+
+// Which layers collide with which. Each pair only needs listing under one of its two layers;
+// getCollisionMask() adds the other direction.
+export const COLLISION_MATRIX = {
+    DEFAULT: ['DEFAULT', 'PLATFORM', 'BLOCK'],
+    PLAYER: ['PLATFORM', 'BLOCK', 'ENEMY', 'ITEM', 'TRIGGER', 'HAZARD', 'PROJECTILE'],
+    ENEMY: ['PLATFORM', 'BLOCK', 'ENEMY', 'PROJECTILE'],
+    ITEM: ['PLATFORM', 'BLOCK'],
+    PROJECTILE: ['PLATFORM', 'BLOCK']
+};
+
+/**
+ * Get the name of a layer
+ * @param {number} layer - Layer bit
+ * @returns {string|null} - Name in COLLISION_LAYERS, e.g. 'PLAYER', or null if it isn't registered
+ */
+export function getLayerName(layer) {
+    const name = Object.keys(COLLISION_LAYERS).find(key => COLLISION_LAYERS[key] === layer);
+    return name || null;
+}
+
+/**
+ * Get the layers a layer collides with, from the collision matrix
+ * @param {number} layer - Layer bit
+ * @returns {number} - Collision mask, 0 for unregistered layers
+ */
+export function getCollisionMask(layer) {
+    const name = getLayerName(layer);
+    if (!name) return 0;
+
+    let mask = 0;
+
+    Object.entries(COLLISION_MATRIX).forEach(([rowName, others]) => {
+        if (rowName === name) {
+            others.forEach(other => {
+                mask |= COLLISION_LAYERS[other];
+            });
+        } else if (others.includes(name)) {
+            mask |= COLLISION_LAYERS[rowName];
+        }
+    });
+
+    return mask;
+}
+
+/**
+ * Get the name of the callback an entity on one layer gets for touching one on another
+ * @param {number} layer - Layer bit of the entity getting the callback
+ * @param {number} otherLayer - Layer bit of the entity it touched
+ * @returns {string|null} - Method name, e.g. 'onPlayerEnemy', or null if either layer isn't registered
+ */
+export function getPairCallbackName(layer, otherLayer) {
+    const name = getLayerName(layer);
+    const otherName = getLayerName(otherLayer);
+    if (!name || !otherName) return null;
+
+    return `on${capitalize(name)}${capitalize(otherName)}`;
+}
+
+/**
+ * Check an entity's or collider's layer and mask against the registry
+ * @param {Object} collider - Entity or collider with collisionLayer and collisionMask
+ * @returns {Array} - Problems found, as messages; empty when the setup is fine
+ */
+export function checkCollisionSetup(collider) {
+    const { collisionLayer, collisionMask } = collider;
+    const problems = [];
+
+    if (!getLayerName(collisionLayer)) {
+        problems.push(`collision layer 0x${collisionLayer.toString(16)} isn't a registered layer`);
+        return problems;
+    }
+
+    const registered = Object.values(COLLISION_LAYERS).reduce((all, layer) => all | layer, 0);
+    if (collisionMask & ~registered) {
+        problems.push(`collision mask 0x${collisionMask.toString(16)} has unregistered layers`);
+    }
+
+    // Colliding with a layer that doesn't collide back only works from one side
+    Object.keys(COLLISION_LAYERS).forEach(name => {
+        const layer = COLLISION_LAYERS[name];
+
+        if ((collisionMask & layer) && !(getCollisionMask(layer) & collisionLayer)) {
+            problems.push(`${getLayerName(collisionLayer)} collides with ${name}, but ${name} doesn't collide with ${getLayerName(collisionLayer)}`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Turn a layer name into the form used in callback names
+ * @param {string} name - Layer name, e.g. 'PLAYER'
+ * @returns {string} - e.g. 'Player'
+ */
+function capitalize(name) {
+    return name.charAt(0) + name.slice(1).toLowerCase();
+}
@@ -3,6 +3,12 @@
  * Manages all game entities, including creation, updating, and removal
  */
 
+import { SpatialHash } from './spatialHash.js';
+import { getPairCallbackName } from './collisionLayers.js';
+
+// Entities that moved further than this in one tick jumped (warps, respawns) and aren't interpolated
+const TELEPORT_DISTANCE = 64;
+
 export class EntityManager {
     constructor(game) {
         this.game = game;
@@ -11,9 +17,16 @@ export class EntityManager {
         this.entitiesToRemove = [];
         this.entityTypes = {}; // For quick filtering by type
         
+        // Broadphase for entity collisions, kept up to date by checkCollisions()
+        this.broadphase = new SpatialHash(64);
+        
         // Bind methods
         this.update = this.update.bind(this);
         this.render = this.render.bind(this);
+        this.savePreviousState = this.savePreviousState.bind(this);
+        this.checkCollisions = this.checkCollisions.bind(this);
+        this.dispatchContact = this.dispatchContact.bind(this);
+        this.notifyPair = this.notifyPair.bind(this);
         this.addEntity = this.addEntity.bind(this);
         this.removeEntity = this.removeEntity.bind(this);
         this.clearEntities = this.clearEntities.bind(this);
@@ -49,6 +62,9 @@ export class EntityManager {
             }
         }
         
+        // Let entities that ended up touching react to each other
+        this.checkCollisions();
+        
         // Process entities to remove
         if (this.entitiesToRemove.length > 0) {
             // Remove from type mapping
@@ -62,24 +78,112 @@ export class EntityManager {
             });
             
             // Remove from main entities array
+            this.entitiesToRemove.forEach(entity => this.broadphase.remove(entity));
             this.entities = this.entities.filter(entity => !this.entitiesToRemove.includes(entity));
             this.entitiesToRemove = [];
         }
     }
     
+    /**
+     * Dispatch collisions between touching entities
+     * Each entity whose collision mask includes the other's layer gets the callback named
+     * for the pair (see getPairCallbackName), e.g. the player's onPlayerEnemy, with a
+     * contact from its own point of view. Entities without that callback ignore the touch.
+     */
+    checkCollisions() {
+        const physics = this.game.physics;
+        const colliding = this.entities.filter(entity => entity.active && entity.collider && entity.collisionLayer);
+        
+        colliding.forEach(entity => this.broadphase.update(entity));
+        
+        for (const entity of colliding) {
+            if (!entity.collisionMask) continue;
+            
+            for (const other of this.broadphase.query(entity.x, entity.y, entity.width, entity.height)) {
+                // Callbacks can defeat or collect either entity part way through
+                if (!entity.active) break;
+                if (other === entity || !other.active || !(entity.collisionMask & other.collisionLayer)) continue;
+                if (!physics.checkCollision(entity.collider, other.collider)) continue;
+                
+                const contact = physics.getContact(entity.collider, other.collider);
+                contact.other = other;
+                this.notifyPair(entity, other, contact);
+            }
+        }
+    }
+    
+    /**
+     * Dispatch a touch between an entity and one it ran into while moving (see Entity.move)
+     * Both get their pair callback, as in checkCollisions(), with contacts from their own point of view
+     * @param {Object} entity - The entity that moved
+     * @param {Object} other - The entity it ran into
+     * @param {Object} contact - Contact for the entity that moved, see Physics
+     */
+    dispatchContact(entity, other, contact) {
+        this.notifyPair(entity, other, { ...contact, other });
+        this.notifyPair(other, entity, this.game.physics.reverseContact(contact, entity));
+    }
+    
+    /**
+     * Call the pair callback an entity has for touching another, if any
+     * @param {Object} entity - The entity getting the callback
+     * @param {Object} other - The entity it touched
+     * @param {Object} contact - Contact for the entity getting the callback
+     */
+    notifyPair(entity, other, contact) {
+        if (!entity.active || !(entity.collisionMask & other.collisionLayer)) return;
+        
+        const callback = entity[getPairCallbackName(entity.collisionLayer, other.collisionLayer)];
+        if (callback) {
+            callback.call(entity, other, contact);
+        }
+    }
+    
+    /**
+     * Remember where every entity is before a simulation tick
+     * Colliders remember too, so moves are swept against moving platforms by how far they moved
+     */
+    savePreviousState() {
+        for (let i = 0; i < this.entities.length; i++) {
+            const entity = this.entities[i];
+            entity.previousX = entity.x;
+            entity.previousY = entity.y;
+            
+            if (entity.collider) {
+                entity.collider.prevX = entity.collider.x;
+                entity.collider.prevY = entity.collider.y;
+            }
+        }
+    }
+    
     /**
      * Render all entities
+     * @param {number} [alpha] - How far the frame is between the previous and current tick, 0 to 1;
+     *     entities are drawn that far between their positions at the two ticks
      */
-    render() {
+    render(alpha = 1) {
         // Sort entities by z-index for proper layering
         const sortedEntities = [...this.entities].sort((a, b) => a.zIndex - b.zIndex);
         
         // Render only entities that are visible on screen
         for (let i = 0; i < sortedEntities.length; i++) {
             const entity = sortedEntities[i];
-            if (entity.active && this.game.renderer.isVisible(entity)) {
-                entity.render(this.game.renderer);
+            if (!entity.active || !this.game.renderer.isVisible(entity)) continue;
+            
+            // Draw at the interpolated position, then put the simulated one back
+            const { x, y } = entity;
+            const interpolate = entity.previousX !== undefined &&
+                Math.abs(x - entity.previousX) + Math.abs(y - entity.previousY) <= TELEPORT_DISTANCE;
+            
+            if (interpolate) {
+                entity.x = entity.previousX + (x - entity.previousX) * alpha;
+                entity.y = entity.previousY + (y - entity.previousY) * alpha;
             }
+            
+            entity.render(this.game.renderer);
+            
+            entity.x = x;
+            entity.y = y;
         }
     }
     
@@ -90,6 +194,12 @@ export class EntityManager {
     addEntity(entity) {
         // Add to pending list to avoid modifying array during update
         this.entitiesToAdd.push(entity);
+        
+        // Level geometry goes straight into physics, so nothing passes through it in the meantime
+        if (entity.collider && entity.collider.isStatic) {
+            this.game.physics.addCollider(entity.collider);
+        }
+        
         return entity;
     }
     
@@ -100,16 +210,28 @@ export class EntityManager {
     removeEntity(entity) {
         // Add to pending list to avoid modifying array during update
         this.entitiesToRemove.push(entity);
+        
+        // Broken blocks stop blocking straight away
+        if (entity.collider && entity.collider.isStatic) {
+            this.game.physics.removeCollider(entity.collider);
+        }
     }
     
     /**
      * Clear all entities
      */
     clearEntities() {
+        [...this.entities, ...this.entitiesToAdd].forEach(entity => {
+            if (entity.collider && entity.collider.isStatic) {
+                this.game.physics.removeCollider(entity.collider);
+            }
+        });
+        
         this.entities = [];
         this.entitiesToAdd = [];
         this.entitiesToRemove = [];
         this.entityTypes = {};
+        this.broadphase.clear();
     }
     
     /**
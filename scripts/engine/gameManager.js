@@ -4,13 +4,16 @@
  */
 
 import { Player } from '../entities/player.js';
+import { getLevelById, getLevelByIndex, getLevelIndexById, onLevelUpdate } from '../levels/index.js';
+import { MAIN_AREA_ID } from './levelParser.js';
+import { createRandom } from './random.js';
 
 export class GameManager {
     constructor(game) {
         this.game = game;
         
         // Game state
-        this.currentState = 'loading'; // loading, menu, playing, paused, gameOver, levelComplete, gameComplete
+        this.currentState = 'loading'; // loading, menu, editor, overworld, playing, paused, gameOver, levelComplete, gameComplete
         this.score = 0;
         this.lives = 3;
         this.coins = 0;
@@ -24,8 +27,13 @@ export class GameManager {
         // Player reference
         this.player = null;
         
+        // Camera section the player is in, and whether a trigger has locked the camera
+        this.cameraSection = null;
+        this.cameraLocked = false;
+        
         // Level completion tracking
         this.completedLevels = {};
+        this.completedExits = {}; // Exits each level was finished through, e.g. { '1-2': ['normal', 'secret'] }
         this.checkpoints = {};
         
         // Game statistics
@@ -46,8 +54,15 @@ export class GameManager {
         this.resumeGame = this.resumeGame.bind(this);
         this.gameOver = this.gameOver.bind(this);
         this.levelComplete = this.levelComplete.bind(this);
+        this.hasTakenExit = this.hasTakenExit.bind(this);
+        this.showOverworld = this.showOverworld.bind(this);
         this.loadLevel = this.loadLevel.bind(this);
+        this.startLevel = this.startLevel.bind(this);
+        this.reloadLevel = this.reloadLevel.bind(this);
+        this.handleLevelUpdate = this.handleLevelUpdate.bind(this);
         this.restartLevel = this.restartLevel.bind(this);
+        this.unloadLevel = this.unloadLevel.bind(this);
+        this.warpTo = this.warpTo.bind(this);
         this.addScore = this.addScore.bind(this);
         this.addCoin = this.addCoin.bind(this);
         this.addLife = this.addLife.bind(this);
@@ -70,6 +85,9 @@ export class GameManager {
         
         // Generate level select buttons
         this.generateLevelSelectButtons();
+        
+        // Pick up level edits from the dev server
+        onLevelUpdate(this.handleLevelUpdate);
     }
     
     /**
@@ -229,6 +247,7 @@ export class GameManager {
     
     /**
      * Generate level select buttons based on completed levels
+     * Levels unlock the same way as on the overworld map
      */
     generateLevelSelectButtons() {
         const levelGrid = document.getElementById('level-grid');
@@ -237,28 +256,24 @@ export class GameManager {
         // Clear existing buttons
         levelGrid.innerHTML = '';
         
-        // Create buttons for each level
-        for (let world = 1; world <= 3; world++) {
-            for (let stage = 1; stage <= 3; stage++) {
-                const levelId = `${world}-${stage}`;
-                const isCompleted = this.completedLevels[levelId];
-                const isUnlocked = world === 1 && stage === 1 || // First level is always unlocked
-                                  this.completedLevels[`${world}-${stage-1}`] || // Previous stage completed
-                                  (stage === 1 && this.completedLevels[`${world-1}-3`]); // Last stage of previous world completed
-                
-                const levelButton = document.createElement('button');
-                levelButton.className = `level-button ${isCompleted ? 'completed' : ''} ${!isUnlocked ? 'locked' : ''}`;
-                levelButton.textContent = levelId;
-                
-                if (isUnlocked) {
-                    levelButton.addEventListener('click', () => {
-                        this.loadLevel(world, stage);
-                    });
-                }
-                
-                levelGrid.appendChild(levelButton);
+        // Create buttons for each level on the map
+        this.game.overworld.map.nodes.forEach(node => {
+            const levelId = node.id;
+            const isCompleted = this.completedLevels[levelId];
+            const isUnlocked = this.game.overworld.isNodeUnlocked(levelId);
+            
+            const levelButton = document.createElement('button');
+            levelButton.className = `level-button ${isCompleted ? 'completed' : ''} ${!isUnlocked ? 'locked' : ''}`;
+            levelButton.textContent = levelId;
+            
+            if (isUnlocked) {
+                levelButton.addEventListener('click', () => {
+                    this.loadLevel(node.world, node.stage);
+                });
             }
-        }
+            
+            levelGrid.appendChild(levelButton);
+        });
     }
     
     /**
@@ -271,6 +286,12 @@ export class GameManager {
             this.completedLevels = JSON.parse(savedCompletedLevels);
         }
         
+        // Load the exits levels were finished through
+        const savedCompletedExits = localStorage.getItem('completedExits');
+        if (savedCompletedExits) {
+            this.completedExits = JSON.parse(savedCompletedExits);
+        }
+        
         // Load checkpoints
         const savedCheckpoints = localStorage.getItem('checkpoints');
         if (savedCheckpoints) {
@@ -290,6 +311,7 @@ export class GameManager {
     saveGameData() {
         // Save completed levels
         localStorage.setItem('completedLevels', JSON.stringify(this.completedLevels));
+        localStorage.setItem('completedExits', JSON.stringify(this.completedExits));
         
         // Save checkpoints
         localStorage.setItem('checkpoints', JSON.stringify(this.checkpoints));
@@ -313,9 +335,13 @@ export class GameManager {
                 this.loseLife();
             }
             
-            // Check for player falling off the level
-            if (this.player && this.player.y > this.game.levelManager.levelHeight) {
-                this.loseLife();
+            // Keep the camera to the section the player is in
+            this.updateCameraSection();
+            
+            // Falling past the lowest the camera can go acts as a kill zone along its edge,
+            // so a fall is fatal at the bottom of a section even if the level carries on below
+            if (this.player && this.player.y > this.game.renderer.camera.bounds.bottom) {
+                this.player.touchHazard({ hazardType: 'killZone' });
             }
         }
     }
@@ -331,16 +357,16 @@ export class GameManager {
         this.lives = 3;
         this.coins = 0;
         
-        // Hide menus and show game UI
-        document.getElementById('start-menu').classList.add('hidden');
-        document.getElementById('game-ui').classList.remove('hidden');
-        
-        // Set game as running
-        this.game.isRunning = true;
-        this.currentState = 'playing';
-        
-        // Load the first level
-        this.loadLevel(1, 1);
+        // Pick a level from the map, starting at the first one
+        this.showOverworld(this.game.overworld.map.start);
+    }
+    
+    /**
+     * Show the overworld map
+     * @param {string} [levelId] - Level to stand on, defaults to the current one
+     */
+    showOverworld(levelId = this.currentLevelId) {
+        this.game.overworld.open(levelId);
     }
     
     /**
@@ -357,65 +383,22 @@ export class GameManager {
         this.currentLevelId = `${world}-${stage}`;
         
         // Reset level state
-        this.time = 300; // Reset time for new level
         this.timeElapsed = 0;
         
         // Hide menus and show game UI
         document.getElementById('level-select').classList.add('hidden');
+        document.getElementById('level-complete').classList.add('hidden');
         document.getElementById('game-ui').classList.remove('hidden');
+        this.game.overworld.close();
         
         // Update level name in UI
         document.getElementById('level-name').textContent = this.currentLevelId;
         
-        // Clear existing level and entities
-        this.game.entityManager.clearEntities();
-        this.game.physics.colliders = [];
-        this.game.physics.staticColliders = [];
-        this.game.physics.dynamicColliders = [];
-        
         // Load level data
-        const levelData = this.game.assetLoader.getLevel(`level-${this.currentLevelId}`);
+        const levelData = this.getLevelData(world, stage);
         
         if (levelData) {
-            // Initialize level
-            this.game.levelManager.loadLevel(levelData);
-            
-            // Create player
-            this.createPlayer();
-            
-            // Set camera to follow player
-            this.game.renderer.followTarget(this.player);
-            
-            // Set camera bounds based on level size
-            this.game.renderer.setCameraBounds(
-                0,
-                this.game.levelManager.levelWidth,
-                0,
-                this.game.levelManager.levelHeight
-            );
-            
-            // Check if there's a checkpoint for this level
-            if (this.checkpoints[this.currentLevelId]) {
-                // Spawn player at checkpoint
-                this.player.x = this.checkpoints[this.currentLevelId].x;
-                this.player.y = this.checkpoints[this.currentLevelId].y;
-            }
-            
-            // Play level music
-            if (world === 3 && stage === 3) {
-                // Boss music for final level
-                this.game.audioManager.playMusic('music-boss', true);
-            } else if (stage === 2) {
-                // Underground music for second stage of each world
-                this.game.audioManager.playMusic('music-underground', true);
-            } else {
-                // Main theme for other levels
-                this.game.audioManager.playMusic('music-main-theme', true);
-            }
-            
-            // Set game state to playing
-            this.currentState = 'playing';
-            this.game.isRunning = true;
+            this.startLevel(levelData);
         } else {
             console.error(`Level ${this.currentLevelId} not found!`);
             this.exitToMenu();
@@ -423,13 +406,310 @@ export class GameManager {
     }
     
     /**
-     * Create the player character
+     * Build a level from level data and start playing it
+     * @param {Object} levelData - Level module or Tiled JSON map
+     * @param {Object} [spawn] - Player spawn position, overrides the start and checkpoints
+     */
+    startLevel(levelData, spawn = null) {
+        this.buildLevel(levelData);
+        
+        // Reset time for new level
+        this.time = this.game.levelManager.timeLimit;
+        
+        // Create player
+        this.createPlayer();
+        
+        if (spawn) {
+            // Spawn player at the requested position
+            this.player.x = spawn.x;
+            this.player.y = spawn.y;
+        } else if (this.checkpoints[this.currentLevelId]) {
+            // Spawn player at checkpoint
+            this.player.x = this.checkpoints[this.currentLevelId].x;
+            this.player.y = this.checkpoints[this.currentLevelId].y;
+        }
+        
+        this.startCamera();
+        this.playLevelMusic();
+        
+        // Set game state to playing
+        this.currentState = 'playing';
+        this.game.isRunning = true;
+    }
+    
+    /**
+     * Start the camera for the current area, within the section the player is in
+     * The main area of an auto-scrolling level scrolls along the level's path, picking
+     * up wherever the player is; everywhere else the camera follows the player
+     */
+    startCamera() {
+        const levelManager = this.game.levelManager;
+        
+        this.updateCameraBounds();
+        
+        const autoScroll = levelManager.currentLevel && levelManager.currentLevel.autoScroll;
+        
+        if (autoScroll && levelManager.currentAreaId === MAIN_AREA_ID) {
+            this.game.autoScroller.start(autoScroll, this.player);
+        } else {
+            this.game.autoScroller.stop();
+            this.game.renderer.followTarget(this.player);
+        }
+    }
+    
+    /**
+     * Play the music for the current level or sub-area
+     */
+    playLevelMusic() {
+        const levelMusic = this.game.levelManager.music;
+        if (levelMusic && this.game.assetLoader.audio[levelMusic]) {
+            // Music declared by the level
+            this.game.audioManager.playMusic(levelMusic, true);
+        } else if (this.currentWorldId === 3 && this.currentStageId === 3) {
+            // Boss music for final level
+            this.game.audioManager.playMusic('music-boss', true);
+        } else if (this.currentStageId === 2) {
+            // Underground music for second stage of each world
+            this.game.audioManager.playMusic('music-underground', true);
+        } else {
+            // Main theme for other levels
+            this.game.audioManager.playMusic('music-main-theme', true);
+        }
+    }
+    
+    /**
+     * Clear the current level and build a new one from level data
+     * @param {Object} levelData - Level module or Tiled JSON map
+     */
+    buildLevel(levelData) {
+        // Same seed every time the level starts, so runs with the same inputs play out the same
+        this.game.random = createRandom(levelData.id || levelData.name || 'level');
+        
+        // Clear existing level and entities
+        this.unloadLevel();
+        
+        // Initialize level
+        this.game.levelManager.loadLevel(levelData);
+        
+        this.updateCameraBounds();
+    }
+    
+    /**
+     * Tear down the running level, including anything it scheduled
+     * Used whenever a level is left or replaced, so nothing from it carries over
+     */
+    unloadLevel() {
+        this.game.levelManager.unloadLevel();
+        
+        // Drop callbacks the old level scheduled, e.g. a restart after losing a life
+        this.game.clearTimers();
+    }
+    
+    /**
+     * Set camera bounds to the camera section the player is in
+     * Areas without sections, or a player outside all of them, get the size of the
+     * current level or sub-area. Also releases a camera lock.
+     */
+    updateCameraBounds() {
+        const levelManager = this.game.levelManager;
+        
+        this.cameraLocked = false;
+        this.cameraSection = this.player ? levelManager.findCameraSection(this.player) : null;
+        this.applyCameraSection();
+    }
+    
+    /**
+     * Set camera bounds to the current camera section, or the whole area without one
+     */
+    applyCameraSection() {
+        const levelManager = this.game.levelManager;
+        const section = this.cameraSection || {
+            x: 0,
+            y: 0,
+            width: levelManager.levelWidth,
+            height: levelManager.levelHeight
+        };
+        
+        this.game.renderer.setCameraBounds(
+            section.x,
+            section.x + section.width,
+            section.y,
+            section.y + section.height
+        );
+    }
+    
+    /**
+     * Move the camera bounds to a new section once the player walks into it
+     * The camera eases across since it's smoothed toward its bounded target. Auto-scrolling
+     * and locked cameras stay as they are.
+     */
+    updateCameraSection() {
+        if (!this.player || this.cameraLocked || this.game.autoScroller.active) return;
+        
+        const section = this.game.levelManager.findCameraSection(this.player, this.cameraSection);
+        if (section && section !== this.cameraSection) {
+            this.cameraSection = section;
+            this.applyCameraSection();
+        }
+    }
+    
+    /**
+     * Hold the camera within an area until it's unlocked, e.g. for a boss arena
+     * @param {number} x - Left edge of the area
+     * @param {number} y - Top edge of the area
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     */
+    lockCamera(x, y, width, height) {
+        this.cameraLocked = true;
+        this.game.renderer.setCameraBounds(x, x + width, y, y + height);
+    }
+    
+    /**
+     * Take the player through a warp once they're fully inside it
+     * @param {Warp} warp - The warp the player entered
+     */
+    warpTo(warp) {
+        if (warp.targetLevel) {
+            this.warpToLevel(warp);
+            return;
+        }
+        
+        if (!this.game.levelManager.switchArea(warp.targetArea)) {
+            // Nowhere to go, so back out the way the player came in
+            this.player.exitWarp(warp);
+            return;
+        }
+        
+        // The player isn't part of any area's saved state, so it comes along
+        this.game.entityManager.addEntity(this.player);
+        
+        this.arriveAtWarp(warp.targetWarp);
+        this.startCamera();
+        this.playLevelMusic();
+    }
+    
+    /**
+     * Take the player through a warp to another level
+     * Score, coins and lives carry over as when finishing a level
+     * @param {Warp} warp - The warp the player entered
+     */
+    warpToLevel(warp) {
+        const levelData = getLevelById(warp.targetLevel);
+        
+        if (!levelData) {
+            console.error(`Warp target level ${warp.targetLevel} not found!`);
+            this.player.exitWarp(warp);
+            return;
+        }
+        
+        // Bundled levels have a world and stage; generated ones keep the current ones
+        const index = getLevelIndexById(warp.targetLevel);
+        if (index !== -1) {
+            this.currentWorldId = Math.floor(index / 3) + 1;
+            this.currentStageId = index % 3 + 1;
+            this.currentLevelId = `${this.currentWorldId}-${this.currentStageId}`;
+            document.getElementById('level-name').textContent = this.currentLevelId;
+        }
+        
+        this.timeElapsed = 0;
+        this.startLevel(levelData);
+        this.arriveAtWarp(warp.targetWarp);
+    }
+    
+    /**
+     * Bring the player out of a warp in the current area
+     * Falls back to the area's start position when there's no warp to come out of
+     * @param {string|null} warpId - ID of the warp to come out of
+     */
+    arriveAtWarp(warpId) {
+        const exit = warpId ? this.game.levelManager.findWarp(warpId) : null;
+        
+        if (exit) {
+            this.player.exitWarp(exit);
+        } else {
+            const playerStart = this.game.levelManager.playerStart;
+            this.player.x = playerStart.x;
+            this.player.y = playerStart.y;
+            this.player.stopWarp();
+        }
+        
+        // Jump straight to the new view instead of panning across
+        this.updateCameraBounds();
+        this.game.renderer.snapCamera();
+    }
+    
+    /**
+     * Rebuild the running level from new level data
+     * The player, score, coins and timer carry over, so edits can be tried in place
+     * @param {Object} levelData - Level module or Tiled JSON map
+     */
+    reloadLevel(levelData) {
+        console.log(`Reloading level ${levelData.id}...`);
+        
+        const player = this.player;
+        const areaId = this.game.levelManager.currentAreaId;
+        
+        this.buildLevel(levelData);
+        
+        // Stay in the sub-area being edited
+        if (areaId !== MAIN_AREA_ID && this.game.levelManager.switchArea(areaId)) {
+            this.updateCameraBounds();
+        }
+        
+        // Put the same player back so position, velocity and powerup state are kept
+        if (player) {
+            this.game.entityManager.addEntity(player);
+            this.startCamera();
+        }
+    }
+    
+    /**
+     * Handle a level module being replaced by the dev server
+     * @param {Object} newLevel - Updated level data
+     * @param {Object} oldLevel - Level data before the update
+     */
+    handleLevelUpdate(newLevel, oldLevel) {
+        // Only the level being played needs rebuilding
+        const inLevel = ['playing', 'paused'].includes(this.currentState);
+        const currentLevel = this.game.levelManager.currentLevel;
+        const isCurrent = currentLevel && (currentLevel.id === oldLevel.id || currentLevel.id === newLevel.id);
+        
+        // Play-tests run the editor's copy, not the module
+        const playTesting = this.game.levelEditor && this.game.levelEditor.playTesting;
+        
+        if (inLevel && isCurrent && !playTesting) {
+            this.reloadLevel(newLevel);
+        }
+    }
+    
+    /**
+     * Get the level data for a world and stage
+     * Preloaded level assets take priority over the bundled level modules
+     * @param {number} world - World number
+     * @param {number} stage - Stage number
+     * @returns {Object|null} - Level data or null if not found
+     */
+    getLevelData(world, stage) {
+        const levelId = `level-${world}-${stage}`;
+        
+        if (this.game.assetLoader.levels[levelId]) {
+            return this.game.assetLoader.levels[levelId];
+        }
+        
+        return getLevelByIndex((world - 1) * 3 + (stage - 1));
+    }
+    
+    /**
+     * Create the player character at the level's start position
      */
     createPlayer() {
+        const playerStart = this.game.levelManager.playerStart;
+        
         // Create player entity
         this.player = new Player({
-            x: 100,
-            y: 100,
+            x: playerStart.x,
+            y: playerStart.y,
             width: 32,
             height: 64,
             game: this.game
@@ -503,13 +783,21 @@ export class GameManager {
     
     /**
      * Level complete
+     * @param {string} [exit] - Exit the level was finished through (normal or secret)
      */
-    levelComplete() {
-        console.log('Level complete!');
+    levelComplete(exit = 'normal') {
+        if (this.currentState === 'levelComplete') return;
         
-        // Mark level as completed
+        console.log(`Level complete! (${exit} exit)`);
+        
+        // Mark level as completed, and which overworld paths it opens
         this.completedLevels[this.currentLevelId] = true;
         
+        const exits = this.completedExits[this.currentLevelId] || [];
+        if (!exits.includes(exit)) {
+            this.completedExits[this.currentLevelId] = [...exits, exit];
+        }
+        
         // Update stats
         this.stats.totalScore += this.score;
         this.stats.totalCoins += this.coins;
@@ -557,32 +845,48 @@ export class GameManager {
     }
     
     /**
-     * Load the next level
+     * Check whether a level has been finished through an exit
+     * @param {string} levelId - Level ID (world-stage)
+     * @param {string} exit - Exit name (normal or secret)
+     * @returns {boolean} - Whether the exit has been taken
      */
-    loadNextLevel() {
-        let nextWorld = this.currentWorldId;
-        let nextStage = this.currentStageId + 1;
-        
-        // Check if we need to move to the next world
-        if (nextStage > 3) {
-            nextStage = 1;
-            nextWorld++;
+    hasTakenExit(levelId, exit) {
+        const exits = this.completedExits[levelId];
+        if (exits) {
+            return exits.includes(exit);
         }
         
-        // Check if we've completed all levels
-        if (nextWorld > 3) {
+        // Saves from before exits were recorded only have normal finishes
+        return exit === 'normal' && Boolean(this.completedLevels[levelId]);
+    }
+    
+    /**
+     * Move on after finishing a level
+     * Returns to the overworld map, or ends the game after the final level
+     */
+    loadNextLevel() {
+        const node = this.game.overworld.getNode(this.currentLevelId);
+        
+        if (node && node.final) {
+            document.getElementById('level-complete').classList.add('hidden');
+            document.getElementById('game-ui').classList.add('hidden');
             this.gameComplete();
             return;
         }
         
-        // Load the next level
-        this.loadLevel(nextWorld, nextStage);
+        this.showOverworld(this.currentLevelId);
     }
     
     /**
      * Restart the current level
      */
     restartLevel() {
+        // Play-tests restart inside the level editor
+        if (this.game.levelEditor && this.game.levelEditor.playTesting) {
+            this.game.levelEditor.restartPlayTest();
+            return;
+        }
+        
         // Hide all menus
         document.getElementById('pause-menu').classList.add('hidden');
         document.getElementById('game-over').classList.add('hidden');
@@ -595,14 +899,24 @@ export class GameManager {
      * Exit to main menu
      */
     exitToMenu() {
+        // Play-tests exit back to the level editor
+        if (this.game.levelEditor && this.game.levelEditor.playTesting) {
+            this.game.levelEditor.stopPlayTest();
+            return;
+        }
+        
         console.log('Exiting to menu...');
         
+        // Leave nothing of the level running, including a pending restart
+        this.unloadLevel();
+        
         // Hide all game screens
         document.getElementById('game-ui').classList.add('hidden');
         document.getElementById('pause-menu').classList.add('hidden');
         document.getElementById('game-over').classList.add('hidden');
         document.getElementById('level-complete').classList.add('hidden');
         document.getElementById('game-complete').classList.add('hidden');
+        this.game.overworld.close();
         
         // Show start menu
         document.getElementById('start-menu').classList.remove('hidden');
@@ -678,9 +992,9 @@ export class GameManager {
             this.gameOver();
         } else {
             // Restart level after a short delay
-            setTimeout(() => {
+            this.game.schedule(() => {
                 this.restartLevel();
-            }, 1000);
+            }, 1);
         }
     }
     
@@ -8,6 +8,11 @@ export class InputManager {
         // Input state
         this.keys = {};
         this.touches = {};
+        
+        // Actions as of this update and the one before, for telling when they change
+        this.actions = {};
+        this.previousActions = {};
+        this.taps = {}; // Actions pressed since the last update, so a tap between two updates still counts
         this.gamepadState = {};
         
         // Input configuration
@@ -15,7 +20,8 @@ export class InputManager {
             // Movement
             'ArrowLeft': 'left',
             'ArrowRight': 'right',
-            'ArrowUp': 'jump',
+            'ArrowUp': ['jump', 'up'], // Up also climbs ladders and vines
+            'ArrowDown': 'down',
             'Space': 'jump',
             
             // Actions
@@ -59,6 +65,11 @@ export class InputManager {
         this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
         this.updateGamepadState = this.updateGamepadState.bind(this);
         this.isPressed = this.isPressed.bind(this);
+        this.press = this.press.bind(this);
+        this.isActionPressed = this.isActionPressed.bind(this);
+        this.isActionJustPressed = this.isActionJustPressed.bind(this);
+        this.isActionJustReleased = this.isActionJustReleased.bind(this);
+        this.update = this.update.bind(this);
         this.toggleInputMode = this.toggleInputMode.bind(this);
     }
     
@@ -89,22 +100,22 @@ export class InputManager {
         
         // Add touch event listeners to touch control buttons
         if (this.touchControls.leftBtn) {
-            this.touchControls.leftBtn.addEventListener('touchstart', () => this.keys['left'] = true);
+            this.touchControls.leftBtn.addEventListener('touchstart', () => this.press('left'));
             this.touchControls.leftBtn.addEventListener('touchend', () => this.keys['left'] = false);
         }
         
         if (this.touchControls.rightBtn) {
-            this.touchControls.rightBtn.addEventListener('touchstart', () => this.keys['right'] = true);
+            this.touchControls.rightBtn.addEventListener('touchstart', () => this.press('right'));
             this.touchControls.rightBtn.addEventListener('touchend', () => this.keys['right'] = false);
         }
         
         if (this.touchControls.jumpBtn) {
-            this.touchControls.jumpBtn.addEventListener('touchstart', () => this.keys['jump'] = true);
+            this.touchControls.jumpBtn.addEventListener('touchstart', () => this.press('jump'));
             this.touchControls.jumpBtn.addEventListener('touchend', () => this.keys['jump'] = false);
         }
         
         if (this.touchControls.actionBtn) {
-            this.touchControls.actionBtn.addEventListener('touchstart', () => this.keys['action1'] = true);
+            this.touchControls.actionBtn.addEventListener('touchstart', () => this.press('action1'));
             this.touchControls.actionBtn.addEventListener('touchend', () => this.keys['action1'] = false);
         }
         
@@ -175,9 +186,9 @@ export class InputManager {
     handleKeyDown(event) {
         const key = event.code || event.key;
         
-        // Map the key to an action if defined in keyMap
+        // Map the key to its actions if defined in keyMap
         if (this.keyMap[key]) {
-            this.keys[this.keyMap[key]] = true;
+            [].concat(this.keyMap[key]).forEach(this.press);
             
             // Prevent default for game control keys
             if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'].includes(key)) {
@@ -196,9 +207,11 @@ export class InputManager {
     handleKeyUp(event) {
         const key = event.code || event.key;
         
-        // Map the key to an action if defined in keyMap
+        // Map the key to its actions if defined in keyMap
         if (this.keyMap[key]) {
-            this.keys[this.keyMap[key]] = false;
+            [].concat(this.keyMap[key]).forEach(action => {
+                this.keys[action] = false;
+            });
             
             // Prevent default for game control keys
             if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'].includes(key)) {
@@ -276,11 +289,13 @@ export class InputManager {
     
     /**
      * Update gamepad state
-     * Called each frame to update gamepad input
+     * Called each update to poll the gamepad buttons, kept apart from the keys so
+     * letting go of a button releases its action
      */
     updateGamepadState() {
         // Get all connected gamepads
         const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        this.gamepadKeys = {};
         
         // Update state for each connected gamepad
         for (let i = 0; i < gamepads.length; i++) {
@@ -288,16 +303,27 @@ export class InputManager {
             
             if (gamepad) {
                 // Map gamepad buttons to actions
-                this.keys['left'] = this.keys['left'] || gamepad.buttons[14].pressed || (gamepad.axes[0] < -0.5);
-                this.keys['right'] = this.keys['right'] || gamepad.buttons[15].pressed || (gamepad.axes[0] > 0.5);
-                this.keys['jump'] = this.keys['jump'] || gamepad.buttons[0].pressed || gamepad.buttons[12].pressed;
-                this.keys['action1'] = this.keys['action1'] || gamepad.buttons[1].pressed;
-                this.keys['action2'] = this.keys['action2'] || gamepad.buttons[2].pressed;
-                this.keys['pause'] = this.keys['pause'] || gamepad.buttons[9].pressed;
+                this.gamepadKeys['left'] = this.gamepadKeys['left'] || gamepad.buttons[14].pressed || (gamepad.axes[0] < -0.5);
+                this.gamepadKeys['right'] = this.gamepadKeys['right'] || gamepad.buttons[15].pressed || (gamepad.axes[0] > 0.5);
+                this.gamepadKeys['jump'] = this.gamepadKeys['jump'] || gamepad.buttons[0].pressed || gamepad.buttons[12].pressed;
+                this.gamepadKeys['up'] = this.gamepadKeys['up'] || gamepad.buttons[12].pressed || (gamepad.axes[1] < -0.5);
+                this.gamepadKeys['down'] = this.gamepadKeys['down'] || gamepad.buttons[13].pressed || (gamepad.axes[1] > 0.5);
+                this.gamepadKeys['action1'] = this.gamepadKeys['action1'] || gamepad.buttons[1].pressed;
+                this.gamepadKeys['action2'] = this.gamepadKeys['action2'] || gamepad.buttons[2].pressed;
+                this.gamepadKeys['pause'] = this.gamepadKeys['pause'] || gamepad.buttons[9].pressed;
             }
         }
     }
     
+    /**
+     * Press an action
+     * @param {string} action - The action pressed
+     */
+    press(action) {
+        this.keys[action] = true;
+        this.taps[action] = true;
+    }
+    
     /**
      * Check if a key/action is currently pressed
      * @param {string} action - The action to check
@@ -307,6 +333,34 @@ export class InputManager {
         return this.keys[action] === true;
     }
     
+    /**
+     * Check if an action is held as of the last update
+     * Stays the same through an update, however the keys change in the meantime
+     * @param {string} action - The action to check
+     * @returns {boolean} - Whether the action is held
+     */
+    isActionPressed(action) {
+        return this.actions[action] === true;
+    }
+    
+    /**
+     * Check if an action was pressed since the update before
+     * @param {string} action - The action to check
+     * @returns {boolean} - Whether the action started this update
+     */
+    isActionJustPressed(action) {
+        return this.actions[action] === true && this.previousActions[action] !== true;
+    }
+    
+    /**
+     * Check if an action was let go since the update before
+     * @param {string} action - The action to check
+     * @returns {boolean} - Whether the action stopped this update
+     */
+    isActionJustReleased(action) {
+        return this.actions[action] !== true && this.previousActions[action] === true;
+    }
+    
     /**
      * Get the horizontal input axis (-1 to 1)
      * @returns {number} - The horizontal axis value
@@ -355,12 +409,26 @@ export class InputManager {
     
     /**
      * Update the input state
-     * Called each frame to update input state
+     * Called once at the start of each simulation tick, so every entity sees the same actions
+     * however many ticks a frame runs
      */
     update() {
         // Update gamepad state
         this.updateGamepadState();
         
+        // Take this update's actions, keeping the last ones to compare against
+        this.previousActions = this.actions;
+        this.actions = { ...this.keys };
+        Object.keys(this.gamepadKeys).forEach(action => {
+            this.actions[action] = this.actions[action] || this.gamepadKeys[action];
+        });
+        
+        // Keys pressed and let go again since the last tick are held for this one
+        Object.keys(this.taps).forEach(action => {
+            this.actions[action] = true;
+        });
+        this.taps = {};
+        
         // Reset one-shot inputs (like pause)
         if (this.keys['pause']) {
             this.keys['pause'] = false;
@@ -376,6 +444,9 @@ export class InputManager {
         for (const key in this.keys) {
             this.keys[key] = false;
         }
+        this.actions = {};
+        this.previousActions = {};
+        this.taps = {};
         
         // Reset all touch states
         this.touches = {};
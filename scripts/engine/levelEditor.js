@@ -0,0 +1,915 @@
+/**
+ * Level Editor
+ * In-browser editor for the bundled levels, drawn on the game canvas
+ *
+ * Works on a copy of a level module: tiles can be drawn, moved and resized,
+ * entities dragged around, and properties edited in the side panel. The result
+ * is exported back to the level module format with the level serializer.
+ */
+
+import { getLevelByIndex, getLevelCount } from '../levels/index.js';
+import { LEVEL_SCHEMA } from './levelSchema.js';
+import { serializeLevelModule } from './levelSerializer.js';
+import { validateLevel, formatIssue } from './levelValidator.js';
+
+// Tile tools draw rectangles, entity tools place a single object
+const TILE_TOOLS = ['ground', 'platform', 'spikes', 'lava', 'water', 'ladder', 'slope', 'block', 'hiddenBlock', 'brick', 'movingPlatform'];
+const ENTITY_TOOLS = Object.keys(LEVEL_SCHEMA.entities);
+
+// Properties written by the Tiled importer rather than by hand
+const IMPORTED_PROPERTIES = ['tilesetImage', 'tileId', 'flipX', 'flipY', 'flipDiagonal'];
+
+// Default values for newly placed entities
+const ENTITY_DEFAULTS = {
+    coin: { value: 1 },
+    enemy: { enemyType: 'goomba' },
+    powerup: { powerupType: 'mushroom' },
+    checkpoint: {},
+    goal: { goalType: 'flag' },
+    hazard: { hazardType: 'saw' }
+};
+
+// Editor colors by tile/entity type
+const TYPE_COLORS = {
+    ground: '#8b5a2b',
+    platform: '#a0522d',
+    spikes: '#c0c0c0',
+    lava: '#ff4500',
+    water: 'rgba(30, 144, 255, 0.5)',
+    ladder: '#deb887',
+    slope: '#7a4b22',
+    movingPlatform: '#cd853f',
+    block: '#f4a300',
+    hiddenBlock: 'rgba(244, 163, 0, 0.35)',
+    brick: '#b5542c',
+    coin: '#ffd700',
+    enemy: '#d62828',
+    powerup: '#2a9d8f',
+    checkpoint: '#4361ee',
+    goal: '#2b9348',
+    hazard: '#9b2226',
+    torch: '#ff8c00',
+    playerStart: 'rgba(255, 255, 255, 0.4)'
+};
+
+const GRID_SIZE = 16;
+const HANDLE_SIZE = 8;
+const PAN_SPEED = 600; // Pixels per second
+
+export class LevelEditor {
+    constructor(game) {
+        this.game = game;
+
+        // Editor state
+        this.active = false;
+        this.playTesting = false;
+        this.levelIndex = 0;
+        this.level = null; // Working copy of the level module
+        this.tool = 'select';
+        this.selection = null; // { kind: 'tile' | 'entity' | 'playerStart', item }
+        this.drag = null;
+        this.cursor = { x: 0, y: 0 }; // Cursor position in world coordinates
+        this.playTestSpawn = null;
+        this.issues = [];
+
+        // DOM elements
+        this.elements = {};
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.update = this.update.bind(this);
+        this.render = this.render.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.togglePlayTest = this.togglePlayTest.bind(this);
+        this.exportLevel = this.exportLevel.bind(this);
+    }
+
+    /**
+     * Initialize the editor UI and event listeners
+     */
+    init() {
+        this.elements.editor = document.getElementById('level-editor');
+        this.elements.levelSelect = document.getElementById('editor-level-select');
+        this.elements.tools = document.getElementById('editor-tools');
+        this.elements.title = document.getElementById('editor-selection-title');
+        this.elements.properties = document.getElementById('editor-properties');
+        this.elements.issues = document.getElementById('editor-issues');
+        this.elements.exportOutput = document.getElementById('editor-export');
+
+        if (!this.elements.editor) return;
+
+        // Start menu entry point
+        const editorButton = document.getElementById('level-editor-button');
+        if (editorButton) {
+            editorButton.addEventListener('click', () => this.open());
+        }
+
+        // Toolbar buttons
+        const playTestButton = document.getElementById('editor-playtest-btn');
+        const exportButton = document.getElementById('editor-export-btn');
+        const exitButton = document.getElementById('editor-exit-btn');
+
+        if (playTestButton) playTestButton.addEventListener('click', () => this.togglePlayTest());
+        if (exportButton) exportButton.addEventListener('click', this.exportLevel);
+        if (exitButton) exitButton.addEventListener('click', this.close);
+
+        // Level picker
+        for (let i = 0; i < getLevelCount(); i++) {
+            const level = getLevelByIndex(i);
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${level.id} - ${level.name}`;
+            this.elements.levelSelect.appendChild(option);
+        }
+
+        this.elements.levelSelect.addEventListener('change', () => {
+            this.loadLevel(parseInt(this.elements.levelSelect.value, 10));
+        });
+
+        // Tool buttons
+        ['select', ...TILE_TOOLS, ...ENTITY_TOOLS].forEach(tool => {
+            const button = document.createElement('button');
+            button.textContent = tool;
+            button.dataset.tool = tool;
+            button.addEventListener('click', () => this.setTool(tool));
+            this.elements.tools.appendChild(button);
+        });
+
+        // Canvas and keyboard input
+        const canvas = this.game.canvas;
+        canvas.addEventListener('mousedown', this.handleMouseDown);
+        window.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+        canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Open the editor
+     * @param {number} [levelIndex] - Index of the level to edit
+     */
+    open(levelIndex = this.levelIndex) {
+        console.log('Opening level editor...');
+
+        // Hide menus and show the editor
+        document.getElementById('start-menu').classList.add('hidden');
+        this.elements.editor.classList.remove('hidden');
+
+        this.active = true;
+        this.game.gameManager.currentState = 'editor';
+
+        this.loadLevel(levelIndex);
+        this.setTool(this.tool);
+    }
+
+    /**
+     * Close the editor and return to the start menu
+     */
+    close() {
+        if (this.playTesting) {
+            this.stopPlayTest();
+        }
+
+        console.log('Closing level editor...');
+
+        this.elements.editor.classList.add('hidden');
+        document.getElementById('start-menu').classList.remove('hidden');
+
+        this.active = false;
+        this.drag = null;
+        this.game.gameManager.currentState = 'menu';
+    }
+
+    /**
+     * Load a copy of a bundled level into the editor
+     * @param {number} levelIndex - Level index
+     */
+    loadLevel(levelIndex) {
+        const source = getLevelByIndex(levelIndex);
+        if (!source) {
+            console.error(`Level ${levelIndex} not found!`);
+            return;
+        }
+
+        // Level modules are plain data, so a JSON round trip gives an independent copy
+        this.level = JSON.parse(JSON.stringify(source));
+        this.level.tileLayers = this.level.tileLayers || [];
+        this.level.entities = this.level.entities || [];
+        if (this.level.tileLayers.length === 0) {
+            this.level.tileLayers.push({ name: 'ground', tiles: [] });
+        }
+
+        this.levelIndex = levelIndex;
+        this.elements.levelSelect.value = levelIndex;
+        this.selection = null;
+        this.drag = null;
+
+        // Free camera over the whole level
+        const renderer = this.game.renderer;
+        renderer.followTarget(null);
+        renderer.setCameraBounds(0, this.level.width, 0, this.level.height);
+        renderer.camera.x = 0;
+        renderer.camera.y = 0;
+
+        this.onLevelChanged();
+        this.renderProperties();
+    }
+
+    /**
+     * Select the active tool
+     * @param {string} tool - Tool name
+     */
+    setTool(tool) {
+        this.tool = tool;
+
+        Array.from(this.elements.tools.children).forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Update the editor
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        // Pan the camera with the movement keys
+        const axis = this.game.inputManager.getHorizontalAxis();
+        if (axis !== 0) {
+            this.panCamera(axis * PAN_SPEED * deltaTime, 0);
+        }
+    }
+
+    /**
+     * Move the camera, staying inside the level
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    panCamera(dx, dy) {
+        const camera = this.game.renderer.camera;
+        const maxX = Math.max(0, this.level.width - camera.width);
+        const maxY = Math.max(0, this.level.height - camera.height);
+
+        camera.x = Math.max(0, Math.min(camera.x + dx, maxX));
+        camera.y = Math.max(0, Math.min(camera.y + dy, maxY));
+    }
+
+    /**
+     * Render the level being edited
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        if (!this.level) return;
+
+        const camera = renderer.camera;
+
+        // Level area
+        renderer.drawRect(0, 0, this.level.width, this.level.height, '#5c94fc', {
+            stroke: '#ffffff',
+            lineWidth: 2
+        });
+
+        this.drawGrid(renderer);
+
+        // Tiles
+        this.level.tileLayers.forEach(layer => {
+            (layer.tiles || []).forEach(tile => {
+                this.drawItem(renderer, tile, tile.contains || '');
+            });
+        });
+
+        // Entities
+        this.level.entities.forEach(entity => {
+            this.drawItem(renderer, entity, entity.enemyType || entity.powerupType || entity.goalType || entity.hazardType || '');
+        });
+
+        // Player start
+        const start = this.getItemBounds('playerStart', this.level.playerStart);
+        renderer.drawRect(start.x, start.y, start.width, start.height, TYPE_COLORS.playerStart, {
+            stroke: '#ffffff'
+        });
+        renderer.drawText('Start', start.x + start.width / 2, start.y + start.height / 2, {
+            font: '12px PixelFont',
+            align: 'center',
+            baseline: 'middle'
+        });
+
+        // Tile being drawn
+        if (this.drag && this.drag.mode === 'create') {
+            const rect = this.getCreateRect();
+            renderer.drawRect(rect.x, rect.y, rect.width, rect.height, TYPE_COLORS[this.drag.type], {
+                opacity: 0.6,
+                stroke: '#ffffff'
+            });
+        }
+
+        // Selection outline and resize handle
+        if (this.selection) {
+            const bounds = this.getItemBounds(this.selection.kind, this.selection.item);
+            renderer.drawRect(bounds.x, bounds.y, bounds.width, bounds.height, 'rgba(0, 0, 0, 0)', {
+                stroke: '#ffff00',
+                lineWidth: 2
+            });
+
+            if (this.selection.kind === 'tile') {
+                renderer.drawRect(
+                    bounds.x + bounds.width - HANDLE_SIZE,
+                    bounds.y + bounds.height - HANDLE_SIZE,
+                    HANDLE_SIZE,
+                    HANDLE_SIZE,
+                    '#ffff00'
+                );
+            }
+        }
+
+        // Cursor position
+        renderer.drawText(
+            `${this.level.id}  x: ${Math.floor(this.cursor.x)}  y: ${Math.floor(this.cursor.y)}  tool: ${this.tool}`,
+            camera.x + 10,
+            camera.y + camera.height - 26,
+            { font: '14px PixelFont', shadow: { color: 'black', blur: 2 } }
+        );
+    }
+
+    /**
+     * Draw the snapping grid over the visible part of the level
+     * @param {Renderer} renderer - The game renderer
+     */
+    drawGrid(renderer) {
+        const ctx = renderer.ctx;
+        const camera = renderer.camera;
+        const spacing = GRID_SIZE * 2;
+        const startX = Math.floor(camera.x / spacing) * spacing;
+        const startY = Math.floor(camera.y / spacing) * spacing;
+        const endX = Math.min(camera.x + camera.width, this.level.width);
+        const endY = Math.min(camera.y + camera.height, this.level.height);
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        for (let x = startX; x <= endX; x += spacing) {
+            const screen = renderer.worldToScreen(x, 0);
+            ctx.moveTo(screen.x + 0.5, Math.max(0, -camera.y));
+            ctx.lineTo(screen.x + 0.5, endY - camera.y);
+        }
+
+        for (let y = startY; y <= endY; y += spacing) {
+            const screen = renderer.worldToScreen(0, y);
+            ctx.moveTo(Math.max(0, -camera.x), screen.y + 0.5);
+            ctx.lineTo(endX - camera.x, screen.y + 0.5);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draw a tile or entity with a label
+     * @param {Renderer} renderer - The game renderer
+     * @param {Object} item - Tile or entity descriptor
+     * @param {string} label - Extra label text
+     */
+    drawItem(renderer, item, label) {
+        const bounds = this.getItemBounds(item.type, item);
+
+        renderer.drawRect(bounds.x, bounds.y, bounds.width, bounds.height, TYPE_COLORS[item.type] || '#ff00ff', {
+            stroke: 'rgba(0, 0, 0, 0.5)'
+        });
+
+        if (label) {
+            renderer.drawText(label, bounds.x + bounds.width / 2, bounds.y - 2, {
+                font: '10px PixelFont',
+                align: 'center',
+                baseline: 'bottom'
+            });
+        }
+    }
+
+    /**
+     * Handle mouse down on the canvas
+     * @param {MouseEvent} event - The mousedown event
+     */
+    handleMouseDown(event) {
+        if (!this.active || this.playTesting || event.button !== 0) return;
+
+        const point = this.getMousePosition(event);
+        const snapped = { x: snap(point.x), y: snap(point.y) };
+
+        if (TILE_TOOLS.includes(this.tool)) {
+            // Start drawing a new tile
+            this.drag = { mode: 'create', type: this.tool, startX: snapped.x, startY: snapped.y };
+            return;
+        }
+
+        if (ENTITY_TOOLS.includes(this.tool)) {
+            // Place a new entity
+            const entity = { type: this.tool, x: snapped.x, y: snapped.y, ...ENTITY_DEFAULTS[this.tool] };
+            if (entity.type === 'checkpoint') {
+                entity.id = `checkpoint${this.level.entities.filter(e => e.type === 'checkpoint').length + 1}`;
+            }
+
+            this.level.entities.push(entity);
+            this.select({ kind: 'entity', item: entity });
+            this.onLevelChanged();
+            return;
+        }
+
+        // Select tool
+        const hit = this.hitTest(point.x, point.y);
+        this.select(hit);
+
+        if (hit) {
+            const bounds = this.getItemBounds(hit.kind, hit.item);
+            const onHandle = hit.kind === 'tile' &&
+                point.x >= bounds.x + bounds.width - HANDLE_SIZE &&
+                point.y >= bounds.y + bounds.height - HANDLE_SIZE;
+
+            this.drag = {
+                mode: onHandle ? 'resize' : 'move',
+                startX: point.x,
+                startY: point.y,
+                originX: hit.item.x,
+                originY: hit.item.y,
+                originWidth: bounds.width,
+                originHeight: bounds.height
+            };
+        }
+    }
+
+    /**
+     * Handle mouse movement
+     * @param {MouseEvent} event - The mousemove event
+     */
+    handleMouseMove(event) {
+        if (!this.active || this.playTesting) return;
+
+        this.cursor = this.getMousePosition(event);
+
+        if (!this.drag || this.drag.mode === 'create') return;
+
+        const item = this.selection.item;
+        const dx = this.cursor.x - this.drag.startX;
+        const dy = this.cursor.y - this.drag.startY;
+
+        if (this.drag.mode === 'move') {
+            item.x = snap(this.drag.originX + dx);
+            item.y = snap(this.drag.originY + dy);
+        } else {
+            item.width = Math.max(GRID_SIZE, snap(this.drag.originWidth + dx));
+            item.height = Math.max(GRID_SIZE, snap(this.drag.originHeight + dy));
+        }
+
+        this.drag.moved = true;
+        this.updatePropertyValues();
+    }
+
+    /**
+     * Handle mouse up, finishing any drag
+     */
+    handleMouseUp() {
+        if (!this.drag) return;
+
+        if (this.drag.mode === 'create') {
+            const tile = { type: this.drag.type, ...this.getCreateRect() };
+            if (tile.type === 'movingPlatform') {
+                Object.assign(tile, { moveX: 64, moveY: 0, speed: 1 });
+            }
+
+            this.level.tileLayers[0].tiles.push(tile);
+            this.select({ kind: 'tile', item: tile });
+            this.onLevelChanged();
+        } else if (this.drag.moved) {
+            this.onLevelChanged();
+        }
+
+        this.drag = null;
+    }
+
+    /**
+     * Pan the camera with the mouse wheel or trackpad
+     * @param {WheelEvent} event - The wheel event
+     */
+    handleWheel(event) {
+        if (!this.active || this.playTesting) return;
+
+        event.preventDefault();
+
+        // Vertical wheel scrolls sideways unless Shift is held, since most levels are wide
+        if (event.shiftKey) {
+            this.panCamera(event.deltaX, event.deltaY);
+        } else {
+            this.panCamera(event.deltaX + event.deltaY, 0);
+        }
+    }
+
+    /**
+     * Handle editor keyboard shortcuts
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleKeyDown(event) {
+        if (!this.active) return;
+
+        // Leave typing in the properties panel alone
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        if (event.key === 't' || event.key === 'T') {
+            this.togglePlayTest();
+            return;
+        }
+
+        if (this.playTesting) return;
+
+        if ((event.key === 'Delete' || event.key === 'Backspace') && this.selection) {
+            event.preventDefault();
+            this.deleteSelection();
+        } else if (event.key === 'Escape') {
+            this.select(null);
+            this.setTool('select');
+        }
+    }
+
+    /**
+     * Convert a mouse event to world coordinates
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} - World coordinates {x, y}
+     */
+    getMousePosition(event) {
+        const canvas = this.game.canvas;
+        const rect = canvas.getBoundingClientRect();
+
+        // The canvas is scaled with CSS, so map from display pixels to canvas pixels
+        const screenX = (event.clientX - rect.left) * (canvas.width / rect.width);
+        const screenY = (event.clientY - rect.top) * (canvas.height / rect.height);
+
+        return this.game.renderer.screenToWorld(screenX, screenY);
+    }
+
+    /**
+     * Get the rectangle for the tile being drawn
+     * @returns {Object} - { x, y, width, height }
+     */
+    getCreateRect() {
+        const endX = snap(this.cursor.x);
+        const endY = snap(this.cursor.y);
+        const x = Math.min(this.drag.startX, endX);
+        const y = Math.min(this.drag.startY, endY);
+
+        // A click without dragging places a single 32x32 tile
+        return {
+            x,
+            y,
+            width: Math.max(Math.abs(endX - this.drag.startX), GRID_SIZE * 2),
+            height: Math.max(Math.abs(endY - this.drag.startY), GRID_SIZE * 2)
+        };
+    }
+
+    /**
+     * Find the item under a point, topmost first
+     * @param {number} x - World x coordinate
+     * @param {number} y - World y coordinate
+     * @returns {Object|null} - Selection or null if nothing was hit
+     */
+    hitTest(x, y) {
+        const contains = (kind, item) => {
+            const bounds = this.getItemBounds(kind, item);
+            return x >= bounds.x && x < bounds.x + bounds.width && y >= bounds.y && y < bounds.y + bounds.height;
+        };
+
+        if (contains('playerStart', this.level.playerStart)) {
+            return { kind: 'playerStart', item: this.level.playerStart };
+        }
+
+        for (let i = this.level.entities.length - 1; i >= 0; i--) {
+            const entity = this.level.entities[i];
+            if (contains(entity.type, entity)) {
+                return { kind: 'entity', item: entity };
+            }
+        }
+
+        for (let l = this.level.tileLayers.length - 1; l >= 0; l--) {
+            const tiles = this.level.tileLayers[l].tiles || [];
+            for (let i = tiles.length - 1; i >= 0; i--) {
+                if (contains(tiles[i].type, tiles[i])) {
+                    return { kind: 'tile', item: tiles[i] };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the bounds of a tile, entity or the player start
+     * @param {string} type - Item type, or 'playerStart'
+     * @param {Object} item - Item with x and y
+     * @returns {Object} - { x, y, width, height }
+     */
+    getItemBounds(type, item) {
+        let size = { width: 32, height: 32 };
+
+        if (type === 'playerStart') {
+            size = LEVEL_SCHEMA.player;
+        } else if (LEVEL_SCHEMA.entities[type]) {
+            size = LEVEL_SCHEMA.entities[type].size;
+        }
+
+        return {
+            x: item.x,
+            y: item.y,
+            width: item.width || size.width,
+            height: item.height || size.height
+        };
+    }
+
+    /**
+     * Select an item and show its properties
+     * @param {Object|null} selection - Selection or null to clear it
+     */
+    select(selection) {
+        this.selection = selection;
+        this.renderProperties();
+    }
+
+    /**
+     * Remove the selected tile or entity
+     */
+    deleteSelection() {
+        const { kind, item } = this.selection;
+
+        // The player start can be moved but not removed
+        if (kind === 'playerStart') return;
+
+        if (kind === 'entity') {
+            this.level.entities.splice(this.level.entities.indexOf(item), 1);
+        } else {
+            this.level.tileLayers.forEach(layer => {
+                const index = (layer.tiles || []).indexOf(item);
+                if (index !== -1) layer.tiles.splice(index, 1);
+            });
+        }
+
+        this.select(null);
+        this.onLevelChanged();
+    }
+
+    /**
+     * Re-validate the level after an edit
+     */
+    onLevelChanged() {
+        const result = validateLevel(this.level);
+        this.issues = [...result.errors, ...result.warnings];
+
+        // List validation issues in the side panel
+        this.elements.issues.innerHTML = '';
+        this.issues.forEach(issue => {
+            const entry = document.createElement('li');
+            entry.className = result.errors.includes(issue) ? 'error' : 'warning';
+            entry.textContent = formatIssue(issue);
+            this.elements.issues.appendChild(entry);
+        });
+    }
+
+    /**
+     * Build the properties form for the selection, or the level itself
+     */
+    renderProperties() {
+        const container = this.elements.properties;
+        container.innerHTML = '';
+
+        if (!this.selection) {
+            this.elements.title.textContent = 'Level';
+
+            Object.keys(LEVEL_SCHEMA.level).forEach(key => {
+                this.addPropertyField(this.level, key, LEVEL_SCHEMA.level[key].type);
+            });
+            return;
+        }
+
+        const { kind, item } = this.selection;
+        this.elements.title.textContent = kind === 'playerStart' ? 'Player Start' : item.type;
+
+        // Position and size
+        this.addPropertyField(item, 'x', 'number');
+        this.addPropertyField(item, 'y', 'number');
+
+        if (kind === 'tile') {
+            this.addPropertyField(item, 'width', 'number');
+            this.addPropertyField(item, 'height', 'number');
+        }
+
+        if (kind === 'playerStart') return;
+
+        // Type-specific properties from the schema
+        const definition = kind === 'tile' ? LEVEL_SCHEMA.tiles[item.type] : LEVEL_SCHEMA.entities[item.type];
+        const properties = definition ? definition.properties : {};
+
+        Object.keys(properties)
+            .filter(key => !IMPORTED_PROPERTIES.includes(key))
+            .forEach(key => this.addPropertyField(item, key, properties[key]));
+    }
+
+    /**
+     * Add an input for one property to the properties form
+     * @param {Object} target - Object the property is stored on
+     * @param {string} key - Property name
+     * @param {string|Array} type - Schema type
+     */
+    addPropertyField(target, key, type) {
+        const label = document.createElement('label');
+        label.textContent = key;
+
+        let input;
+
+        if (Array.isArray(type)) {
+            // Enum properties get a dropdown with an empty "not set" option
+            input = document.createElement('select');
+            ['', ...type].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value || '(none)';
+                input.appendChild(option);
+            });
+            input.value = target[key] !== undefined ? target[key] : '';
+        } else if (type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = target[key] === true;
+        } else {
+            input = document.createElement('input');
+            input.type = type === 'number' ? 'number' : 'text';
+            input.value = target[key] !== undefined ? target[key] : '';
+        }
+
+        input.dataset.property = key;
+        input.addEventListener('change', () => {
+            this.setProperty(target, key, type, input);
+        });
+
+        label.appendChild(input);
+        this.elements.properties.appendChild(label);
+    }
+
+    /**
+     * Apply a value from the properties form
+     * @param {Object} target - Object the property is stored on
+     * @param {string} key - Property name
+     * @param {string|Array} type - Schema type
+     * @param {HTMLElement} input - Input the value comes from
+     */
+    setProperty(target, key, type, input) {
+        let value;
+
+        if (type === 'boolean') {
+            value = input.checked || undefined;
+        } else if (input.value === '') {
+            value = undefined;
+        } else if (type === 'number') {
+            value = parseFloat(input.value);
+        } else {
+            value = input.value;
+        }
+
+        if (value === undefined || (type === 'number' && isNaN(value))) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+
+        // Keep the level picker in step with renamed levels
+        if (target === this.level && (key === 'id' || key === 'name')) {
+            const option = this.elements.levelSelect.options[this.levelIndex];
+            if (option) option.textContent = `${this.level.id} - ${this.level.name}`;
+        }
+
+        this.onLevelChanged();
+    }
+
+    /**
+     * Refresh position and size inputs while dragging
+     */
+    updatePropertyValues() {
+        const item = this.selection.item;
+
+        ['x', 'y', 'width', 'height'].forEach(key => {
+            const input = this.elements.properties.querySelector(`[data-property="${key}"]`);
+            if (input && item[key] !== undefined) {
+                input.value = item[key];
+            }
+        });
+    }
+
+    /**
+     * Export the level as a level module
+     * Shows the source in the side panel and downloads it as <id>.js
+     */
+    exportLevel() {
+        const source = serializeLevelModule(this.level);
+
+        this.elements.exportOutput.value = source;
+        this.elements.exportOutput.classList.remove('hidden');
+
+        const blob = new Blob([source], { type: 'text/javascript' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.id}.js`;
+        link.click();
+
+        // Revoking straight away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        console.log(`Exported level ${this.level.id}`);
+    }
+
+    /**
+     * Toggle play-testing, dropping the player at the cursor
+     */
+    togglePlayTest() {
+        if (this.playTesting) {
+            this.stopPlayTest();
+        } else {
+            const size = LEVEL_SCHEMA.player;
+            this.startPlayTest({
+                x: this.cursor.x - size.width / 2,
+                y: this.cursor.y - size.height
+            });
+        }
+    }
+
+    /**
+     * Play the level being edited
+     * @param {Object} spawn - Player spawn position
+     */
+    startPlayTest(spawn) {
+        console.log('Play-testing level...');
+
+        this.playTesting = true;
+        this.playTestSpawn = spawn;
+        this.drag = null;
+
+        this.elements.editor.classList.add('play-testing');
+        document.getElementById('game-ui').classList.remove('hidden');
+        document.getElementById('level-name').textContent = this.level.id;
+
+        // Play a copy so the game can't change the level being edited
+        const gameManager = this.game.gameManager;
+        gameManager.currentLevelId = this.level.id;
+        gameManager.startLevel(JSON.parse(JSON.stringify(this.level)), spawn);
+    }
+
+    /**
+     * Restart the play test from the same spawn position
+     */
+    restartPlayTest() {
+        document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('game-over').classList.add('hidden');
+        this.game.isPaused = false;
+
+        this.startPlayTest(this.playTestSpawn);
+    }
+
+    /**
+     * Stop play-testing and return to editing
+     */
+    stopPlayTest() {
+        console.log('Back to editing...');
+
+        this.playTesting = false;
+
+        // Tear down the running level the same way as leaving any other level
+        this.game.gameManager.unloadLevel();
+        this.game.audioManager.stopMusic();
+
+        // Hide game screens
+        ['game-ui', 'pause-menu', 'game-over', 'level-complete'].forEach(id => {
+            document.getElementById(id).classList.add('hidden');
+        });
+        this.elements.editor.classList.remove('play-testing');
+
+        this.game.isRunning = false;
+        this.game.isPaused = false;
+        this.game.gameManager.player = null;
+        this.game.gameManager.currentState = 'editor';
+
+        // Give the camera back to the editor, keeping the current view
+        const renderer = this.game.renderer;
+        renderer.followTarget(null);
+        renderer.setCameraBounds(0, this.level.width, 0, this.level.height);
+    }
+}
+
+/**
+ * Snap a coordinate to the editor grid
+ * @param {number} value - Coordinate
+ * @returns {number} - Snapped coordinate
+ */
+function snap(value) {
+    return Math.round(value / GRID_SIZE) * GRID_SIZE;
+}
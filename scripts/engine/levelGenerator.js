@@ -0,0 +1,508 @@
+/**
+ * Level Generator
+ * Builds levels from a seed and difficulty settings
+ *
+ * Output has the same shape as the hand-written level modules (tileLayers,
+ * entities, backgrounds), so generated stages go through the same parser,
+ * validator and editor. The same seed and settings always give the same level.
+ */
+
+import { PLAYER_MOVEMENT } from '../entities/player.js';
+import { GOAL_SIZE } from './levelSchema.js';
+import { PHYSICS_DEFAULTS } from './physics.js';
+import { createRandom } from './random.js';
+
+// Layout constants, matching the hand-written levels
+const LEVEL_HEIGHT = 480;
+const GROUND_Y = 416;
+const GROUND_HEIGHT = 64;
+const TILE_SIZE = 32;
+const GRID_SIZE = 16;
+const START_WIDTH = 640;
+const FINISH_WIDTH = 640;
+const BLOCK_Y = GROUND_Y - 128; // Low enough to bump from the ground
+
+// Background sets by theme (see themes.js)
+const THEME_BACKGROUNDS = {
+    day: ['bg_sky', 'bg_clouds', 'bg_mountains', 'bg_trees'],
+    cave: ['bg_underground', 'bg_underground_crystals', 'bg_underground_stalactites'],
+    castle: ['bg_castle', 'bg_castle_torches', 'bg_castle_windows']
+};
+
+// Relative weights of layout segments; harder levels favor gaps and moving platforms
+const SEGMENT_WEIGHTS = {
+    flat: difficulty => 3 - 2 * difficulty,
+    gap: difficulty => 2 + 2 * difficulty,
+    platforms: difficulty => 1 + 2 * difficulty,
+    blocks: difficulty => 2.5 - difficulty,
+    movingPlatform: difficulty => difficulty < 0.3 ? 0 : 2 * difficulty
+};
+
+// Relative weights of powerups found in blocks
+const POWERUP_WEIGHTS = {
+    mushroom: 6,
+    fire: 2.5,
+    star: 1,
+    '1up': 0.5
+};
+
+export const GENERATOR_DEFAULTS = {
+    difficulty: 0.5, // 0 (easiest) to 1 (hardest)
+    length: 3200, // Approximate level width in pixels
+    theme: null, // Picked from the seed when not set
+    enemyDensity: null, // Enemies per 1000px at the end of the level, derived from difficulty when not set
+    powerupChance: null, // Chance a block holds a powerup, derived from difficulty when not set
+    // Physics the gap and height limits are worked out with, the same the player gets in game
+    gravity: PHYSICS_DEFAULTS.gravity * PLAYER_MOVEMENT.mass,
+    terminalVelocity: PHYSICS_DEFAULTS.terminalVelocity,
+    moveSpeed: PLAYER_MOVEMENT.moveSpeed,
+    jumpForce: PLAYER_MOVEMENT.jumpForce
+};
+
+/**
+ * Generate a level
+ * @param {Object} options - Generator options, see GENERATOR_DEFAULTS
+ * @param {string|number} options.seed - Seed for the random number generator
+ * @param {string} [options.id] - Level ID, derived from the seed when not set
+ * @param {string} [options.name] - Level name
+ * @returns {Object} - Level in the level module format
+ */
+export function generateLevel(options = {}) {
+    const settings = { ...GENERATOR_DEFAULTS, ...options };
+    const seed = settings.seed !== undefined ? String(settings.seed) : 'default';
+    const random = createRandom(seed);
+    const difficulty = clamp(settings.difficulty, 0, 1);
+    const theme = settings.theme || random.pick(Object.keys(THEME_BACKGROUNDS));
+
+    const builder = {
+        random,
+        settings,
+        difficulty,
+        tiles: [],
+        entities: [],
+        groundRuns: [],
+        x: 0
+    };
+
+    // Safe starting area
+    addGround(builder, 0, START_WIDTH);
+    builder.x = START_WIDTH;
+
+    // Fill the middle with random segments
+    const finishX = Math.max(settings.length - FINISH_WIDTH, START_WIDTH);
+    let firstBlockRow = true;
+
+    while (builder.x < finishX) {
+        const segment = random.weighted(mapValues(SEGMENT_WEIGHTS, weight => Math.max(0, weight(difficulty))));
+
+        switch (segment) {
+            case 'flat':
+                addGround(builder, builder.x, random.int(8, 16) * TILE_SIZE);
+                break;
+            case 'gap':
+                addGapSegment(builder);
+                break;
+            case 'platforms':
+                addPlatformSegment(builder);
+                break;
+            case 'blocks':
+                addBlockSegment(builder, firstBlockRow);
+                firstBlockRow = false;
+                break;
+            case 'movingPlatform':
+                addMovingPlatformSegment(builder);
+                break;
+        }
+    }
+
+    // Finish with a gap and the goal area
+    addGap(builder);
+    const finish = addGround(builder, builder.x, FINISH_WIDTH);
+    const width = finish.x + finish.width;
+
+    builder.entities.push({ type: 'goal', x: width - 160, y: GROUND_Y - GOAL_SIZE.height, goalType: theme === 'castle' ? 'castle' : 'flag' });
+
+    addCheckpoint(builder, width);
+    addEnemies(builder, width);
+
+    return {
+        name: settings.name || `Generated ${seed}`,
+        id: settings.id || `seed-${seed}`,
+        width,
+        height: LEVEL_HEIGHT,
+        playerStart: { x: 100, y: GROUND_Y - 66 },
+        // Enough time to cross the level about three times at full speed
+        timeLimit: Math.max(200, Math.ceil(width / settings.moveSpeed * 3 / 50) * 50),
+        theme,
+        music: theme === 'castle' ? 'music-boss' : null,
+        backgrounds: THEME_BACKGROUNDS[theme].map((image, index) => ({
+            image,
+            scrollSpeed: (index + 1) / 10,
+            y: theme === 'day' ? index * 50 : (index % 2) * 50
+        })),
+        tileLayers: [
+            {
+                name: 'ground',
+                tiles: builder.tiles
+            }
+        ],
+        entities: builder.entities
+    };
+}
+
+/**
+ * Generate the level for a generated level ID
+ * Supported IDs:
+ *   seed-<seed>                 One-off level at the default difficulty
+ *   daily-<yyyy-mm-dd>          Daily challenge, the same for everyone on that date
+ *   endless-<runSeed>-<stage>   Endless run stage, harder and longer each stage
+ * @param {string} id - Level ID
+ * @returns {Object|null} - Level or null if the ID isn't a generated level
+ */
+export function generateLevelFromId(id) {
+    const options = parseGeneratedLevelId(id);
+    return options ? generateLevel(options) : null;
+}
+
+/**
+ * Parse a generated level ID into generator options
+ * @param {string} id - Level ID
+ * @returns {Object|null} - Generator options or null if the ID isn't a generated level
+ */
+export function parseGeneratedLevelId(id) {
+    if (typeof id !== 'string') return null;
+
+    const daily = id.match(/^daily-(\d{4}-\d{2}-\d{2})$/);
+    if (daily) {
+        return { id, name: `Daily ${daily[1]}`, seed: id, difficulty: 0.5, length: 3840 };
+    }
+
+    const endless = id.match(/^endless-(.+)-(\d+)$/);
+    if (endless) {
+        const stage = Math.max(1, parseInt(endless[2], 10));
+        return {
+            id,
+            name: `Endless ${stage}`,
+            seed: id,
+            runSeed: endless[1],
+            stage,
+            difficulty: Math.min(1, 0.15 + 0.1 * (stage - 1)),
+            length: 2400 + 320 * Math.min(stage, 10)
+        };
+    }
+
+    const seeded = id.match(/^seed-(.+)$/);
+    if (seeded) {
+        return { id, name: `Seed ${seeded[1]}`, seed: seeded[1] };
+    }
+
+    return null;
+}
+
+/**
+ * Get the daily challenge level ID for a date
+ * @param {Date} [date] - Date, defaults to today (UTC)
+ * @returns {string} - Level ID
+ */
+export function getDailyLevelId(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Get the level ID for a stage of an endless run
+ * @param {string|number} runSeed - Seed for the whole run
+ * @param {number} stage - Stage number (1-based)
+ * @returns {string} - Level ID
+ */
+export function getEndlessLevelId(runSeed, stage) {
+    return `endless-${runSeed}-${stage}`;
+}
+
+/**
+ * Get the horizontal distance the player can cover in a running jump
+ * Speeds are capped at terminal velocity, as they are in game
+ * @param {number} rise - Height gained by the jump in pixels (negative for a drop)
+ * @param {Object} settings - Generator settings with moveSpeed, jumpForce, gravity and terminalVelocity
+ * @returns {number} - Distance in pixels, 0 if the height can't be reached
+ */
+export function getJumpReach(rise, settings = GENERATOR_DEFAULTS) {
+    const { gravity, terminalVelocity } = settings;
+    const runSpeed = Math.min(settings.moveSpeed, terminalVelocity);
+    const launchSpeed = Math.min(settings.jumpForce, terminalVelocity);
+
+    const peak = getJumpHeight(settings);
+    if (rise > peak) return 0;
+
+    // Up to the peak, then down to the landing height, falling no faster than terminal velocity
+    const riseTime = launchSpeed / gravity;
+    const drop = peak - rise;
+    const freeFall = terminalVelocity * terminalVelocity / (2 * gravity);
+    const fallTime = drop <= freeFall
+        ? Math.sqrt(2 * drop / gravity)
+        : terminalVelocity / gravity + (drop - freeFall) / terminalVelocity;
+
+    return runSpeed * (riseTime + fallTime);
+}
+
+/**
+ * Add a ground run at the builder's ground height
+ * @param {Object} builder - Generator state
+ * @param {number} x - Left edge
+ * @param {number} width - Run width
+ * @returns {Object} - The ground tile
+ */
+function addGround(builder, x, width) {
+    const tile = { type: 'ground', x, y: GROUND_Y, width, height: GROUND_HEIGHT };
+
+    builder.tiles.push(tile);
+    builder.groundRuns.push(tile);
+    builder.x = x + width;
+
+    return tile;
+}
+
+/**
+ * Leave a jumpable gap and put a coin arc over it
+ * @param {Object} builder - Generator state
+ * @returns {number} - Gap width
+ */
+function addGap(builder) {
+    const width = getGapWidth(builder, 0);
+    const startX = builder.x;
+
+    // Coins trace the jump over the gap
+    [-1, 0, 1].forEach(step => {
+        builder.entities.push({
+            type: 'coin',
+            x: snap(startX + width / 2 + step * 32 - 8),
+            y: GROUND_Y - 96 - (step === 0 ? 32 : 0),
+            value: 1
+        });
+    });
+
+    builder.x += width;
+    return width;
+}
+
+/**
+ * Gap followed by a ground run
+ * @param {Object} builder - Generator state
+ */
+function addGapSegment(builder) {
+    addGap(builder);
+    addGround(builder, builder.x, builder.random.int(6, 14) * TILE_SIZE);
+}
+
+/**
+ * Wide gap crossed by hopping between raised platforms
+ * @param {Object} builder - Generator state
+ */
+function addPlatformSegment(builder) {
+    const { random } = builder;
+    const count = random.int(1, 3);
+    let previousTop = GROUND_Y;
+
+    for (let i = 0; i < count; i++) {
+        // Rise at most two thirds of the jump height so platforms stay comfortable
+        const maxRise = getJumpHeight(builder.settings) * 2 / 3;
+        const top = snap(clamp(GROUND_Y - random.range(48, maxRise), GROUND_Y - maxRise, GROUND_Y - 48));
+        const hop = getGapWidth(builder, previousTop - top);
+        const width = random.int(2, 4) * TILE_SIZE;
+        const platform = { type: 'platform', x: builder.x + hop, y: top, width, height: TILE_SIZE };
+
+        builder.tiles.push(platform);
+
+        // A coin on each platform rewards the detour
+        builder.entities.push({ type: 'coin', x: snap(platform.x + width / 2 - 8), y: top - 40, value: 1 });
+
+        builder.x = platform.x + width;
+        previousTop = top;
+    }
+
+    // Drop back down to the ground
+    const hop = getGapWidth(builder, previousTop - GROUND_Y);
+    addGround(builder, builder.x + hop, random.int(6, 12) * TILE_SIZE);
+}
+
+/**
+ * Ground run with a row of blocks above it
+ * @param {Object} builder - Generator state
+ * @param {boolean} firstRow - Whether this is the level's first block row
+ */
+function addBlockSegment(builder, firstRow) {
+    const { random } = builder;
+    const run = addGround(builder, builder.x, random.int(10, 16) * TILE_SIZE);
+    const count = random.int(3, 5);
+    const startX = run.x + snap(random.range(64, run.width - count * TILE_SIZE - 64));
+
+    for (let i = 0; i < count; i++) {
+        const block = { type: 'block', x: startX + i * TILE_SIZE, y: BLOCK_Y, width: TILE_SIZE, height: TILE_SIZE };
+
+        // The first block row always gives a mushroom so the player can power up early
+        const contents = firstRow && i === Math.floor(count / 2) ? 'mushroom' : pickBlockContents(builder);
+        if (contents) block.contains = contents;
+
+        builder.tiles.push(block);
+    }
+
+    // Occasionally hide an extra life just past the row
+    if (random.chance(0.15)) {
+        builder.tiles.push({
+            type: 'hiddenBlock',
+            x: startX + (count + 1) * TILE_SIZE,
+            y: BLOCK_Y,
+            width: TILE_SIZE,
+            height: TILE_SIZE,
+            contains: '1up'
+        });
+    }
+}
+
+/**
+ * Gap too wide to jump, crossed on a moving platform
+ * @param {Object} builder - Generator state
+ */
+function addMovingPlatformSegment(builder) {
+    const { random, settings } = builder;
+    const width = 64;
+    const gap = snap(getJumpReach(0, settings) * random.range(1.5, 2.5));
+    const startX = builder.x + GRID_SIZE;
+
+    // The platform travels from the near edge to just short of the far one
+    builder.tiles.push({
+        type: 'movingPlatform',
+        x: startX,
+        y: GROUND_Y - TILE_SIZE,
+        width,
+        height: GRID_SIZE,
+        moveX: gap - width - 2 * GRID_SIZE,
+        moveY: 0,
+        speed: 1 + builder.difficulty
+    });
+
+    builder.x += gap;
+    addGround(builder, builder.x, random.int(6, 12) * TILE_SIZE);
+}
+
+/**
+ * Place a checkpoint on the first ground run past the middle of the level
+ * @param {Object} builder - Generator state
+ * @param {number} width - Level width
+ */
+function addCheckpoint(builder, width) {
+    const run = builder.groundRuns.find(ground => ground.x >= width / 2 && ground.width >= 128);
+    if (!run) return;
+
+    builder.entities.push({ type: 'checkpoint', x: run.x + 32, y: GROUND_Y - 64, id: 'checkpoint1' });
+}
+
+/**
+ * Place enemies on ground runs, getting denser towards the end of the level
+ * @param {Object} builder - Generator state
+ * @param {number} width - Level width
+ */
+function addEnemies(builder, width) {
+    const { random, settings, difficulty } = builder;
+    const finalDensity = settings.enemyDensity !== null ? settings.enemyDensity : 1 + 4 * difficulty;
+    const koopaChance = 0.15 + 0.35 * difficulty;
+
+    builder.groundRuns.forEach(run => {
+        // Keep the spawn and the goal clear
+        const left = Math.max(run.x + 32, START_WIDTH / 2 + 100);
+        const right = Math.min(run.x + run.width - 64, width - 256);
+        if (right <= left) return;
+
+        // Density ramps from half to full strength over the level
+        const progress = run.x / width;
+        const density = finalDensity * (0.5 + 0.5 * progress);
+        const expected = (right - left) / 1000 * density;
+        const count = Math.floor(expected) + (random.chance(expected % 1) ? 1 : 0);
+
+        for (let i = 0; i < count; i++) {
+            builder.entities.push({
+                type: 'enemy',
+                x: snap(random.range(left, right)),
+                y: GROUND_Y - 32,
+                enemyType: random.chance(koopaChance) ? 'koopa' : 'goomba'
+            });
+        }
+    });
+}
+
+/**
+ * Pick what a block holds
+ * @param {Object} builder - Generator state
+ * @returns {string|null} - Block contents or null for an empty block
+ */
+function pickBlockContents(builder) {
+    const { random, settings, difficulty } = builder;
+    const powerupChance = settings.powerupChance !== null ? settings.powerupChance : 0.25 - 0.15 * difficulty;
+
+    if (random.chance(powerupChance)) {
+        return random.weighted(POWERUP_WEIGHTS);
+    }
+
+    return random.chance(0.6) ? 'coin' : null;
+}
+
+/**
+ * Get a random gap width the player can clear
+ * Harder levels use more of the player's jump
+ * @param {Object} builder - Generator state
+ * @param {number} rise - Height gained by the jump in pixels
+ * @returns {number} - Gap width in pixels
+ */
+function getGapWidth(builder, rise) {
+    const margin = 0.55 + 0.3 * builder.difficulty;
+    const maxGap = Math.max(TILE_SIZE, Math.floor(getJumpReach(rise, builder.settings) * margin / GRID_SIZE) * GRID_SIZE);
+    const minGap = Math.min(48, maxGap);
+
+    return snap(builder.random.range(minGap, maxGap), Math.floor);
+}
+
+/**
+ * Get the highest the player can jump
+ * @param {Object} settings - Generator settings
+ * @returns {number} - Jump height in pixels
+ */
+function getJumpHeight(settings) {
+    const launchSpeed = Math.min(settings.jumpForce, settings.terminalVelocity);
+    return launchSpeed * launchSpeed / (2 * settings.gravity);
+}
+
+/**
+ * Snap a coordinate to the level grid
+ * @param {number} value - Coordinate
+ * @param {Function} [round] - Rounding function
+ * @returns {number} - Snapped coordinate
+ */
+function snap(value, round = Math.round) {
+    return round(value / GRID_SIZE) * GRID_SIZE;
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} - Clamped value
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+}
+
+/**
+ * Map the values of an object
+ * @param {Object} object - Object to map
+ * @param {Function} map - Mapping function
+ * @returns {Object} - Object with mapped values
+ */
+function mapValues(object, map) {
+    const result = {};
+
+    Object.keys(object).forEach(key => {
+        result[key] = map(object[key]);
+    });
+
+    return result;
+}
@@ -4,11 +4,28 @@
  */
 
 import { Platform } from '../entities/platform.js';
+import { Block } from '../entities/block.js';
 import { Coin } from '../entities/coin.js';
 import { Enemy } from '../entities/enemy.js';
 import { Powerup } from '../entities/powerup.js';
 import { Checkpoint } from '../entities/checkpoint.js';
 import { Goal } from '../entities/goal.js';
+import { Warp } from '../entities/warp.js';
+import { Hazard } from '../entities/hazard.js';
+import { Torch } from '../entities/torch.js';
+import { normalizeLevel, LEVEL_DEFAULTS, MAIN_AREA_ID } from './levelParser.js';
+import { validateLevel, formatIssue } from './levelValidator.js';
+import { LEVEL_SCHEMA } from './levelSchema.js';
+import { TileCollisionMap, isOneWayTile } from './tileCollisionMap.js';
+import { getTheme } from './themes.js';
+
+// Tile colors for surface materials
+const MATERIAL_COLORS = {
+    ice: '#A5F2F3',
+    conveyor: '#555555',
+    springboard: '#E63946',
+    mud: '#5B3A1A'
+};
 
 export class LevelManager {
     constructor(game) {
@@ -18,177 +35,379 @@ export class LevelManager {
         this.currentLevel = null;
         this.levelWidth = 0;
         this.levelHeight = 0;
-        this.tileSize = 32; // Default tile size
+        this.tileSize = LEVEL_DEFAULTS.tileSize; // Default tile size
+        this.playerStart = { ...LEVEL_DEFAULTS.playerStart };
+        this.timeLimit = LEVEL_DEFAULTS.timeLimit;
+        this.theme = LEVEL_DEFAULTS.theme;
+        this.music = LEVEL_DEFAULTS.music;
         
         // Background layers for parallax
         this.backgroundLayers = [];
         
+        // Static level geometry, drawn here and collided through the tile map
+        this.staticTiles = [];
+        this.collisionMap = null;
+        
+        // Regions of the current area the camera keeps to
+        this.cameraSections = [];
+        
+        // Sub-areas reached through warps
+        this.currentAreaId = MAIN_AREA_ID;
+        this.areaStates = {}; // Entities left behind in each visited area, keyed by area ID
+        
         // Bind methods
         this.loadLevel = this.loadLevel.bind(this);
+        this.unloadLevel = this.unloadLevel.bind(this);
+        this.loadArea = this.loadArea.bind(this);
+        this.switchArea = this.switchArea.bind(this);
+        this.getArea = this.getArea.bind(this);
+        this.findWarp = this.findWarp.bind(this);
+        this.findCameraSection = this.findCameraSection.bind(this);
         this.parseLevel = this.parseLevel.bind(this);
         this.createEntity = this.createEntity.bind(this);
+        this.update = this.update.bind(this);
+        this.render = this.render.bind(this);
+    }
+    
+    /**
+     * Update the level
+     * Level objects are entities and update themselves, so this only moves the camera
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.game.renderer.updateCamera();
+    }
+    
+    /**
+     * Render the level background and static geometry
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        renderer.drawBackground();
+        
+        // Draw static tiles (drawRect skips anything off screen)
+        this.staticTiles.forEach(tile => {
+            if (tile.type === 'spikes') {
+                this.drawSpikes(renderer, tile);
+            } else if (tile.type === 'lava') {
+                renderer.drawRect(tile.x, tile.y, tile.width, tile.height, '#FF4500');
+                renderer.drawRect(tile.x, tile.y, tile.width, 6, '#FFA500'); // Glowing surface
+            } else if (tile.type === 'water') {
+                renderer.drawRect(tile.x, tile.y, tile.width, tile.height, '#1E90FF', { opacity: 0.4 });
+            } else if (tile.type === 'ladder') {
+                this.drawLadder(renderer, tile);
+            } else if (tile.type === 'slope') {
+                this.drawSlope(renderer, tile);
+            } else {
+                const material = tile.properties && tile.properties.material;
+                renderer.drawRect(tile.x, tile.y, tile.width, tile.height, MATERIAL_COLORS[material] || '#8B4513'); // Brown color for platforms
+            }
+        });
+        
+        // Show the merged collision rectangles in debug mode
+        if (this.game.debug && this.collisionMap) {
+            this.collisionMap.rects.forEach(rect => {
+                renderer.drawRect(rect.x, rect.y, rect.width, rect.height, 'rgba(0, 255, 0, 0.3)', {
+                    stroke: 'rgba(0, 255, 0, 0.8)'
+                });
+            });
+        }
+    }
+    
+    /**
+     * Draw a ladder tile as two rails with rungs between them
+     * @param {Renderer} renderer - The game renderer
+     * @param {Object} tile - Ladder tile
+     */
+    drawLadder(renderer, tile) {
+        renderer.drawRect(tile.x, tile.y, 4, tile.height, '#8B5A2B');
+        renderer.drawRect(tile.x + tile.width - 4, tile.y, 4, tile.height, '#8B5A2B');
+        
+        for (let rungY = tile.y + 8; rungY < tile.y + tile.height; rungY += 16) {
+            renderer.drawRect(tile.x, rungY, tile.width, 3, '#DEB887');
+        }
+    }
+    
+    /**
+     * Draw a spike tile as a row of points
+     * @param {Renderer} renderer - The game renderer
+     * @param {Object} tile - Spike tile
+     */
+    drawSpikes(renderer, tile) {
+        if (!renderer.isVisible(tile.x, tile.y, tile.width, tile.height)) return;
+        
+        const ctx = renderer.ctx;
+        const screen = renderer.worldToScreen(tile.x, tile.y);
+        const count = Math.max(1, Math.round(tile.width / 16));
+        const spikeWidth = tile.width / count;
+        
+        ctx.save();
+        ctx.fillStyle = '#C0C0C0';
+        ctx.strokeStyle = '#606060';
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const left = screen.x + i * spikeWidth;
+            ctx.moveTo(left, screen.y + tile.height);
+            ctx.lineTo(left + spikeWidth / 2, screen.y);
+            ctx.lineTo(left + spikeWidth, screen.y + tile.height);
+            ctx.closePath();
+        }
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a slope tile as a triangle under its surface
+     * @param {Renderer} renderer - The game renderer
+     * @param {Object} tile - Slope tile
+     */
+    drawSlope(renderer, tile) {
+        if (!renderer.isVisible(tile.x, tile.y, tile.width, tile.height)) return;
+        
+        const ctx = renderer.ctx;
+        const screen = renderer.worldToScreen(tile.x, tile.y);
+        const material = tile.properties && tile.properties.material;
+        const rising = !tile.properties || tile.properties.direction !== 'down';
+        
+        ctx.save();
+        ctx.fillStyle = MATERIAL_COLORS[material] || '#8B4513';
+        ctx.beginPath();
+        ctx.moveTo(screen.x, screen.y + tile.height);
+        ctx.lineTo(screen.x + tile.width, screen.y + tile.height);
+        ctx.lineTo(rising ? screen.x + tile.width : screen.x, screen.y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
     }
     
     /**
      * Load a level from level data
-     * @param {Object} levelData - Level data object
+     * @param {Object} levelData - Level module or Tiled JSON map
      */
     loadLevel(levelData) {
         console.log('Loading level:', levelData.name);
         
-        this.currentLevel = levelData;
+        // Report problems in the level data, but still load what we can
+        const validation = validateLevel(levelData);
+        validation.errors.forEach(issue => console.error('Level error:', formatIssue(issue)));
+        validation.warnings.forEach(issue => console.warn('Level warning:', formatIssue(issue)));
+        
+        // Convert the authored data into the normalized level model
+        const level = normalizeLevel(levelData, { tileSize: this.tileSize });
         
-        // Set level dimensions
-        this.levelWidth = levelData.width * this.tileSize;
-        this.levelHeight = levelData.height * this.tileSize;
+        this.currentLevel = level;
+        this.tileSize = level.tileSize;
+        this.timeLimit = level.timeLimit;
         
-        // Set background layers
-        this.backgroundLayers = levelData.backgroundLayers || [];
+        // Every load starts fresh in the main area, with no triggers fired
+        this.currentAreaId = MAIN_AREA_ID;
+        this.areaStates = {};
+        this.game.triggerManager.reset();
         
-        // Parse level data and create entities
-        this.parseLevel(levelData);
+        this.loadArea(level);
     }
     
     /**
-     * Parse level data and create entities
-     * @param {Object} levelData - Level data object
+     * Clear the current level: its entities, colliders, triggers, weather, auto-scrolling and theme
+     * Leaves nothing behind to update or draw, e.g. the wind or a dark theme's lighting
      */
-    parseLevel(levelData) {
-        // Create static platforms and objects from the level data
-        if (levelData.layers) {
-            levelData.layers.forEach(layer => {
-                if (layer.type === 'tilelayer') {
-                    this.parseTileLayer(layer, levelData.tilesets);
-                } else if (layer.type === 'objectgroup') {
-                    this.parseObjectLayer(layer);
-                }
-            });
+    unloadLevel() {
+        this.game.entityManager.clearEntities();
+        this.game.physics.clearColliders();
+        this.game.physics.setTileMap(null);
+        this.game.triggerManager.reset();
+        this.game.weather.stop();
+        this.game.autoScroller.stop();
+        
+        this.currentLevel = null;
+        this.currentAreaId = MAIN_AREA_ID;
+        this.areaStates = {};
+        this.staticTiles = [];
+        this.collisionMap = null;
+        this.cameraSections = [];
+        
+        // Back to the default theme, without the level's tint, darkness or backgrounds
+        this.theme = LEVEL_DEFAULTS.theme;
+        this.backgroundLayers = [];
+        this.game.renderer.setTheme(this.theme);
+        this.game.renderer.clearBackgroundLayers();
+    }
+    
+    /**
+     * Set up the level or one of its sub-areas: bounds, backgrounds, music and contents
+     * @param {Object} area - Normalized level or sub-area
+     * @param {Array} [savedEntities] - Entities kept from an earlier visit, created fresh when omitted
+     */
+    loadArea(area, savedEntities = null) {
+        const level = this.currentLevel;
+        
+        // Set area dimensions (in pixels)
+        this.levelWidth = area.width;
+        this.levelHeight = area.height;
+        
+        // Sub-areas fall back to the level's start position, theme and music
+        this.playerStart = { ...(area.playerStart || level.playerStart) };
+        this.theme = area.theme || level.theme;
+        this.music = area.music || level.music;
+        
+        // Set background layers, from the theme's set when the area declares none
+        if (area.backgrounds.length > 0) {
+            this.backgroundLayers = area.backgrounds;
+        } else {
+            this.backgroundLayers = getTheme(this.theme).backgrounds.map((image, index) => ({
+                image,
+                scrollSpeed: 0.1 * (index + 1),
+                y: 0
+            }));
+        }
+        this.applyTheme();
+        
+        // Start the area's weather, or clear the last area's
+        this.game.weather.start(area.weather);
+        
+        // Set camera sections
+        this.cameraSections = area.cameraSections;
+        
+        // Build the collision grid for static geometry
+        this.collisionMap = TileCollisionMap.fromLevel(area);
+        this.game.physics.setTileMap(this.collisionMap);
+        
+        // Set up the area's trigger zones
+        this.game.triggerManager.setTriggers(area.triggers);
+        
+        if (savedEntities) {
+            // Put back what was left of the area, so collected coins and defeated enemies stay gone
+            this.staticTiles = area.tiles.filter(tile => this.isStaticTile(tile));
+            savedEntities.forEach(entity => this.game.entityManager.addEntity(entity));
+        } else {
+            // Create entities from the level model
+            this.parseLevel(area);
         }
     }
     
     /**
-     * Parse a tile layer and create corresponding entities
-     * @param {Object} layer - Tile layer data
-     * @param {Array} tilesets - Tilesets used in the level
+     * Draw the current area with its theme and background layers
+     * Backgrounds without a loaded image are left out, leaving the theme's sky
      */
-    parseTileLayer(layer, tilesets) {
-        const { width, height, data } = layer;
-        
-        // Process each tile in the layer
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const tileIndex = y * width + x;
-                const tileId = data[tileIndex];
-                
-                // Skip empty tiles (tileId === 0)
-                if (tileId === 0) continue;
-                
-                // Find the tileset for this tile
-                const tileset = this.findTilesetForTile(tileId, tilesets);
-                if (!tileset) continue;
-                
-                // Calculate the local tile ID within the tileset
-                const localTileId = tileId - tileset.firstgid;
-                
-                // Create entity based on tile properties
-                this.createEntityFromTile(x, y, localTileId, tileset, layer.name);
+    applyTheme() {
+        const renderer = this.game.renderer;
+        const images = this.game.assetLoader.images;
+        
+        renderer.setTheme(this.theme);
+        renderer.clearBackgroundLayers();
+        
+        this.backgroundLayers.forEach(background => {
+            if (images[background.image]) {
+                renderer.addBackgroundLayer(images[background.image], background.scrollSpeed, { y: background.y });
             }
+        });
+    }
+    
+    /**
+     * Move to another area of the current level
+     * The entities of the area being left are kept, minus the player, and restored on return
+     * @param {string} areaId - Sub-area ID, or MAIN_AREA_ID for the level itself
+     * @returns {boolean} - Whether the area exists
+     */
+    switchArea(areaId) {
+        const area = this.getArea(areaId);
+        
+        if (!area) {
+            console.error(`Area "${areaId}" not found in level ${this.currentLevel && this.currentLevel.id}`);
+            return false;
         }
+        
+        // Remember the area being left
+        const entityManager = this.game.entityManager;
+        this.areaStates[this.currentAreaId] = [...entityManager.entities, ...entityManager.entitiesToAdd]
+            .filter(entity => entity.type !== 'player' && !entityManager.entitiesToRemove.includes(entity));
+        
+        // Clear the area's entities and colliders
+        entityManager.clearEntities();
+        this.game.physics.clearColliders();
+        
+        this.currentAreaId = areaId;
+        this.loadArea(area, this.areaStates[areaId] || null);
+        
+        return true;
     }
     
     /**
-     * Find the tileset that contains a specific tile
-     * @param {number} tileId - Global tile ID
-     * @param {Array} tilesets - Available tilesets
-     * @returns {Object|null} - Matching tileset or null if not found
+     * Get an area of the current level
+     * @param {string} areaId - Sub-area ID, or MAIN_AREA_ID for the level itself
+     * @returns {Object|null} - Normalized level or sub-area, null if not found
      */
-    findTilesetForTile(tileId, tilesets) {
-        // Sort tilesets by firstgid in descending order
-        const sortedTilesets = [...tilesets].sort((a, b) => b.firstgid - a.firstgid);
+    getArea(areaId) {
+        if (!this.currentLevel) return null;
+        if (areaId === MAIN_AREA_ID) return this.currentLevel;
         
-        // Find the first tileset where the tile ID is greater than or equal to the firstgid
-        return sortedTilesets.find(tileset => tileId >= tileset.firstgid) || null;
+        return this.currentLevel.areas.find(area => area.id === areaId) || null;
     }
     
     /**
-     * Create an entity from a tile
-     * @param {number} x - Tile X position
-     * @param {number} y - Tile Y position
-     * @param {number} localTileId - Local tile ID within the tileset
-     * @param {Object} tileset - Tileset data
-     * @param {string} layerName - Name of the layer
+     * Find a warp in the current area
+     * @param {string} warpId - Warp ID
+     * @returns {Warp|null} - The warp, or null if not found
      */
-    createEntityFromTile(x, y, localTileId, tileset, layerName) {
-        // Convert tile coordinates to world coordinates
-        const worldX = x * this.tileSize;
-        const worldY = y * this.tileSize;
-        
-        // Get tile properties from tileset
-        const tileProps = this.getTileProperties(localTileId, tileset);
-        
-        // Create different entities based on tile properties
-        if (tileProps && tileProps.type) {
-            switch (tileProps.type) {
-                case 'platform':
-                    this.createPlatform(worldX, worldY, tileProps, tileset, localTileId);
-                    break;
-                case 'coin':
-                    this.createCoin(worldX, worldY, tileProps);
-                    break;
-                case 'enemy':
-                    this.createEnemy(worldX, worldY, tileProps);
-                    break;
-                case 'powerup':
-                    this.createPowerup(worldX, worldY, tileProps);
-                    break;
-                case 'checkpoint':
-                    this.createCheckpoint(worldX, worldY, tileProps);
-                    break;
-                case 'goal':
-                    this.createGoal(worldX, worldY, tileProps);
-                    break;
-                default:
-                    // Default to platform for unknown types
-                    this.createPlatform(worldX, worldY, tileProps, tileset, localTileId);
-            }
-        } else {
-            // If no specific type, create a platform by default for solid layers
-            if (layerName === 'solid' || layerName === 'platforms') {
-                this.createPlatform(worldX, worldY, {}, tileset, localTileId);
-            }
-        }
+    findWarp(warpId) {
+        const entityManager = this.game.entityManager;
+        
+        return [...entityManager.entities, ...entityManager.entitiesToAdd]
+            .find(entity => entity.type === 'warp' && entity.id === warpId) || null;
     }
     
     /**
-     * Get properties for a specific tile
-     * @param {number} localTileId - Local tile ID within the tileset
-     * @param {Object} tileset - Tileset data
-     * @returns {Object} - Tile properties
+     * Find the camera section an entity is in
+     * Where sections overlap, the current one is kept until the entity leaves it,
+     * so the camera doesn't flip between them
+     * @param {Object} entity - Entity to look for, usually the player
+     * @param {Object} [current] - Section the camera is in now
+     * @returns {Object|null} - The section containing the entity's center, or null
      */
-    getTileProperties(localTileId, tileset) {
-        if (!tileset.tiles) return {};
+    findCameraSection(entity, current = null) {
+        const centerX = entity.x + entity.width / 2;
+        const centerY = entity.y + entity.height / 2;
+        const contains = section => (
+            centerX >= section.x &&
+            centerX < section.x + section.width &&
+            centerY >= section.y &&
+            centerY < section.y + section.height
+        );
         
-        // Find the tile in the tileset's tiles array
-        const tileData = tileset.tiles.find(tile => tile.id === localTileId);
+        if (current && contains(current)) return current;
         
-        // Return the properties or an empty object
-        return tileData ? tileData.properties || {} : {};
+        return this.cameraSections.find(contains) || null;
     }
     
     /**
-     * Parse an object layer and create corresponding entities
-     * @param {Object} layer - Object layer data
+     * Check whether a tile is static geometry kept in the collision map
+     * @param {Object} tile - Tile descriptor
+     * @returns {boolean} - Whether the tile is static
      */
-    parseObjectLayer(layer) {
-        if (!layer.objects) return;
-        
-        layer.objects.forEach(obj => {
-            // Convert object coordinates to world coordinates
-            const worldX = obj.x;
-            const worldY = obj.y;
-            
-            // Create entity based on object type
-            this.createEntity(obj.type, worldX, worldY, obj.width, obj.height, obj.properties || {});
+    isStaticTile(tile) {
+        const definition = LEVEL_SCHEMA.tiles[tile.type];
+        return Boolean(definition) && !definition.dynamic;
+    }
+    
+    /**
+     * Create entities from a normalized level model
+     * @param {Object} level - Normalized level model
+     */
+    parseLevel(level) {
+        // Static tiles live in the collision map; only dynamic ones become entities
+        this.staticTiles = [];
+        
+        level.tiles.forEach(tile => {
+            if (this.isStaticTile(tile)) {
+                this.staticTiles.push(tile);
+            } else {
+                this.createEntity(tile.type, tile.x, tile.y, tile.width, tile.height, tile.properties);
+            }
+        });
+        
+        level.entities.forEach(entity => {
+            this.createEntity(entity.type, entity.x, entity.y, entity.width, entity.height, entity.properties);
         });
     }
     
@@ -206,13 +425,25 @@ export class LevelManager {
         let entity = null;
         
         switch (type) {
+            case 'ground':
             case 'platform':
-                entity = this.createPlatform(x, y, properties, null, null, width, height);
+                entity = this.createPlatform(x, y, {
+                    ...properties,
+                    oneWay: isOneWayTile({ type, properties })
+                }, null, null, width, height);
+                break;
+            case 'movingPlatform':
+                entity = this.createMovingPlatform(x, y, properties, width, height);
                 break;
             case 'block':
-            case 'hiddenBlock':
                 entity = this.createBlock(x, y, properties, null, null, width, height);
                 break;
+            case 'hiddenBlock':
+                entity = this.createBlock(x, y, { ...properties, isHidden: true }, null, null, width, height);
+                break;
+            case 'brick':
+                entity = this.createBlock(x, y, { ...properties, breakable: true }, null, null, width, height);
+                break;
             case 'coin':
                 entity = this.createCoin(x, y, properties);
                 break;
@@ -228,6 +459,15 @@ export class LevelManager {
             case 'goal':
                 entity = this.createGoal(x, y, properties, width, height);
                 break;
+            case 'warp':
+                entity = this.createWarp(x, y, properties, width, height);
+                break;
+            case 'hazard':
+                entity = this.createHazard(x, y, properties, width, height);
+                break;
+            case 'torch':
+                entity = this.createTorch(x, y);
+                break;
             default:
                 console.warn(`Unknown entity type: ${type}`);
         }
@@ -257,18 +497,49 @@ export class LevelManager {
             width: platformWidth,
             height: platformHeight,
             game: this.game,
+            id: properties.id,
             isMoving: properties.isMoving || false,
+            oneWay: properties.oneWay || false,
             moveSpeed: properties.moveSpeed || 1,
             moveDistance: properties.moveDistance || 0,
             moveDirection: properties.moveDirection || 'horizontal',
-            tilesetImage: tileset ? tileset.image : null,
-            tileId
+            flipX: properties.flipX || false,
+            flipY: properties.flipY || false,
+            tilesetImage: tileset ? tileset.image : (properties.tilesetImage || null),
+            tileId: tileId !== null ? tileId : (properties.tileId !== undefined ? properties.tileId : null)
         });
         
         // Add platform to entity manager
         return this.game.entityManager.addEntity(platform);
     }
     
+    /**
+     * Create a moving platform from level module properties
+     * Level modules describe movement as an offset (moveX/moveY) and a relative speed.
+     * Platforms with waitForTrigger stay put until a trigger starts them
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} properties - Moving platform properties (moveX, moveY, speed)
+     * @param {number} width - Width (optional, defaults to tileSize)
+     * @param {number} height - Height (optional, defaults to tileSize)
+     * @returns {Object} - Created platform entity
+     */
+    createMovingPlatform(x, y, properties, width = null, height = null) {
+        const moveX = properties.moveX || 0;
+        const moveY = properties.moveY || 0;
+        const isHorizontal = moveX !== 0 || moveY === 0;
+        
+        return this.createPlatform(x, y, {
+            ...properties,
+            isMoving: !properties.waitForTrigger,
+            oneWay: isOneWayTile({ type: 'movingPlatform', properties }),
+            moveDirection: isHorizontal ? 'horizontal' : 'vertical',
+            moveDistance: isHorizontal ? moveX : moveY,
+            // A speed of 1 matches the platform's default speed
+            moveSpeed: (properties.speed || 1) * 50
+        }, null, null, width, height);
+    }
+    
     /**
      * Create a block entity
      * @param {number} x - X position
@@ -285,16 +556,23 @@ export class LevelManager {
         const blockHeight = height || this.tileSize;
         
         // Create block entity
-        const block = new this.game.entityClasses.Block({
+        const block = new Block({
             x,
             y,
             width: blockWidth,
             height: blockHeight,
             game: this.game,
             isHidden: properties.isHidden || false,
+            breakable: properties.breakable || false,
             contains: properties.contains || null,
-            tilesetImage: tileset ? tileset.image : null,
-            tileId
+            coinTime: properties.coinTime,
+            vineLength: properties.vineLength,
+            targetArea: properties.targetArea,
+            targetWarp: properties.targetWarp,
+            flipX: properties.flipX || false,
+            flipY: properties.flipY || false,
+            tilesetImage: tileset ? tileset.image : (properties.tilesetImage || null),
+            tileId: tileId !== null ? tileId : (properties.tileId !== undefined ? properties.tileId : null)
         });
         
         // Add block to entity manager
@@ -341,10 +619,11 @@ export class LevelManager {
             width,
             height,
             game: this.game,
-            type: properties.enemyType || 'goomba',
+            enemyType: properties.enemyType || 'goomba',
             patrolDistance: properties.patrolDistance || 100,
             speed: properties.speed || 50,
-            isBoss: properties.isBoss || false
+            isBoss: properties.isBoss || properties.enemyType === 'boss',
+            health: properties.health
         });
         
         // Add enemy to entity manager
@@ -366,7 +645,7 @@ export class LevelManager {
             width: 24,
             height: 24,
             game: this.game,
-            type: properties.powerupType || 'mushroom'
+            powerupType: properties.powerupType || 'mushroom'
         });
         
         // Add powerup to entity manager
@@ -400,11 +679,11 @@ export class LevelManager {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {Object} properties - Goal properties
-     * @param {number} width - Width (optional)
-     * @param {number} height - Height (optional)
+     * @param {number} [width] - Width, GOAL_SIZE by default
+     * @param {number} [height] - Height, GOAL_SIZE by default
      * @returns {Object} - Created goal entity
      */
-    createGoal(x, y, properties, width = 32, height = 64) {
+    createGoal(x, y, properties, width, height) {
         // Create goal entity
         const goal = new Goal({
             x,
@@ -412,10 +691,86 @@ export class LevelManager {
             width,
             height,
             game: this.game,
-            type: properties.goalType || 'flag'
+            goalType: properties.goalType || 'flag',
+            exit: properties.exit
         });
         
         // Add goal to entity manager
         return this.game.entityManager.addEntity(goal);
     }
+    
+    /**
+     * Create a warp entity
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} properties - Warp properties
+     * @param {number} width - Width (optional)
+     * @param {number} height - Height (optional)
+     * @returns {Object} - Created warp entity
+     */
+    createWarp(x, y, properties, width = 64, height = 64) {
+        // Create warp entity
+        const warp = new Warp({
+            x,
+            y,
+            width,
+            height,
+            game: this.game,
+            id: properties.id || null,
+            warpType: properties.warpType || 'pipe',
+            direction: properties.direction || 'down',
+            targetArea: properties.targetArea || null,
+            targetLevel: properties.targetLevel || null,
+            targetWarp: properties.targetWarp || null,
+            locked: properties.locked || false
+        });
+        
+        // Add warp to entity manager
+        return this.game.entityManager.addEntity(warp);
+    }
+    
+    /**
+     * Create a hazard entity
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} properties - Hazard properties
+     * @param {number} width - Hazard width
+     * @param {number} height - Hazard height
+     * @returns {Object} - Created hazard entity
+     */
+    createHazard(x, y, properties, width = 32, height = 32) {
+        // Create hazard entity
+        const hazard = new Hazard({
+            x,
+            y,
+            width,
+            height,
+            game: this.game,
+            hazardType: properties.hazardType || 'saw',
+            damage: properties.damage || null,
+            moveX: properties.moveX || 0,
+            moveY: properties.moveY || 0,
+            speed: properties.speed || 1
+        });
+        
+        // Add hazard to entity manager
+        return this.game.entityManager.addEntity(hazard);
+    }
+    
+    /**
+     * Create a torch entity
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Object} - Created torch entity
+     */
+    createTorch(x, y) {
+        const torch = new Torch({
+            x,
+            y,
+            game: this.game
+        });
+        
+        // Add torch to entity manager
+        return this.game.entityManager.addEntity(torch);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,604 @@
+/**
+ * Level Parser
+ * Converts authored level data into the normalized level model used by the LevelManager
+ *
+ * Two authoring formats are supported:
+ * - Level modules (scripts/levels/*.js) with `tileLayers`, `entities` and `backgrounds`
+ * - Tiled maps with `layers` and `tilesets` (JSON, or TMX once loaded by the Tiled loader)
+ *
+ * Both produce the same model:
+ * {
+ *     id, name, width, height, tileSize, playerStart, timeLimit, theme, music,
+ *     autoScroll: { waypoints: [{ x, y, speed }] } or null,
+ *     backgrounds: [{ image, scrollSpeed, y }],
+ *     tiles: [{ type, x, y, width, height, layer, path, properties }],
+ *     entities: [{ type, x, y, width, height, path, properties }],
+ *     triggers: [{ type, id, x, y, width, height, once, requires, onEnter, onExit, path, properties }],
+ *     cameraSections: [{ type, id, x, y, width, height, path, properties }],
+ *     weather: { wind, layers: [{ type, density, ... }] } or null,
+ *     areas: [{ id, width, height, tileSize, playerStart, theme, music, backgrounds, tiles, entities, triggers, cameraSections, weather }]
+ * }
+ * `areas` are sub-areas (bonus rooms, underground sections) reached through warps.
+ * The level itself is the "main" area. `autoScroll` makes the main area scroll the
+ * camera along a path of waypoints instead of following the player (see AutoScroller);
+ * in Tiled it is a JSON level property. `triggers` are zones that run actions (see
+ * TriggerManager); in Tiled they are objects of type "trigger" whose onEnter, onExit
+ * and requires properties hold JSON. `cameraSections` split a level or sub-area into
+ * regions the camera keeps to, so tall towers and long horizontal runs can be mixed;
+ * in Tiled they are objects of type "cameraSection". Areas without sections keep the
+ * camera within their own bounds. `weather` is the ambient weather (see Weather); sub-areas
+ * don't share the level's, since they're mostly indoors. In Tiled it is a JSON level property.
+ * All positions and sizes in the model are in pixels. `path` points at the tile or
+ * entity in the authored data (e.g. "tileLayers[0].tiles[3]") for error reporting.
+ */
+
+import { LEVEL_SCHEMA } from './levelSchema.js';
+
+// Tile types that make up the level geometry
+export const TILE_TYPES = Object.keys(LEVEL_SCHEMA.tiles);
+
+// Defaults for level properties that are not declared by the level
+export const LEVEL_DEFAULTS = {
+    tileSize: 32,
+    playerStart: { x: 100, y: 350 },
+    timeLimit: 300,
+    theme: 'day',
+    music: null,
+    autoScrollSpeed: 60 // Pixels per second, for auto-scroll paths that don't set one
+};
+
+// Flags Tiled stores in the high bits of a tile GID
+export const TILED_FLAGS = {
+    FLIPPED_HORIZONTALLY: 0x80000000,
+    FLIPPED_VERTICALLY: 0x40000000,
+    FLIPPED_DIAGONALLY: 0x20000000,
+    ROTATED_HEXAGONAL_120: 0x10000000
+};
+
+// Keys of a level module tile or entity that are not passed on as properties
+const DESCRIPTOR_KEYS = ['type', 'x', 'y', 'width', 'height'];
+
+// ID of the level's own area, used by warps that lead back out of a sub-area
+export const MAIN_AREA_ID = 'main';
+
+// Trigger properties that Tiled stores as JSON strings
+const TRIGGER_JSON_KEYS = ['requires', 'onEnter', 'onExit'];
+
+/**
+ * Normalize level data from any supported format
+ * @param {Object} levelData - Level module or Tiled JSON map
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.tileSize] - Tile size used when the level doesn't declare one
+ * @returns {Object} - Normalized level model
+ */
+export function normalizeLevel(levelData, options = {}) {
+    if (isTiledLevel(levelData)) {
+        return normalizeTiledLevel(levelData, options);
+    }
+
+    return normalizeModuleLevel(levelData, options);
+}
+
+/**
+ * Check whether level data is a Tiled map
+ * @param {Object} levelData - Level data to check
+ * @returns {boolean} - True for Tiled maps
+ */
+export function isTiledLevel(levelData) {
+    return Array.isArray(levelData.layers) && !Array.isArray(levelData.tileLayers);
+}
+
+/**
+ * Normalize a level module (scripts/levels/*.js)
+ * @param {Object} levelData - Level module data
+ * @param {Object} [options] - Parser options
+ * @returns {Object} - Normalized level model
+ */
+export function normalizeModuleLevel(levelData, options = {}) {
+    const tileSize = levelData.tileSize || options.tileSize || LEVEL_DEFAULTS.tileSize;
+
+    return {
+        id: levelData.id,
+        name: levelData.name,
+        width: levelData.width,
+        height: levelData.height,
+        tileSize,
+        playerStart: { ...(levelData.playerStart || LEVEL_DEFAULTS.playerStart) },
+        timeLimit: levelData.timeLimit || LEVEL_DEFAULTS.timeLimit,
+        theme: levelData.theme || LEVEL_DEFAULTS.theme,
+        music: levelData.music || LEVEL_DEFAULTS.music,
+        autoScroll: normalizeAutoScroll(levelData.autoScroll),
+        ...normalizeModuleContent(levelData, ''),
+        areas: (levelData.areas || []).map((area, index) => normalizeModuleArea(area, index, levelData, tileSize))
+    };
+}
+
+/**
+ * Normalize a level's auto-scroll path
+ * Each waypoint gets a speed, carried on from the waypoint before it when not set
+ * @param {Object} autoScroll - { speed, waypoints: [{ x, y, speed }] }, or nothing
+ * @returns {Object|null} - { waypoints: [{ x, y, speed }] }, or null when the camera follows the player
+ */
+function normalizeAutoScroll(autoScroll) {
+    // Anything that isn't a path is left for the validator to report
+    if (!autoScroll || typeof autoScroll !== 'object') return autoScroll || null;
+
+    let speed = autoScroll.speed || LEVEL_DEFAULTS.autoScrollSpeed;
+
+    return {
+        waypoints: (Array.isArray(autoScroll.waypoints) ? autoScroll.waypoints : []).map(waypoint => {
+            speed = waypoint.speed || speed;
+            return { x: waypoint.x, y: waypoint.y, speed };
+        })
+    };
+}
+
+/**
+ * Normalize the weather of a level or sub-area
+ * @param {Object} weather - { wind, layers: [{ type, density, ... }] }, or nothing
+ * @returns {Object|null} - Weather with wind and every layer's density set, or null for none
+ */
+function normalizeWeather(weather) {
+    // Anything that isn't weather is left for the validator to report
+    if (!weather || typeof weather !== 'object') return weather || null;
+
+    return {
+        wind: weather.wind !== undefined ? weather.wind : 0,
+        layers: (Array.isArray(weather.layers) ? weather.layers : []).map(layer => ({ density: 1, ...layer }))
+    };
+}
+
+/**
+ * Normalize a sub-area of a level module
+ * Sub-areas have their own bounds, theme, backgrounds and music; bounds default to the level's
+ * @param {Object} areaData - Sub-area data
+ * @param {number} index - Index of the sub-area in the level's `areas`
+ * @param {Object} levelData - Level module data
+ * @param {number} tileSize - Level tile size
+ * @returns {Object} - Normalized sub-area
+ */
+function normalizeModuleArea(areaData, index, levelData, tileSize) {
+    return {
+        id: areaData.id,
+        width: areaData.width || levelData.width,
+        height: areaData.height || levelData.height,
+        tileSize,
+        playerStart: areaData.playerStart ? { ...areaData.playerStart } : null,
+        theme: areaData.theme || null,
+        music: areaData.music || null,
+        ...normalizeModuleContent(areaData, `areas[${index}].`)
+    };
+}
+
+/**
+ * Normalize the backgrounds, tiles, entities and triggers of a level module or sub-area
+ * @param {Object} data - Level module or sub-area data
+ * @param {string} basePath - Path prefix of the data in the level module
+ * @returns {Object} - { backgrounds, tiles, entities, triggers, cameraSections, weather }
+ */
+function normalizeModuleContent(data, basePath) {
+    const tiles = [];
+
+    (data.tileLayers || []).forEach((layer, layerIndex) => {
+        (layer.tiles || []).forEach((tile, tileIndex) => {
+            tiles.push({
+                ...createDescriptor(tile, `${basePath}tileLayers[${layerIndex}].tiles[${tileIndex}]`),
+                layer: layer.name || null
+            });
+        });
+    });
+
+    return {
+        backgrounds: (data.backgrounds || []).map(background => ({
+            image: background.image,
+            scrollSpeed: background.scrollSpeed || 0,
+            y: background.y || 0
+        })),
+        tiles,
+        entities: (data.entities || []).map((entity, index) => createDescriptor(entity, `${basePath}entities[${index}]`)),
+        triggers: (data.triggers || []).map((trigger, index) => createTrigger(createDescriptor(trigger, `${basePath}triggers[${index}]`))),
+        cameraSections: (data.cameraSections || []).map((section, index) => (
+            createCameraSection(createDescriptor(section, `${basePath}cameraSections[${index}]`))
+        )),
+        weather: normalizeWeather(data.weather)
+    };
+}
+
+/**
+ * Normalize a Tiled JSON map
+ * @param {Object} levelData - Tiled map data
+ * @param {Object} [options] - Parser options
+ * @returns {Object} - Normalized level model
+ */
+export function normalizeTiledLevel(levelData, options = {}) {
+    const properties = readTiledProperties(levelData.properties);
+    const tileSize = levelData.tilewidth || options.tileSize || LEVEL_DEFAULTS.tileSize;
+    const tileHeight = levelData.tileheight || tileSize;
+    const tilesets = levelData.tilesets || [];
+
+    const level = {
+        id: properties.id || levelData.id,
+        name: properties.name || levelData.name,
+        width: levelData.width * tileSize,
+        height: levelData.height * tileHeight,
+        tileSize,
+        playerStart: { ...LEVEL_DEFAULTS.playerStart },
+        timeLimit: properties.timeLimit || LEVEL_DEFAULTS.timeLimit,
+        theme: properties.theme || LEVEL_DEFAULTS.theme,
+        music: properties.music || LEVEL_DEFAULTS.music,
+        autoScroll: normalizeAutoScroll(parseJsonProperty(properties.autoScroll)),
+        backgrounds: [],
+        tiles: [],
+        entities: [],
+        triggers: [],
+        cameraSections: [],
+        weather: normalizeWeather(parseJsonProperty(properties.weather)),
+        areas: []
+    };
+
+    flattenLayers(levelData.layers, 'layers').forEach(layer => {
+        if (layer.type === 'tilelayer') {
+            parseTileLayer(layer, tilesets, tileSize, tileHeight).forEach(descriptor => {
+                addDescriptor(level, descriptor);
+            });
+        } else if (layer.type === 'objectgroup') {
+            parseObjectLayer(layer, tilesets).forEach(descriptor => {
+                // Player start markers set the spawn point instead of creating an entity
+                if (descriptor.type === 'playerStart') {
+                    level.playerStart = { x: descriptor.x, y: descriptor.y };
+                    return;
+                }
+
+                addDescriptor(level, { ...descriptor, layer: layer.name || null });
+            });
+        } else if (layer.type === 'imagelayer') {
+            const layerProperties = readTiledProperties(layer.properties);
+
+            // Tiled leaves parallaxx out at its default of 1, scrolling with the map (see tiledLoader)
+            const parallax = layer.parallaxx !== undefined ? layer.parallaxx : 1;
+
+            level.backgrounds.push({
+                image: layerProperties.image || layer.name,
+                scrollSpeed: layerProperties.scrollSpeed !== undefined ? layerProperties.scrollSpeed : parallax,
+                y: layer.offsety || 0
+            });
+        }
+    });
+
+    return level;
+}
+
+/**
+ * Parse a Tiled tile layer into tile and entity descriptors
+ * @param {Object} layer - Tile layer data
+ * @param {Array} tilesets - Tilesets used in the level
+ * @param {number} tileWidth - Tile width in pixels
+ * @param {number} tileHeight - Tile height in pixels
+ * @returns {Array} - Descriptors for each non-empty tile
+ */
+export function parseTileLayer(layer, tilesets, tileWidth, tileHeight = tileWidth) {
+    const { width, height, data } = layer;
+    const descriptors = [];
+
+    // Process each tile in the layer
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dataIndex = y * width + x;
+            const { tileId, flipX, flipY, flipDiagonal } = decodeGid(data[dataIndex]);
+
+            // Skip empty tiles (tileId === 0)
+            if (tileId === 0) continue;
+
+            // Find the tileset for this tile
+            const tileset = findTilesetForTile(tileId, tilesets);
+            if (!tileset) continue;
+
+            // Calculate the local tile ID within the tileset
+            const localTileId = tileId - tileset.firstgid;
+            const tileProps = getTileProperties(localTileId, tileset);
+
+            // Untyped tiles are only solid on solid layers
+            let type = tileProps.type;
+            if (!type) {
+                if (layer.name !== 'solid' && layer.name !== 'platforms') continue;
+                type = 'platform';
+            }
+
+            const { type: _type, ...properties } = tileProps;
+
+            descriptors.push({
+                type,
+                x: x * tileWidth + (layer.offsetx || 0),
+                y: y * tileHeight + (layer.offsety || 0),
+                width: tileWidth,
+                height: tileHeight,
+                layer: layer.name || null,
+                path: `${layer.path || 'layer'}.data[${dataIndex}]`,
+                properties: {
+                    ...properties,
+                    ...flipProperties(flipX, flipY, flipDiagonal),
+                    tilesetImage: tileset.image || null,
+                    tileId: localTileId
+                }
+            });
+        }
+    }
+
+    return descriptors;
+}
+
+/**
+ * Parse a Tiled object layer into entity descriptors
+ * Custom object properties become the entity's properties
+ * @param {Object} layer - Object layer data
+ * @param {Array} [tilesets] - Tilesets used by tile objects
+ * @returns {Array} - Descriptors for each object
+ */
+export function parseObjectLayer(layer, tilesets = []) {
+    if (!layer.objects) return [];
+
+    return layer.objects.map((obj, index) => {
+        const properties = readTiledProperties(obj.properties);
+        let type = obj.type || obj.class;
+        let y = obj.y + (layer.offsety || 0);
+
+        // Tile objects inherit their tile's properties and are anchored at the bottom
+        if (obj.gid) {
+            const { tileId, flipX, flipY, flipDiagonal } = decodeGid(obj.gid);
+            const tileset = findTilesetForTile(tileId, tilesets);
+
+            if (tileset) {
+                const { type: tileType, ...tileProps } = getTileProperties(tileId - tileset.firstgid, tileset);
+                type = type || tileType;
+                Object.keys(tileProps).forEach(key => {
+                    if (properties[key] === undefined) properties[key] = tileProps[key];
+                });
+            }
+
+            Object.assign(properties, flipProperties(flipX, flipY, flipDiagonal));
+            y -= obj.height || 0;
+        }
+
+        return {
+            type,
+            x: obj.x + (layer.offsetx || 0),
+            y,
+            width: obj.width || null,
+            height: obj.height || null,
+            path: `${layer.path || 'layer'}.objects[${index}]`,
+            properties
+        };
+    });
+}
+
+/**
+ * Split a Tiled GID into its tile ID and flip flags
+ * @param {number} gid - Global tile ID as stored in the map
+ * @returns {Object} - { tileId, flipX, flipY, flipDiagonal }
+ */
+export function decodeGid(gid) {
+    return {
+        // Unsigned shift keeps IDs positive once the flag bits are cleared
+        tileId: (gid & ~(TILED_FLAGS.FLIPPED_HORIZONTALLY |
+            TILED_FLAGS.FLIPPED_VERTICALLY |
+            TILED_FLAGS.FLIPPED_DIAGONALLY |
+            TILED_FLAGS.ROTATED_HEXAGONAL_120)) >>> 0,
+        flipX: (gid & TILED_FLAGS.FLIPPED_HORIZONTALLY) !== 0,
+        flipY: (gid & TILED_FLAGS.FLIPPED_VERTICALLY) !== 0,
+        flipDiagonal: (gid & TILED_FLAGS.FLIPPED_DIAGONALLY) !== 0
+    };
+}
+
+/**
+ * Find the tileset that contains a specific tile
+ * @param {number} tileId - Global tile ID
+ * @param {Array} tilesets - Available tilesets
+ * @returns {Object|null} - Matching tileset or null if not found
+ */
+export function findTilesetForTile(tileId, tilesets) {
+    // Sort tilesets by firstgid in descending order
+    const sortedTilesets = [...tilesets].sort((a, b) => b.firstgid - a.firstgid);
+
+    // Find the first tileset where the tile ID is greater than or equal to the firstgid
+    return sortedTilesets.find(tileset => tileId >= tileset.firstgid) || null;
+}
+
+/**
+ * Get properties for a specific tile
+ * @param {number} localTileId - Local tile ID within the tileset
+ * @param {Object} tileset - Tileset data
+ * @returns {Object} - Tile properties
+ */
+export function getTileProperties(localTileId, tileset) {
+    if (!tileset.tiles) return {};
+
+    // Find the tile in the tileset's tiles array
+    const tileData = tileset.tiles.find(tile => tile.id === localTileId);
+    if (!tileData) return {};
+
+    const properties = readTiledProperties(tileData.properties);
+
+    // Tiled 1.9+ stores the tile type as its class
+    if (!properties.type && (tileData.type || tileData.class)) {
+        properties.type = tileData.type || tileData.class;
+    }
+
+    return properties;
+}
+
+/**
+ * Read Tiled custom properties into a plain object
+ * Tiled 1.2+ stores properties as [{ name, type, value }], older maps use an object
+ * @param {Array|Object} properties - Tiled properties
+ * @returns {Object} - Properties keyed by name
+ */
+export function readTiledProperties(properties) {
+    if (!properties) return {};
+
+    if (Array.isArray(properties)) {
+        return properties.reduce((result, property) => {
+            result[property.name] = property.value;
+            return result;
+        }, {});
+    }
+
+    return { ...properties };
+}
+
+/**
+ * Create a descriptor from a level module tile or entity
+ * @param {Object} item - Tile or entity from a level module
+ * @param {string} path - Path of the item in the level module
+ * @returns {Object} - Descriptor with the remaining keys as properties
+ */
+function createDescriptor(item, path) {
+    const properties = {};
+
+    Object.keys(item).forEach(key => {
+        if (!DESCRIPTOR_KEYS.includes(key)) {
+            properties[key] = item[key];
+        }
+    });
+
+    return {
+        type: item.type,
+        x: item.x,
+        y: item.y,
+        width: item.width || null,
+        height: item.height || null,
+        path,
+        properties
+    };
+}
+
+/**
+ * Create a trigger from a descriptor
+ * The trigger's settings are lifted out of its properties; the properties are kept for validation
+ * @param {Object} descriptor - Trigger descriptor
+ * @returns {Object} - Normalized trigger
+ */
+function createTrigger(descriptor) {
+    const properties = descriptor.properties;
+
+    return {
+        ...descriptor,
+        type: 'trigger',
+        id: properties.id || null,
+        once: properties.once === true,
+        requires: properties.requires || null,
+        onEnter: properties.onEnter || [],
+        onExit: properties.onExit || []
+    };
+}
+
+/**
+ * Create a camera section from a descriptor
+ * @param {Object} descriptor - Camera section descriptor
+ * @returns {Object} - Normalized camera section
+ */
+function createCameraSection(descriptor) {
+    return {
+        ...descriptor,
+        type: 'cameraSection',
+        id: descriptor.properties.id || null
+    };
+}
+
+/**
+ * Parse the JSON-valued properties of a Tiled trigger object
+ * Values that aren't valid JSON are left as strings for the validator to report
+ * @param {Object} properties - Trigger object properties
+ * @returns {Object} - Properties with parsed values
+ */
+function parseTriggerJson(properties) {
+    const parsed = { ...properties };
+
+    // Keys the trigger leaves out stay out, so they take their defaults
+    TRIGGER_JSON_KEYS.forEach(key => {
+        if (key in parsed) {
+            parsed[key] = parseJsonProperty(parsed[key]);
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Parse a Tiled property that holds JSON
+ * Values that aren't valid JSON are left as strings for the validator to report
+ * @param {*} value - Property value
+ * @returns {*} - Parsed value, or the value itself if it isn't a JSON string
+ */
+function parseJsonProperty(value) {
+    if (typeof value !== 'string') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Get the flip properties of a tile, omitting flags that are not set
+ * @param {boolean} flipX - Flipped horizontally
+ * @param {boolean} flipY - Flipped vertically
+ * @param {boolean} flipDiagonal - Flipped diagonally (rotated)
+ * @returns {Object} - Flip properties
+ */
+function flipProperties(flipX, flipY, flipDiagonal) {
+    const properties = {};
+
+    if (flipX) properties.flipX = true;
+    if (flipY) properties.flipY = true;
+    if (flipDiagonal) properties.flipDiagonal = true;
+
+    return properties;
+}
+
+/**
+ * Flatten Tiled group layers into a single list, applying group offsets
+ * @param {Array} layers - Map layers
+ * @param {string} basePath - Path of the layers array in the map
+ * @returns {Array} - Layers without groups, each with its `path` in the map
+ */
+function flattenLayers(layers, basePath) {
+    return layers.reduce((result, layer, index) => {
+        const path = `${basePath}[${index}]`;
+
+        if (layer.type !== 'group') {
+            result.push({ ...layer, path });
+            return result;
+        }
+
+        flattenLayers(layer.layers || [], `${path}.layers`).forEach(child => {
+            result.push({
+                ...child,
+                offsetx: (child.offsetx || 0) + (layer.offsetx || 0),
+                offsety: (child.offsety || 0) + (layer.offsety || 0)
+            });
+        });
+
+        return result;
+    }, []);
+}
+
+/**
+ * Add a Tiled descriptor to the level's tiles or entities
+ * @param {Object} level - Normalized level model
+ * @param {Object} descriptor - Tile or entity descriptor
+ */
+function addDescriptor(level, descriptor) {
+    if (descriptor.type === 'trigger') {
+        const { layer, ...trigger } = descriptor;
+        level.triggers.push(createTrigger({ ...trigger, properties: parseTriggerJson(trigger.properties) }));
+    } else if (descriptor.type === 'cameraSection') {
+        const { layer, ...section } = descriptor;
+        level.cameraSections.push(createCameraSection(section));
+    } else if (TILE_TYPES.includes(descriptor.type)) {
+        level.tiles.push(descriptor);
+    } else {
+        const { layer, ...entity } = descriptor;
+        level.entities.push(entity);
+    }
+}
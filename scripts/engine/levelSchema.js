@@ -0,0 +1,322 @@
+/**
+ * Level Schema
+ * Declares the tile types, entity types and properties a level may use
+ *
+ * Property types are 'string', 'number', 'boolean', or an array of allowed values.
+ * Adding a tile or entity type to the game means declaring it here so the level
+ * parser and validator know about it.
+ */
+
+import { THEME_IDS } from './themes.js';
+
+// Items a block can contain; 'coins' pays out on every hit until the block's coinTime runs out
+// and 'vine' grows a climbable vine, which can lead to a sky area through targetArea
+export const BLOCK_ITEMS = ['coin', 'coins', 'mushroom', 'fire', 'star', '1up', 'vine'];
+
+// Enemy types with behavior in the Enemy entity
+export const ENEMY_TYPES = ['goomba', 'koopa', 'piranha', 'boss', 'fish'];
+
+// Enemies that can only live in water
+export const WATER_ENEMY_TYPES = ['fish'];
+
+// Hazard objects with behavior in the Hazard entity
+export const HAZARD_TYPES = ['saw', 'killZone'];
+
+// What touching a hazard does to the player: hurt (lose a powerup) or kill outright
+export const HAZARD_DAMAGE = ['hurt', 'kill'];
+
+// Size of a goal flag or castle unless the level sets one; the Goal entity uses it too
+export const GOAL_SIZE = { width: 48, height: 96 };
+
+// Surface materials with behavior in Physics (see SURFACE_MATERIALS)
+export const MATERIALS = ['ice', 'conveyor', 'springboard', 'mud'];
+
+// Slope angles, by how far each rises per pixel across; a slope tile's shape sets its angle,
+// so a 45° slope is square and a 22.5° slope (the classic gentle kind) is twice as wide as tall
+export const SLOPE_GRADIENTS = {
+    45: 1,
+    22.5: 0.5
+};
+
+// Which way a slope rises, going left to right
+export const SLOPE_DIRECTIONS = ['up', 'down'];
+
+// Properties shared by all tiles (set by the Tiled importer)
+const TILE_PROPERTIES = {
+    tilesetImage: 'string',
+    tileId: 'number',
+    flipX: 'boolean',
+    flipY: 'boolean',
+    flipDiagonal: 'boolean'
+};
+
+// Collision properties stored per cell in the tile collision map
+const COLLISION_PROPERTIES = {
+    oneWay: 'boolean',
+    hazard: 'boolean',
+    damage: HAZARD_DAMAGE
+};
+
+// Surface properties of walkable ground
+// conveyorSpeed: pixels per second a conveyor carries things, negative to the left
+const SURFACE_PROPERTIES = {
+    material: MATERIALS,
+    conveyorSpeed: 'number'
+};
+
+// Properties of blocks that can be hit from below
+// coinTime: seconds a multi-coin block keeps paying out after its first hit
+// vineLength: how far a vine grows, up to the top of the level when not set
+// targetArea, targetWarp: where climbing off the top of a vine leads, like a warp
+const BLOCK_PROPERTIES = {
+    ...TILE_PROPERTIES,
+    contains: BLOCK_ITEMS,
+    coinTime: 'number',
+    vineLength: 'number',
+    targetArea: 'string',
+    targetWarp: 'string'
+};
+
+export const LEVEL_SCHEMA = {
+    // Top-level level properties
+    level: {
+        id: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        width: { type: 'number', required: true },
+        height: { type: 'number', required: true },
+        timeLimit: { type: 'number' },
+        theme: { type: THEME_IDS }, // Look of the level, declared in themes.js
+        music: { type: 'string' },
+        autoScroll: { type: 'object' }, // Camera path for auto-scrolling levels, see AutoScroller
+        weather: { type: 'object' } // Ambient weather, see Weather
+    },
+
+    // Tile types (level geometry)
+    // solid: blocks movement and takes part in overlap checks
+    // oneWay: only blocks from above, so it can be jumped up through and dropped down through;
+    //     a tile's own oneWay property overrides it
+    // dynamic: created as an entity instead of going into the tile collision map
+    // hazard: harms the player on contact, by the tile's damage unless overridden
+    // water: switches swimming entities to swimming physics
+    // climbable: the player can climb it with up and down
+    // slope: walkable incline, see SLOPE_GRADIENTS
+    // light: glow it gives off in dark themes, { radius, color }
+    tiles: {
+        ground: {
+            solid: true,
+            properties: { ...TILE_PROPERTIES, ...COLLISION_PROPERTIES, ...SURFACE_PROPERTIES }
+        },
+        platform: {
+            solid: true,
+            oneWay: true,
+            properties: { ...TILE_PROPERTIES, ...COLLISION_PROPERTIES, ...SURFACE_PROPERTIES }
+        },
+        spikes: {
+            solid: true,
+            hazard: true,
+            damage: 'hurt',
+            properties: { ...TILE_PROPERTIES, ...COLLISION_PROPERTIES }
+        },
+        lava: {
+            // The player sinks in rather than standing on it
+            solid: false,
+            hazard: true,
+            damage: 'kill',
+            light: { radius: 96, color: '255, 90, 0' },
+            properties: { ...TILE_PROPERTIES, ...COLLISION_PROPERTIES }
+        },
+        water: {
+            solid: false,
+            water: true,
+            properties: { ...TILE_PROPERTIES }
+        },
+        ladder: {
+            solid: false,
+            climbable: true,
+            properties: { ...TILE_PROPERTIES }
+        },
+        slope: {
+            solid: true,
+            slope: true,
+            properties: { ...TILE_PROPERTIES, ...SURFACE_PROPERTIES, direction: SLOPE_DIRECTIONS }
+        },
+        movingPlatform: {
+            // Moves through other geometry, so it's left out of overlap checks
+            solid: false,
+            oneWay: true,
+            dynamic: true,
+            properties: {
+                ...TILE_PROPERTIES,
+                id: 'string',
+                oneWay: 'boolean',
+                waitForTrigger: 'boolean',
+                moveX: 'number',
+                moveY: 'number',
+                speed: 'number'
+            }
+        },
+        block: {
+            solid: true,
+            dynamic: true,
+            properties: { ...BLOCK_PROPERTIES }
+        },
+        hiddenBlock: {
+            solid: true,
+            dynamic: true,
+            properties: { ...BLOCK_PROPERTIES }
+        },
+        // Bricks shatter when big Arya hits them with nothing inside
+        brick: {
+            solid: true,
+            dynamic: true,
+            properties: { ...BLOCK_PROPERTIES }
+        }
+    },
+
+    // Entity types
+    // size: default size in pixels when the level doesn't declare one
+    entities: {
+        coin: {
+            size: { width: 16, height: 16 },
+            properties: { value: 'number' }
+        },
+        enemy: {
+            size: { width: 32, height: 32 },
+            properties: {
+                enemyType: ENEMY_TYPES,
+                patrolDistance: 'number',
+                speed: 'number',
+                isBoss: 'boolean',
+                health: 'number'
+            }
+        },
+        powerup: {
+            size: { width: 24, height: 24 },
+            properties: { powerupType: BLOCK_ITEMS.filter(item => item !== 'coin') }
+        },
+        checkpoint: {
+            size: { width: 32, height: 64 },
+            properties: { id: 'string' }
+        },
+        // exit: which overworld paths finishing here opens
+        goal: {
+            size: GOAL_SIZE,
+            properties: { goalType: ['flag', 'castle'], exit: ['normal', 'secret'] }
+        },
+        // Saw blades swing between their position and moveX/moveY away;
+        // kill zones are invisible areas such as bottomless pits
+        hazard: {
+            size: { width: 32, height: 32 },
+            properties: {
+                hazardType: HAZARD_TYPES,
+                damage: HAZARD_DAMAGE,
+                moveX: 'number',
+                moveY: 'number',
+                speed: 'number'
+            }
+        },
+        // Wall torch, lighting up dark themes
+        torch: {
+            size: { width: 16, height: 32 },
+            properties: {}
+        },
+        // Pipe or door leading to a sub-area (targetArea) or another level (targetLevel),
+        // coming out at targetWarp; warps without a target are exits only
+        // direction: input that enters it, and the way the player moves going in
+        warp: {
+            size: { width: 64, height: 64 },
+            properties: {
+                id: 'string',
+                warpType: ['pipe', 'door', 'vine'],
+                direction: ['down', 'up', 'left', 'right'],
+                targetArea: 'string',
+                targetLevel: 'string',
+                targetWarp: 'string',
+                locked: 'boolean'
+            }
+        }
+    },
+
+    // Trigger zones, which run actions when the player enters or leaves them
+    // once: only fire the first time; requires: conditions that must hold to fire
+    trigger: {
+        properties: {
+            id: 'string',
+            once: 'boolean',
+            requires: 'object',
+            onEnter: 'object',
+            onExit: 'object'
+        }
+    },
+
+    // Camera sections, regions the camera keeps to while the player is inside them
+    // A tower is a tall section, a corridor a wide one; the player falls to their death
+    // through the bottom of a section unless another section continues below it
+    cameraSection: {
+        properties: {
+            id: 'string'
+        }
+    },
+
+    // Trigger actions, run in order
+    // Every action also takes delay (seconds after the previous action) and requires
+    // required: properties the action can't run without
+    actions: {
+        spawn: {
+            required: ['entity'],
+            properties: { entity: 'object' }
+        },
+        startPlatform: {
+            required: ['target'],
+            properties: { target: 'string' }
+        },
+        lockCamera: {
+            required: ['x', 'y', 'width', 'height'],
+            properties: { x: 'number', y: 'number', width: 'number', height: 'number' }
+        },
+        unlockCamera: {
+            required: [],
+            properties: {}
+        },
+        music: {
+            required: ['music'],
+            properties: { music: 'string' }
+        },
+        message: {
+            required: ['text'],
+            properties: { text: 'string', x: 'number', y: 'number', duration: 'number', color: 'string' }
+        },
+        openDoor: {
+            required: ['target'],
+            properties: { target: 'string' }
+        },
+        startTimer: {
+            required: ['id', 'duration'],
+            properties: { id: 'string', duration: 'number', label: 'string', onExpire: 'object' }
+        },
+        stopTimer: {
+            required: ['id'],
+            properties: { id: 'string' }
+        }
+    },
+
+    // Weather layers, drawn over the area in the order they're declared
+    // density: amount relative to the default; interval: average seconds between lightning strikes
+    // Rain also makes plain ground slippery
+    weather: {
+        rain: { properties: { density: 'number' } },
+        snow: { properties: { density: 'number' } },
+        leaves: { properties: { density: 'number' } },
+        fog: { properties: { density: 'number' } },
+        lightning: { properties: { density: 'number', interval: 'number' } }
+    },
+
+    // Game values a trigger or action can require a minimum of, e.g. requires: { coins: 10 }
+    conditions: ['coins', 'score', 'lives'],
+
+    // Player size used for spawn checks
+    player: {
+        width: 32,
+        height: 64
+    }
+};
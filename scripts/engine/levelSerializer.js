@@ -0,0 +1,198 @@
+/**
+ * Level Serializer
+ * Writes level data back out in the level module format used by scripts/levels
+ *
+ * Tiles and entities are written one per line, like the hand-written levels,
+ * so exported files stay easy to diff and tweak by hand.
+ */
+
+// Top-level keys in the order the level modules declare them
+const KEY_ORDER = [
+    'name',
+    'id',
+    'width',
+    'height',
+    'playerStart',
+    'timeLimit',
+    'theme',
+    'music',
+    'autoScroll',
+    'weather',
+    'backgrounds',
+    'tileLayers',
+    'entities',
+    'triggers',
+    'cameraSections',
+    'areas'
+];
+
+// Descriptor keys written first on each tile/entity line
+const DESCRIPTOR_KEY_ORDER = ['type', 'x', 'y', 'width', 'height'];
+
+const INDENT = '    ';
+
+/**
+ * Serialize level data as the source of a level module
+ * @param {Object} levelData - Level in the level module format
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.description] - Description for the file header
+ * @returns {string} - JavaScript source with a default export
+ */
+export function serializeLevelModule(levelData, options = {}) {
+    const title = levelData.name ? `${levelData.id} - ${levelData.name}` : levelData.id;
+    const header = [
+        '/**',
+        ` * ${title}`,
+        ` * ${options.description || 'Exported from the level editor'}`,
+        ' */'
+    ].join('\n');
+
+    return `${header}\n\nexport default ${serializeValue(orderLevelKeys(levelData), 0)};\n`;
+}
+
+/**
+ * Serialize a value as a JavaScript literal
+ * @param {*} value - Value to serialize
+ * @param {number} depth - Current indentation depth
+ * @returns {string} - JavaScript source
+ */
+function serializeValue(value, depth) {
+    if (Array.isArray(value)) {
+        return serializeArray(value, depth);
+    }
+
+    if (value && typeof value === 'object') {
+        return isFlat(value) ? serializeInline(value) : serializeObject(value, depth);
+    }
+
+    return serializePrimitive(value);
+}
+
+/**
+ * Serialize an array, one item per line
+ * @param {Array} array - Array to serialize
+ * @param {number} depth - Current indentation depth
+ * @returns {string} - JavaScript source
+ */
+function serializeArray(array, depth) {
+    if (array.length === 0) return '[]';
+
+    const indent = INDENT.repeat(depth + 1);
+    const items = array.map(item => {
+        // Descriptors stay on one line, in the same key order as the level files
+        const value = isDescriptor(item) ?
+            serializeInline(orderDescriptorKeys(item)) :
+            serializeValue(item, depth + 1);
+        return `${indent}${value}`;
+    });
+
+    return `[\n${items.join(',\n')}\n${INDENT.repeat(depth)}]`;
+}
+
+/**
+ * Serialize an object across multiple lines
+ * @param {Object} object - Object to serialize
+ * @param {number} depth - Current indentation depth
+ * @returns {string} - JavaScript source
+ */
+function serializeObject(object, depth) {
+    const indent = INDENT.repeat(depth + 1);
+    const entries = Object.keys(object)
+        .filter(key => object[key] !== undefined)
+        .map(key => `${indent}${serializeKey(key)}: ${serializeValue(object[key], depth + 1)}`);
+
+    if (entries.length === 0) return '{}';
+
+    return `{\n${entries.join(',\n')}\n${INDENT.repeat(depth)}}`;
+}
+
+/**
+ * Serialize a flat object on a single line
+ * @param {Object} object - Object with primitive values
+ * @returns {string} - JavaScript source
+ */
+function serializeInline(object) {
+    const entries = Object.keys(object)
+        .filter(key => object[key] !== undefined)
+        .map(key => `${serializeKey(key)}: ${serializeValue(object[key], 0)}`);
+
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+/**
+ * Serialize a primitive value
+ * @param {*} value - Primitive value
+ * @returns {string} - JavaScript source
+ */
+function serializePrimitive(value) {
+    if (typeof value === 'number' && !isFinite(value)) {
+        return 'null';
+    }
+
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Serialize an object key, quoting it only when needed
+ * @param {string} key - Object key
+ * @returns {string} - JavaScript source
+ */
+function serializeKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Check whether an object only holds primitive values
+ * @param {Object} object - Object to check
+ * @returns {boolean} - Whether the object is flat
+ */
+function isFlat(object) {
+    return Object.values(object).every(value => value === null || typeof value !== 'object');
+}
+
+/**
+ * Check whether an item is a tile or entity descriptor
+ * @param {*} item - Array item
+ * @returns {boolean} - Whether the item is a descriptor
+ */
+function isDescriptor(item) {
+    return item && typeof item === 'object' && typeof item.type === 'string' && isFlat(item);
+}
+
+/**
+ * Put a descriptor's keys in level file order
+ * @param {Object} descriptor - Tile or entity descriptor
+ * @returns {Object} - Descriptor with ordered keys
+ */
+function orderDescriptorKeys(descriptor) {
+    return orderKeys(descriptor, DESCRIPTOR_KEY_ORDER);
+}
+
+/**
+ * Put a level's top-level keys in level file order
+ * @param {Object} levelData - Level data
+ * @returns {Object} - Level data with ordered keys
+ */
+function orderLevelKeys(levelData) {
+    return orderKeys(levelData, KEY_ORDER);
+}
+
+/**
+ * Copy an object with the given keys first, followed by any others
+ * @param {Object} object - Object to copy
+ * @param {Array} order - Keys to put first
+ * @returns {Object} - Copy with ordered keys
+ */
+function orderKeys(object, order) {
+    const ordered = {};
+
+    order.forEach(key => {
+        if (object[key] !== undefined) ordered[key] = object[key];
+    });
+
+    Object.keys(object).forEach(key => {
+        if (!(key in ordered)) ordered[key] = object[key];
+    });
+
+    return ordered;
+}
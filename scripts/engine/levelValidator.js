@@ -0,0 +1,816 @@
+/**
+ * Level Validator
+ * Checks level data against the level schema and reports precise errors
+ *
+ * Works on level modules and Tiled JSON maps, in the browser or from Node
+ * (see scripts/tools/validateLevels.js). Every issue names the level ID and the
+ * path of the offending value in the authored data, e.g.
+ * "level1: tileLayers[0].tiles[17]: unknown contains item \"flower\"".
+ */
+
+import { LEVEL_SCHEMA, WATER_ENEMY_TYPES, SLOPE_GRADIENTS } from './levelSchema.js';
+import { normalizeLevel, isTiledLevel, MAIN_AREA_ID } from './levelParser.js';
+import { TileCollisionMap } from './tileCollisionMap.js';
+
+/**
+ * Validate a single level
+ * @param {Object} levelData - Level module or Tiled JSON map
+ * @param {Object} [schema] - Schema to validate against
+ * @returns {Object} - { valid, errors, warnings }, issues are { levelId, path, message }
+ */
+export function validateLevel(levelData, schema = LEVEL_SCHEMA) {
+    const errors = [];
+    const warnings = [];
+
+    // Malformed lists would make the parser throw without saying where, so report them first
+    const shapeProblems = checkShape(levelData);
+    if (shapeProblems.length > 0) {
+        const levelId = levelData && levelData.id;
+        shapeProblems.forEach(({ path, message }) => errors.push(createIssue(levelId, path, message)));
+        return { valid: false, errors, warnings };
+    }
+
+    let level;
+    try {
+        level = normalizeLevel(levelData);
+    } catch (error) {
+        errors.push(createIssue(levelData && levelData.id, '', `could not be parsed: ${error.message}`));
+        return { valid: false, errors, warnings };
+    }
+
+    const levelId = level.id || '(unnamed level)';
+    const report = (list, path, message) => list.push(createIssue(levelId, path, message));
+    const error = (path, message) => report(errors, path, message);
+    const warn = (path, message) => report(warnings, path, message);
+
+    // Top-level properties
+    Object.keys(schema.level).forEach(key => {
+        const rule = schema.level[key];
+        const value = level[key];
+
+        if (value === undefined || value === null) {
+            if (rule.required) error(key, 'is required');
+            return;
+        }
+
+        if (!matchesType(value, rule.type)) {
+            error(key, `must be ${describeType(rule.type)}, got ${JSON.stringify(value)}`);
+        }
+    });
+
+    const hasBounds = level.width > 0 && level.height > 0;
+    if (typeof level.width === 'number' && level.width <= 0) error('width', 'must be greater than 0');
+    if (typeof level.height === 'number' && level.height <= 0) error('height', 'must be greater than 0');
+
+    // Level geometry and entities, then the same for each sub-area
+    const solids = checkArea(level, '', level, schema, hasBounds, error, warn);
+    checkSubAreas(level, schema, error, warn);
+
+    // Player start
+    checkPlayerStart(level, solids, schema.player, hasBounds, error);
+
+    // Auto-scroll path
+    checkAutoScroll(level, hasBounds, error);
+
+    // Goal
+    if (!level.entities.some(entity => entity.type === 'goal')) {
+        error('entities', 'level has no goal');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Validate a collection of levels, including checks across levels
+ * @param {Array} levels - Level modules or Tiled JSON maps
+ * @param {Object} [schema] - Schema to validate against
+ * @returns {Object} - { valid, errors, warnings } for all levels
+ */
+export function validateLevels(levels, schema = LEVEL_SCHEMA) {
+    const errors = [];
+    const warnings = [];
+    const seenIds = {};
+
+    levels.forEach((levelData, index) => {
+        const result = validateLevel(levelData, schema);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+
+        const id = levelData && (levelData.id || (normalizeLevelSafely(levelData) || {}).id);
+        if (!id) return;
+
+        if (seenIds[id] !== undefined) {
+            errors.push(createIssue(id, 'id', `duplicate level ID, also used by level ${seenIds[id]}`));
+        } else {
+            seenIds[id] = index;
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Format an issue for logging
+ * @param {Object} issue - Validation issue
+ * @returns {string} - "levelId: path: message"
+ */
+export function formatIssue(issue) {
+    return issue.path ?
+        `${issue.levelId}: ${issue.path}: ${issue.message}` :
+        `${issue.levelId}: ${issue.message}`;
+}
+
+/**
+ * Create a validation issue
+ * @param {string} levelId - Level ID
+ * @param {string} path - Path in the authored level data
+ * @param {string} message - Description of the problem
+ * @returns {Object} - Validation issue
+ */
+function createIssue(levelId, path, message) {
+    return {
+        levelId: levelId || '(unnamed level)',
+        path,
+        message
+    };
+}
+
+/**
+ * Check that the authored data is an object and its lists hold objects, so it can be normalized
+ * @param {Object} levelData - Level module or Tiled JSON map
+ * @returns {Array} - Problems found, { path, message }; empty when the data can be normalized
+ */
+function checkShape(levelData) {
+    const problems = [];
+
+    if (!isObject(levelData)) {
+        problems.push({ path: '', message: `must be an object, got ${JSON.stringify(levelData)}` });
+        return problems;
+    }
+
+    // Lists are optional, but when set must be arrays of objects
+    const checkList = (list, path, checkItem) => {
+        if (list === undefined || list === null) return;
+
+        if (!Array.isArray(list)) {
+            problems.push({ path, message: `must be an array, got ${JSON.stringify(list)}` });
+            return;
+        }
+
+        list.forEach((item, index) => {
+            const itemPath = `${path}[${index}]`;
+
+            if (!isObject(item)) {
+                problems.push({ path: itemPath, message: `must be an object, got ${JSON.stringify(item)}` });
+            } else if (checkItem) {
+                checkItem(item, itemPath);
+            }
+        });
+    };
+
+    if (isTiledLevel(levelData)) {
+        const checkLayers = (layers, path) => checkList(layers, path, (layer, layerPath) => {
+            checkList(layer.objects, `${layerPath}.objects`);
+            if (layer.type === 'group') checkLayers(layer.layers, `${layerPath}.layers`);
+        });
+
+        checkLayers(levelData.layers, 'layers');
+        checkList(levelData.tilesets, 'tilesets');
+        return problems;
+    }
+
+    const checkContent = (data, basePath) => {
+        checkList(data.tileLayers, `${basePath}tileLayers`, (layer, path) => checkList(layer.tiles, `${path}.tiles`));
+        ['backgrounds', 'entities', 'triggers', 'cameraSections'].forEach(key => checkList(data[key], `${basePath}${key}`));
+        if (isObject(data.weather)) checkList(data.weather.layers, `${basePath}weather.layers`);
+    };
+
+    checkContent(levelData, '');
+    checkList(levelData.areas, 'areas', (area, path) => checkContent(area, `${path}.`));
+    if (isObject(levelData.autoScroll)) checkList(levelData.autoScroll.waypoints, 'autoScroll.waypoints');
+
+    return problems;
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check the tiles and entities of the level or one of its sub-areas
+ * @param {Object} area - Normalized level or sub-area
+ * @param {string} areaPath - Path of the area in the authored data, empty for the level
+ * @param {Object} level - Normalized level model
+ * @param {Object} schema - Schema to validate against
+ * @param {boolean} hasBounds - Whether the area has valid bounds
+ * @param {Function} error - Error reporter
+ * @param {Function} warn - Warning reporter
+ * @returns {Array} - Solid tiles in the area
+ */
+function checkArea(area, areaPath, level, schema, hasBounds, error, warn) {
+    const bounds = `${areaPath ? 'area' : 'level'} bounds (${area.width}x${area.height})`;
+
+    // Tiles
+    area.tiles.forEach(tile => {
+        const definition = schema.tiles[tile.type];
+
+        if (!definition) {
+            error(tile.path, `unknown tile type ${JSON.stringify(tile.type)}`);
+            return;
+        }
+
+        checkGeometry(tile, tile.width, tile.height, error);
+        checkProperties(tile, definition.properties, error, warn);
+
+        if (hasBounds && !isInside(tile, tile.width, tile.height, area)) {
+            error(tile.path, `${tile.type} at (${tile.x}, ${tile.y}) is outside the ${bounds}`);
+        }
+
+        // Vines lead on like warps
+        if (tile.properties && tile.properties.contains === 'vine') {
+            checkWarp(tile, level, error);
+        }
+
+        // A slope's shape sets its angle
+        if (definition.slope && tile.width > 0 && !Object.values(SLOPE_GRADIENTS).includes(tile.height / tile.width)) {
+            const shapes = Object.entries(SLOPE_GRADIENTS)
+                .map(([angle, gradient]) => `${tile.width}x${tile.width * gradient} for ${angle}°`)
+                .join(' or ');
+            error(tile.path, `slope is ${tile.width}x${tile.height}, expected ${shapes}`);
+        }
+    });
+
+    // Tiles too small for the collision grid don't collide at all
+    const placed = area.tiles.filter(tile => schema.tiles[tile.type] && hasGeometry(tile));
+    const uncovered = TileCollisionMap.findUncoveredTiles({ ...area, tiles: placed }, schema);
+    uncovered.tiles.forEach(tile => {
+        warn(tile.path, `${tile.type} at (${tile.x}, ${tile.y}) is too small for the ${uncovered.cellSize}px collision grid and won't collide; align tiles to an 8px grid`);
+    });
+
+    const water = area.tiles.filter(tile => schema.tiles[tile.type] && schema.tiles[tile.type].water);
+
+    // Entities
+    area.entities.forEach(entity => {
+        const definition = schema.entities[entity.type];
+
+        if (!definition) {
+            error(entity.path, `unknown entity type ${JSON.stringify(entity.type)}`);
+            return;
+        }
+
+        const size = getEntitySize(entity, definition);
+        checkGeometry(entity, size.width, size.height, error);
+        checkProperties(entity, definition.properties, error, warn);
+
+        if (hasBounds && !isInside(entity, size.width, size.height, area)) {
+            error(entity.path, `${entity.type} at (${entity.x}, ${entity.y}) is outside the ${bounds}`);
+        }
+
+        if (entity.type === 'warp') {
+            checkWarp(entity, level, error);
+        }
+
+        // Water-only enemies need water to swim in
+        if (entity.type === 'enemy' && WATER_ENEMY_TYPES.includes(entity.properties.enemyType)) {
+            const rect = { x: entity.x, y: entity.y, ...size };
+            if (!water.some(tile => overlaps(rect, tile))) {
+                warn(entity.path, `${entity.properties.enemyType} at (${entity.x}, ${entity.y}) is not in water`);
+            }
+        }
+    });
+
+    // Triggers
+    area.triggers.forEach(trigger => {
+        checkGeometry(trigger, trigger.width, trigger.height, error);
+        checkProperties(trigger, schema.trigger.properties, error, warn);
+
+        if (hasBounds && !isInside(trigger, trigger.width, trigger.height, area)) {
+            error(trigger.path, `trigger at (${trigger.x}, ${trigger.y}) is outside the ${bounds}`);
+        }
+
+        checkConditions(trigger.requires, `${trigger.path}.requires`, schema, error);
+
+        ['onEnter', 'onExit'].forEach(key => {
+            if (!Array.isArray(trigger[key])) {
+                error(`${trigger.path}.${key}`, 'must be a list of actions');
+                return;
+            }
+
+            checkActions(trigger[key], `${trigger.path}.${key}`, area, schema, error, warn);
+        });
+    });
+
+    // Weather
+    checkWeather(area.weather, areaPath ? `${areaPath}.weather` : 'weather', schema, error, warn);
+
+    // Camera sections
+    area.cameraSections.forEach(section => {
+        checkGeometry(section, section.width, section.height, error);
+        checkProperties(section, schema.cameraSection.properties, error, warn);
+
+        if (hasBounds && !isInside(section, section.width, section.height, area)) {
+            error(section.path, `camera section at (${section.x}, ${section.y}) is outside the ${bounds}`);
+        }
+    });
+
+    const solids = area.tiles.filter(tile => schema.tiles[tile.type] && schema.tiles[tile.type].solid);
+
+    // Overlapping solids
+    findOverlaps(solids).forEach(([a, b]) => {
+        error(b.path, `${b.type} overlaps ${a.type} at ${a.path}`);
+    });
+
+    return solids;
+}
+
+/**
+ * Check the level's sub-areas
+ * @param {Object} level - Normalized level model
+ * @param {Object} schema - Schema to validate against
+ * @param {Function} error - Error reporter
+ * @param {Function} warn - Warning reporter
+ */
+function checkSubAreas(level, schema, error, warn) {
+    const seen = {};
+
+    level.areas.forEach((area, index) => {
+        const areaPath = `areas[${index}]`;
+
+        if (typeof area.id !== 'string' || area.id === '') {
+            error(`${areaPath}.id`, 'is required');
+        } else if (area.id === MAIN_AREA_ID) {
+            error(`${areaPath}.id`, `"${MAIN_AREA_ID}" is reserved for the level itself`);
+        } else if (seen[area.id]) {
+            error(`${areaPath}.id`, `duplicate area id "${area.id}", also used by ${seen[area.id]}`);
+        } else {
+            seen[area.id] = areaPath;
+        }
+
+        const hasBounds = area.width > 0 && area.height > 0;
+        if (!hasBounds) {
+            error(areaPath, 'needs a width and height greater than 0');
+        }
+
+        // Sub-areas without a theme use the level's
+        if (area.theme !== null && !matchesType(area.theme, schema.level.theme.type)) {
+            error(`${areaPath}.theme`, `must be ${describeType(schema.level.theme.type)}, got ${JSON.stringify(area.theme)}`);
+        }
+
+        if (area.weather !== null && !matchesType(area.weather, schema.level.weather.type)) {
+            error(`${areaPath}.weather`, `must be ${describeType(schema.level.weather.type)}, got ${JSON.stringify(area.weather)}`);
+        }
+
+        const solids = checkArea(area, areaPath, level, schema, hasBounds, error, warn);
+
+        // Sub-areas entered only through warps don't need a start position
+        if (area.playerStart) {
+            checkPlayerStart(area, solids, schema.player, hasBounds, error, `${areaPath}.playerStart`);
+        }
+    });
+}
+
+/**
+ * Check the camera path of an auto-scrolling level
+ * @param {Object} level - Normalized level model
+ * @param {boolean} hasBounds - Whether the level has valid bounds
+ * @param {Function} error - Error reporter
+ */
+function checkAutoScroll(level, hasBounds, error) {
+    // Anything other than a path has already been reported by the type check
+    if (!level.autoScroll || typeof level.autoScroll !== 'object') return;
+
+    const waypoints = level.autoScroll.waypoints;
+    if (waypoints.length < 2) {
+        error('autoScroll.waypoints', 'needs at least two waypoints');
+        return;
+    }
+
+    waypoints.forEach((waypoint, index) => {
+        const path = `autoScroll.waypoints[${index}]`;
+
+        if (!matchesType(waypoint.x, 'number') || !matchesType(waypoint.y, 'number')) {
+            error(path, 'needs a numeric x and y');
+            return;
+        }
+
+        if (!matchesType(waypoint.speed, 'number') || waypoint.speed <= 0) {
+            error(`${path}.speed`, `must be a number greater than 0, got ${JSON.stringify(waypoint.speed)}`);
+        }
+
+        if (hasBounds && (waypoint.x < 0 || waypoint.x > level.width || waypoint.y < 0 || waypoint.y > level.height)) {
+            error(path, `(${waypoint.x}, ${waypoint.y}) is outside the level bounds (${level.width}x${level.height})`);
+        }
+    });
+}
+
+/**
+ * Check the weather of a level or sub-area
+ * @param {Object|null} weather - Normalized weather
+ * @param {string} path - Path of the weather in the authored data
+ * @param {Object} schema - Schema to validate against
+ * @param {Function} error - Error reporter
+ * @param {Function} warn - Warning reporter
+ */
+function checkWeather(weather, path, schema, error, warn) {
+    // Anything other than weather has already been reported by the type check
+    if (!weather || typeof weather !== 'object') return;
+
+    if (!matchesType(weather.wind, 'number')) {
+        error(`${path}.wind`, `must be a number, got ${JSON.stringify(weather.wind)}`);
+    }
+
+    weather.layers.forEach((layer, index) => {
+        const layerPath = `${path}.layers[${index}]`;
+        const definition = schema.weather[layer.type];
+
+        if (!definition) {
+            error(layerPath, `unknown weather ${JSON.stringify(layer.type)}, expected ${describeType(Object.keys(schema.weather))}`);
+            return;
+        }
+
+        Object.keys(layer).forEach(key => {
+            if (key === 'type') return;
+
+            const type = definition.properties[key];
+            if (type === undefined) {
+                warn(layerPath, `unknown ${layer.type} property ${JSON.stringify(key)}`);
+            } else if (!matchesType(layer[key], type)) {
+                error(layerPath, `${key} must be ${describeType(type)}, got ${JSON.stringify(layer[key])}`);
+            }
+        });
+
+        ['density', 'interval'].forEach(key => {
+            if (typeof layer[key] === 'number' && layer[key] <= 0) {
+                error(`${layerPath}.${key}`, 'must be greater than 0');
+            }
+        });
+    });
+}
+
+/**
+ * Check that a warp, or a block growing a vine, leads somewhere that exists
+ * @param {Object} warp - Warp entity or block tile descriptor
+ * @param {Object} level - Normalized level model
+ * @param {Function} error - Error reporter
+ */
+function checkWarp(warp, level, error) {
+    const { targetArea, targetLevel, targetWarp } = warp.properties;
+
+    // Warps without a target are exits only
+    if (!targetArea && !targetLevel) {
+        if (targetWarp) error(warp.path, 'targetWarp needs a targetArea or targetLevel');
+        return;
+    }
+
+    // Warps to other levels are resolved when they're used
+    if (targetLevel) return;
+
+    const area = targetArea === MAIN_AREA_ID ? level : level.areas.find(candidate => candidate.id === targetArea);
+    if (!area) {
+        error(warp.path, `unknown targetArea ${JSON.stringify(targetArea)}`);
+        return;
+    }
+
+    if (targetWarp && !area.entities.some(entity => entity.type === 'warp' && entity.properties.id === targetWarp)) {
+        error(warp.path, `targetWarp ${JSON.stringify(targetWarp)} not found in area "${targetArea}"`);
+    }
+}
+
+/**
+ * Check a list of trigger actions
+ * @param {Array} actions - Actions to check
+ * @param {string} path - Path of the list in the authored data
+ * @param {Object} area - Normalized level or sub-area the trigger is in
+ * @param {Object} schema - Schema to validate against
+ * @param {Function} error - Error reporter
+ * @param {Function} warn - Warning reporter
+ */
+function checkActions(actions, path, area, schema, error, warn) {
+    actions.forEach((action, index) => {
+        const actionPath = `${path}[${index}]`;
+
+        if (!isObject(action)) {
+            error(actionPath, `must be an object, got ${JSON.stringify(action)}`);
+            return;
+        }
+
+        if (action.type === undefined) {
+            error(actionPath, 'type is required');
+            return;
+        }
+
+        const definition = schema.actions[action.type];
+
+        if (!definition) {
+            error(actionPath, `unknown action ${JSON.stringify(action.type)}`);
+            return;
+        }
+
+        const { type, delay, requires, ...properties } = action;
+
+        definition.required.forEach(key => {
+            if (properties[key] === undefined) error(actionPath, `${type} needs ${key}`);
+        });
+        checkProperties({ type, path: actionPath, properties }, definition.properties, error, warn);
+
+        if (delay !== undefined && !(typeof delay === 'number' && delay >= 0)) {
+            error(actionPath, `delay must be a number of seconds, got ${JSON.stringify(delay)}`);
+        }
+
+        checkConditions(requires, `${actionPath}.requires`, schema, error);
+        checkActionTarget(action, actionPath, area, schema, error);
+
+        // Timers run their own actions when they run out
+        if (type === 'startTimer' && Array.isArray(action.onExpire)) {
+            checkActions(action.onExpire, `${actionPath}.onExpire`, area, schema, error, warn);
+        }
+    });
+}
+
+/**
+ * Check that the thing an action works on exists
+ * @param {Object} action - Trigger action
+ * @param {string} path - Path of the action in the authored data
+ * @param {Object} area - Normalized level or sub-area the trigger is in
+ * @param {Object} schema - Schema to validate against
+ * @param {Function} error - Error reporter
+ */
+function checkActionTarget(action, path, area, schema, error) {
+    const hasId = (item, type) => item.type === type && item.properties.id === action.target;
+
+    switch (action.type) {
+        case 'spawn': {
+            const entity = action.entity;
+            if (!entity || typeof entity !== 'object') return;
+
+            if (!schema.entities[entity.type] && !schema.tiles[entity.type]) {
+                error(`${path}.entity`, `unknown entity type ${JSON.stringify(entity.type)}`);
+            } else if (typeof entity.x !== 'number' || typeof entity.y !== 'number') {
+                error(`${path}.entity`, 'needs numeric x and y');
+            }
+            break;
+        }
+        case 'startPlatform':
+            if (action.target && !area.tiles.some(tile => hasId(tile, 'movingPlatform'))) {
+                error(path, `no movingPlatform with id ${JSON.stringify(action.target)}`);
+            }
+            break;
+        case 'openDoor':
+            if (action.target && !area.entities.some(entity => hasId(entity, 'warp'))) {
+                error(path, `no warp with id ${JSON.stringify(action.target)}`);
+            }
+            break;
+    }
+}
+
+/**
+ * Check the conditions a trigger or action requires
+ * @param {Object|null} requires - Conditions, e.g. { coins: 10 }
+ * @param {string} path - Path of the conditions in the authored data
+ * @param {Object} schema - Schema to validate against
+ * @param {Function} error - Error reporter
+ */
+function checkConditions(requires, path, schema, error) {
+    if (requires === null || requires === undefined) return;
+
+    if (typeof requires !== 'object' || Array.isArray(requires)) {
+        error(path, 'must be an object like { coins: 10 }');
+        return;
+    }
+
+    Object.keys(requires).forEach(key => {
+        if (!schema.conditions.includes(key)) {
+            error(path, `unknown condition ${JSON.stringify(key)}, expected ${describeType(schema.conditions)}`);
+        } else if (!matchesType(requires[key], 'number')) {
+            error(path, `${key} must be a number, got ${JSON.stringify(requires[key])}`);
+        }
+    });
+}
+
+/**
+ * Check that a tile or entity has a position and a positive size
+ * @param {Object} item - Tile or entity descriptor
+ * @param {number} width - Item width
+ * @param {number} height - Item height
+ * @param {Function} error - Error reporter
+ */
+function checkGeometry(item, width, height, error) {
+    if (typeof item.x !== 'number' || typeof item.y !== 'number') {
+        error(item.path, `${item.type} needs numeric x and y`);
+    }
+
+    if (!(width > 0) || !(height > 0)) {
+        error(item.path, `${item.type} needs a width and height greater than 0`);
+    }
+}
+
+/**
+ * Check whether a tile or entity has a position and a positive size, as checkGeometry() wants
+ * @param {Object} item - Tile or entity descriptor
+ * @returns {boolean} - Whether the item's geometry is usable
+ */
+function hasGeometry(item) {
+    return typeof item.x === 'number' && typeof item.y === 'number' && item.width > 0 && item.height > 0;
+}
+
+/**
+ * Check an item's properties against its schema definition
+ * Unknown properties are reported as warnings since they are ignored by the game
+ * @param {Object} item - Tile or entity descriptor
+ * @param {Object} declared - Declared properties and their types
+ * @param {Function} error - Error reporter
+ * @param {Function} warn - Warning reporter
+ */
+function checkProperties(item, declared, error, warn) {
+    Object.keys(item.properties).forEach(key => {
+        const value = item.properties[key];
+        const type = declared[key];
+
+        if (type === undefined) {
+            warn(item.path, `unknown ${item.type} property ${JSON.stringify(key)}`);
+            return;
+        }
+
+        if (!matchesType(value, type)) {
+            // Block contents get their own message since they're the most common typo
+            const message = key === 'contains' ?
+                `unknown contains item ${JSON.stringify(value)}, expected ${describeType(type)}` :
+                `${key} must be ${describeType(type)}, got ${JSON.stringify(value)}`;
+            error(item.path, message);
+        }
+    });
+}
+
+/**
+ * Check that the player can spawn at the start position
+ * The player must be inside the level, not inside a solid, and above something to land on
+ * @param {Object} level - Normalized level model or sub-area
+ * @param {Array} solids - Solid tiles
+ * @param {Object} player - Player size
+ * @param {boolean} hasBounds - Whether the level has valid bounds
+ * @param {Function} error - Error reporter
+ * @param {string} [path] - Path of the start position in the authored data
+ */
+function checkPlayerStart(level, solids, player, hasBounds, error, path = 'playerStart') {
+    const start = level.playerStart;
+
+    if (!start || typeof start.x !== 'number' || typeof start.y !== 'number') {
+        error(path, 'needs numeric x and y');
+        return;
+    }
+
+    const spawn = { x: start.x, y: start.y, width: player.width, height: player.height };
+
+    if (hasBounds && !isInside(spawn, spawn.width, spawn.height, level)) {
+        error(path, `(${start.x}, ${start.y}) is outside the level bounds`);
+        return;
+    }
+
+    const blocking = solids.find(solid => overlaps(spawn, solid));
+    if (blocking) {
+        error(path, `(${start.x}, ${start.y}) is inside ${blocking.type} at ${blocking.path}`);
+        return;
+    }
+
+    const spawnBottom = spawn.y + spawn.height;
+    const hasGround = solids.some(solid =>
+        solid.y >= spawnBottom &&
+        solid.x < spawn.x + spawn.width &&
+        solid.x + solid.width > spawn.x
+    );
+
+    if (!hasGround) {
+        error(path, `(${start.x}, ${start.y}) is unreachable: there is no ground below it`);
+    }
+}
+
+/**
+ * Find overlapping pairs using a sweep along the x axis
+ * @param {Array} solids - Solid tiles
+ * @returns {Array} - Pairs of overlapping tiles
+ */
+function findOverlaps(solids) {
+    const sorted = [...solids].sort((a, b) => a.x - b.x);
+    const pairs = [];
+
+    for (let i = 0; i < sorted.length; i++) {
+        const a = sorted[i];
+
+        for (let j = i + 1; j < sorted.length; j++) {
+            const b = sorted[j];
+
+            // Everything after this starts to the right of a
+            if (b.x >= a.x + a.width) break;
+
+            if (overlaps(a, b)) {
+                pairs.push([a, b]);
+            }
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Check whether two rectangles overlap (touching edges don't count)
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {boolean} - Whether the rectangles overlap
+ */
+function overlaps(a, b) {
+    return (
+        a.x < b.x + b.width &&
+        a.x + a.width > b.x &&
+        a.y < b.y + b.height &&
+        a.y + a.height > b.y
+    );
+}
+
+/**
+ * Check whether a rectangle lies within the level bounds
+ * @param {Object} item - Item with x and y
+ * @param {number} width - Item width
+ * @param {number} height - Item height
+ * @param {Object} level - Normalized level model
+ * @returns {boolean} - Whether the item is inside the level
+ */
+function isInside(item, width, height, level) {
+    return (
+        item.x >= 0 &&
+        item.y >= 0 &&
+        item.x + width <= level.width &&
+        item.y + height <= level.height
+    );
+}
+
+/**
+ * Get an entity's size, falling back to the schema default
+ * @param {Object} entity - Entity descriptor
+ * @param {Object} definition - Entity schema definition
+ * @returns {Object} - { width, height }
+ */
+function getEntitySize(entity, definition) {
+    const size = definition.size || { width: 32, height: 32 };
+
+    return {
+        width: entity.width || size.width,
+        height: entity.height || size.height
+    };
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string|Array} type - Type name or list of allowed values
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, type) {
+    if (Array.isArray(type)) {
+        return type.includes(value);
+    }
+
+    if (type === 'number') {
+        return typeof value === 'number' && !isNaN(value);
+    }
+
+    return typeof value === type;
+}
+
+/**
+ * Describe a schema type for error messages
+ * @param {string|Array} type - Type name or list of allowed values
+ * @returns {string} - Description
+ */
+function describeType(type) {
+    if (Array.isArray(type)) {
+        return `one of ${type.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * Normalize a level without throwing
+ * @param {Object} levelData - Level data
+ * @returns {Object|null} - Normalized level or null if it can't be parsed
+ */
+function normalizeLevelSafely(levelData) {
+    try {
+        return normalizeLevel(levelData);
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Lighting
+ * Darkens dark-themed stages and lights them back up around light sources
+ *
+ * The theme's darkness is painted into an offscreen layer, radial lights are cut
+ * out of it, and the layer is drawn over the scene, followed by a soft colored glow
+ * for each light. Light sources are entities whose getLight() returns a light
+ * (torches, fireballs, the star powerup, a player with star power) and tiles whose
+ * schema declares one (lava).
+ */
+
+import { LEVEL_SCHEMA } from './levelSchema.js';
+
+const GLOW_OPACITY = 0.25; // Strength of the colored glow around each light
+const TILE_LIGHT_SPACING = 64; // Pixels between the lights along a glowing tile
+
+export class Lighting {
+    constructor(game) {
+        this.game = game;
+
+        // Offscreen layer the darkness is painted into, created on first use
+        this.canvas = null;
+        this.ctx = null;
+
+        // Bind methods
+        this.render = this.render.bind(this);
+        this.collectLights = this.collectLights.bind(this);
+    }
+
+    /**
+     * Collect the lights in view
+     * @param {Renderer} renderer - The game renderer
+     * @returns {Array} - Lights as { x, y, radius, color } in world coordinates
+     */
+    collectLights(renderer) {
+        const lights = [];
+
+        this.game.entityManager.entities.forEach(entity => {
+            const light = entity.active && entity.getLight ? entity.getLight() : null;
+            if (light) lights.push(light);
+        });
+
+        this.game.levelManager.staticTiles.forEach(tile => {
+            const definition = LEVEL_SCHEMA.tiles[tile.type];
+            if (!definition || !definition.light) return;
+
+            const count = Math.max(1, Math.round(tile.width / TILE_LIGHT_SPACING));
+            for (let i = 0; i < count; i++) {
+                lights.push({
+                    x: tile.x + (i + 0.5) * tile.width / count,
+                    y: tile.y,
+                    radius: definition.light.radius,
+                    color: definition.light.color
+                });
+            }
+        });
+
+        return lights.filter(light => renderer.isVisible(
+            light.x - light.radius,
+            light.y - light.radius,
+            light.radius * 2,
+            light.radius * 2
+        ));
+    }
+
+    /**
+     * Draw the lighting pass over the scene
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        const theme = renderer.theme;
+        if (!(theme.darkness > 0)) return;
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d');
+        }
+
+        if (this.canvas.width !== renderer.width || this.canvas.height !== renderer.height) {
+            this.canvas.width = renderer.width;
+            this.canvas.height = renderer.height;
+        }
+
+        const ctx = this.ctx;
+        const lights = this.collectLights(renderer).map(light => ({
+            ...light,
+            ...renderer.worldToScreen(light.x, light.y)
+        }));
+
+        // Ambient darkness
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.fillStyle = `rgba(${theme.ambient}, ${theme.darkness})`;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Cut the lights out of it
+        ctx.globalCompositeOperation = 'destination-out';
+        lights.forEach(light => {
+            ctx.fillStyle = this.createGradient(ctx, light, '0, 0, 0', 1);
+            ctx.fillRect(light.x - light.radius, light.y - light.radius, light.radius * 2, light.radius * 2);
+        });
+
+        renderer.ctx.drawImage(this.canvas, 0, 0);
+
+        // Tint the lit areas with the color of their light
+        renderer.ctx.save();
+        renderer.ctx.globalCompositeOperation = 'lighter';
+        lights.forEach(light => {
+            renderer.ctx.fillStyle = this.createGradient(renderer.ctx, light, light.color, GLOW_OPACITY);
+            renderer.ctx.fillRect(light.x - light.radius, light.y - light.radius, light.radius * 2, light.radius * 2);
+        });
+        renderer.ctx.restore();
+    }
+
+    /**
+     * Create a radial gradient that fades out from a light's center to its radius
+     * @param {CanvasRenderingContext2D} ctx - Context to create the gradient on
+     * @param {Object} light - Light in screen coordinates
+     * @param {string} rgb - RGB of the gradient, e.g. '255, 160, 60'
+     * @param {number} opacity - Opacity at the center
+     * @returns {CanvasGradient} - The gradient
+     */
+    createGradient(ctx, light, rgb, opacity) {
+        const gradient = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius);
+        gradient.addColorStop(0, `rgba(${rgb}, ${opacity})`);
+        gradient.addColorStop(0.5, `rgba(${rgb}, ${opacity * 0.6})`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+
+        return gradient;
+    }
+}
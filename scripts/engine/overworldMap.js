@@ -0,0 +1,326 @@
+/**
+ * Overworld Map
+ * World map shown between levels, drawn on the game canvas
+ *
+ * Arya stands on a level node and walks along open paths with the arrow keys;
+ * Enter or Space plays the level she's standing on. Which paths are open comes
+ * from the levels the game manager has recorded as finished, and through which exit.
+ */
+
+import OVERWORLD from '../levels/overworld.js';
+
+// Arrow keys and the way they point on the map
+const DIRECTIONS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+};
+
+const WALK_SPEED = 240; // Pixels per second
+const NODE_RADIUS = 20;
+
+export class OverworldMap {
+    /**
+     * @param {Object} game - Game instance
+     * @param {Object} [map] - Map data, see levels/overworld.js
+     */
+    constructor(game, map = OVERWORLD) {
+        this.game = game;
+        this.map = map;
+
+        // Map state
+        this.active = false;
+        this.nodeId = map.start; // Node Arya is standing on, or walking away from
+        this.avatar = { x: 0, y: 0 };
+        this.walk = null; // { points, segment, targetId } while walking
+        this.time = 0;
+
+        // Bind methods
+        this.init = this.init.bind(this);
+        this.open = this.open.bind(this);
+        this.close = this.close.bind(this);
+        this.update = this.update.bind(this);
+        this.render = this.render.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.isNodeUnlocked = this.isNodeUnlocked.bind(this);
+        this.isPathOpen = this.isPathOpen.bind(this);
+    }
+
+    /**
+     * Initialize keyboard input
+     */
+    init() {
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Show the map
+     * @param {string} [nodeId] - Node to stand on, e.g. the level just finished
+     */
+    open(nodeId = this.nodeId) {
+        console.log('Opening overworld map...');
+
+        // Hide menus and game screens
+        ['start-menu', 'level-select', 'level-complete', 'game-complete', 'game-ui'].forEach(id => {
+            document.getElementById(id).classList.add('hidden');
+        });
+
+        // Locked or unknown nodes fall back to the start
+        this.nodeId = this.getNode(nodeId) && this.isNodeUnlocked(nodeId) ? nodeId : this.map.start;
+        this.walk = null;
+
+        const node = this.getNode(this.nodeId);
+        this.avatar.x = node.x;
+        this.avatar.y = node.y;
+
+        // The map fits on one screen
+        const renderer = this.game.renderer;
+        renderer.followTarget(null);
+        renderer.setCameraBounds(0, this.map.width, 0, this.map.height);
+        renderer.camera.x = 0;
+        renderer.camera.y = 0;
+
+        this.active = true;
+        this.game.isRunning = false;
+        this.game.isPaused = false;
+        this.game.gameManager.currentState = 'overworld';
+
+        this.game.audioManager.playMusic('music-main-theme', true);
+    }
+
+    /**
+     * Hide the map
+     */
+    close() {
+        this.active = false;
+        this.walk = null;
+    }
+
+    /**
+     * Get a node by ID
+     * @param {string} id - Node ID, the same as the level ID (world-stage)
+     * @returns {Object|null} - The node, or null if not found
+     */
+    getNode(id) {
+        return this.map.nodes.find(node => node.id === id) || null;
+    }
+
+    /**
+     * Check whether a path can be walked
+     * @param {Object} path - Map path
+     * @returns {boolean} - Whether its level has been finished through the path's exit
+     */
+    isPathOpen(path) {
+        return this.game.gameManager.hasTakenExit(path.from, path.exit || 'normal');
+    }
+
+    /**
+     * Check whether a node's level can be played
+     * @param {string} id - Node ID
+     * @returns {boolean} - Whether it's the start node or an open path leads to it
+     */
+    isNodeUnlocked(id) {
+        if (id === this.map.start) return true;
+
+        return this.map.paths.some(path => path.to === id && this.isPathOpen(path));
+    }
+
+    /**
+     * Find the open path leaving the current node in a direction
+     * @param {Object} direction - { x, y } unit direction
+     * @returns {Object|null} - { points, targetId } route to walk, or null if there's none that way
+     */
+    findRoute(direction) {
+        const node = this.getNode(this.nodeId);
+        let best = null;
+        let bestScore = 0.5; // Roughly within 60 degrees of the key pressed
+
+        this.map.paths.forEach(path => {
+            if (!this.isPathOpen(path)) return;
+            if (path.from !== node.id && path.to !== node.id) return;
+
+            // Paths are walked from either end
+            const forward = path.from === node.id;
+            const points = [this.getNode(path.from), ...(path.points || []), this.getNode(path.to)]
+                .map(point => ({ x: point.x, y: point.y }));
+            if (!forward) points.reverse();
+
+            // Compare the direction of the first stretch with the key pressed
+            const dx = points[1].x - points[0].x;
+            const dy = points[1].y - points[0].y;
+            const length = Math.hypot(dx, dy) || 1;
+            const score = (dx * direction.x + dy * direction.y) / length;
+
+            if (score > bestScore) {
+                bestScore = score;
+                best = { points, targetId: forward ? path.to : path.from };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Handle map keyboard input
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleKeyDown(event) {
+        if (!this.active || this.walk) return;
+
+        if (DIRECTIONS[event.key]) {
+            event.preventDefault();
+
+            const route = this.findRoute(DIRECTIONS[event.key]);
+            if (route) {
+                this.walk = { points: route.points, segment: 0, targetId: route.targetId };
+            }
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.enterLevel();
+        } else if (event.key === 'Escape') {
+            this.close();
+            this.game.gameManager.exitToMenu();
+        }
+    }
+
+    /**
+     * Play the level Arya is standing on
+     */
+    enterLevel() {
+        const node = this.getNode(this.nodeId);
+
+        this.close();
+        this.game.gameManager.loadLevel(node.world, node.stage);
+    }
+
+    /**
+     * Update the map
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        if (!this.walk) return;
+
+        // Walk along the path, carrying leftover distance round corners
+        let distance = WALK_SPEED * deltaTime;
+
+        while (distance > 0 && this.walk) {
+            const target = this.walk.points[this.walk.segment + 1];
+            const dx = target.x - this.avatar.x;
+            const dy = target.y - this.avatar.y;
+            const remaining = Math.hypot(dx, dy);
+
+            if (remaining > distance) {
+                this.avatar.x += dx / remaining * distance;
+                this.avatar.y += dy / remaining * distance;
+                distance = 0;
+            } else {
+                this.avatar.x = target.x;
+                this.avatar.y = target.y;
+                distance -= remaining;
+                this.walk.segment++;
+
+                if (this.walk.segment >= this.walk.points.length - 1) {
+                    this.nodeId = this.walk.targetId;
+                    this.walk = null;
+                }
+            }
+        }
+    }
+
+    /**
+     * Render the map
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        const ctx = renderer.ctx;
+        const gameManager = this.game.gameManager;
+
+        // Grass
+        renderer.drawRect(0, 0, this.map.width, this.map.height, '#6ab04c');
+
+        // Paths, with ones not yet opened left out
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 12;
+
+        this.map.paths.forEach(path => {
+            if (!this.isPathOpen(path)) return;
+
+            const points = [this.getNode(path.from), ...(path.points || []), this.getNode(path.to)];
+
+            ctx.strokeStyle = path.exit === 'secret' ? '#c39bd3' : '#e1c699';
+            ctx.beginPath();
+            points.forEach((point, index) => {
+                const screen = renderer.worldToScreen(point.x, point.y);
+                if (index === 0) {
+                    ctx.moveTo(screen.x, screen.y);
+                } else {
+                    ctx.lineTo(screen.x, screen.y);
+                }
+            });
+            ctx.stroke();
+        });
+
+        // Nodes: red when playable, grey when locked, with a flag once finished
+        this.map.nodes.forEach(node => {
+            const unlocked = this.isNodeUnlocked(node.id);
+            const screen = renderer.worldToScreen(node.x, node.y);
+
+            ctx.fillStyle = unlocked ? '#d62828' : '#7f8c8d';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, NODE_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            if (gameManager.completedLevels[node.id]) {
+                renderer.drawRect(node.x + 12, node.y - 44, 3, 28, '#5c3317');
+                renderer.drawRect(node.x + 15, node.y - 44, 14, 10, '#ffd700');
+            }
+
+            // Secret exit found
+            if (gameManager.hasTakenExit(node.id, 'secret')) {
+                renderer.drawRect(node.x - 4, node.y - 4, 8, 8, '#c39bd3');
+            }
+
+            renderer.drawText(node.id, node.x, node.y + NODE_RADIUS + 6, {
+                font: '14px PixelFont',
+                align: 'center',
+                stroke: { color: 'black', width: 3 }
+            });
+        });
+
+        ctx.restore();
+
+        // Arya, bobbing while she waits
+        const bob = this.walk ? 0 : Math.round(Math.sin(this.time * 4) * 2);
+        const avatarX = this.avatar.x - 10;
+        const avatarY = this.avatar.y - 40 + bob;
+        renderer.drawRect(avatarX, avatarY, 20, 12, '#ffcc99'); // Head
+        renderer.drawRect(avatarX - 2, avatarY - 4, 24, 6, '#d62828'); // Cap
+        renderer.drawRect(avatarX, avatarY + 12, 20, 16, '#1e3799'); // Overalls
+
+        // Name and prompt for the current node
+        if (!this.walk) {
+            const node = this.getNode(this.nodeId);
+            const levelData = gameManager.getLevelData(node.world, node.stage);
+            const title = levelData && levelData.name ? `${node.id}  ${levelData.name}` : node.id;
+
+            renderer.drawText(title, this.map.width / 2, this.map.height - 72, {
+                font: '24px PixelFont',
+                align: 'center',
+                stroke: { color: 'black', width: 4 }
+            });
+            renderer.drawText('Arrows: walk   Enter: play   Esc: menu', this.map.width / 2, this.map.height - 36, {
+                font: '14px PixelFont',
+                align: 'center',
+                stroke: { color: 'black', width: 3 }
+            });
+        }
+    }
+}
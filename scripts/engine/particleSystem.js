@@ -5,11 +5,97 @@
 
 import { Particle } from '../entities/particle.js';
 
+/**
+ * Particle Pool
+ * A fixed number of lightweight particles that are reused instead of created and destroyed
+ *
+ * For effects that keep hundreds of particles on screen, like weather, where a Particle
+ * entity each would flood the entity manager. Particles are plain objects that the pool
+ * moves along their velocity; the owner spawns them and draws them through `draw`.
+ */
+export class ParticlePool {
+    /**
+     * @param {number} size - Number of particles in the pool
+     * @param {Function} [draw] - Draws one particle, called as draw(renderer, particle)
+     */
+    constructor(size, draw = null) {
+        this.draw = draw;
+        this.particles = [];
+        this.free = []; // Indices of particles not in use
+        
+        for (let i = size - 1; i >= 0; i--) {
+            this.particles[i] = { index: i, alive: false, x: 0, y: 0, velocityX: 0, velocityY: 0, life: 0 };
+            this.free.push(i);
+        }
+    }
+    
+    /**
+     * Take a particle from the pool
+     * @param {Object} [values] - Values to set on the particle, e.g. { x, y, velocityX, life }
+     * @returns {Object|null} - The particle, or null when every particle is in use
+     */
+    spawn(values = {}) {
+        if (this.free.length === 0) return null;
+        
+        const particle = this.particles[this.free.pop()];
+        Object.assign(particle, { velocityX: 0, velocityY: 0, life: Infinity }, values, { alive: true });
+        
+        return particle;
+    }
+    
+    /**
+     * Put a particle back in the pool
+     * @param {Object} particle - Particle taken from this pool
+     */
+    release(particle) {
+        if (!particle.alive) return;
+        
+        particle.alive = false;
+        this.free.push(particle.index);
+    }
+    
+    /**
+     * Move particles along their velocity and release the ones whose life has run out
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.particles.forEach(particle => {
+            if (!particle.alive) return;
+            
+            particle.x += particle.velocityX * deltaTime;
+            particle.y += particle.velocityY * deltaTime;
+            particle.life -= deltaTime;
+            
+            if (particle.life <= 0) {
+                this.release(particle);
+            }
+        });
+    }
+    
+    /**
+     * Call a function for each particle in use
+     * @param {Function} callback - Called with each live particle
+     */
+    forEachAlive(callback) {
+        this.particles.forEach(particle => {
+            if (particle.alive) callback(particle);
+        });
+    }
+    
+    /**
+     * Put every particle back in the pool
+     */
+    clear() {
+        this.particles.forEach(particle => this.release(particle));
+    }
+}
+
 export class ParticleSystem {
     constructor(game) {
         this.game = game;
         this.particles = [];
         this.maxParticles = 200; // Maximum number of particles to prevent performance issues
+        this.pools = []; // Pooled particles for long-running effects, see ParticlePool
         this.presets = this.createPresets();
     }
     
@@ -93,6 +179,18 @@ export class ParticleSystem {
                 direction: 'up'
             },
             
+            // Brick debris effect
+            brickDebris: {
+                count: 12,
+                colors: ['#B5542C', '#5C2A14'], // Brick and mortar
+                size: { width: 8, height: 8 },
+                velocity: { min: 80, max: 160 },
+                gravity: true,
+                lifetime: { min: 0.6, max: 1.0 },
+                fadeOut: false,
+                pattern: 'fountain'
+            },
+            
             // Powerup appear effect
             powerupAppear: {
                 count: 10,
@@ -153,6 +251,67 @@ export class ParticleSystem {
                 pattern: 'fountain'
             },
             
+            // Spike hit effect
+            spikeHit: {
+                count: 10,
+                colors: ['#C0C0C0', '#FF4444'], // Steel and red
+                size: { width: 4, height: 4 },
+                velocity: { min: 40, max: 80 },
+                gravity: true,
+                lifetime: { min: 0.3, max: 0.6 },
+                fadeOut: true,
+                pattern: 'cone',
+                direction: 'up'
+            },
+            
+            // Lava splash effect
+            lavaSplash: {
+                count: 20,
+                colors: ['#FF4500', '#FFA500', '#FFD700'], // Red-orange to yellow
+                size: { width: 6, height: 6 },
+                velocity: { min: 60, max: 120 },
+                gravity: true,
+                lifetime: { min: 0.6, max: 1 },
+                fadeOut: true,
+                pattern: 'fountain'
+            },
+            
+            // Saw blade sparks effect
+            sawSparks: {
+                count: 12,
+                colors: ['#FFFF99', '#FFA500'], // Pale yellow and orange
+                size: { width: 3, height: 3 },
+                velocity: { min: 80, max: 140 },
+                gravity: true,
+                lifetime: { min: 0.2, max: 0.4 },
+                fadeOut: true,
+                pattern: 'point'
+            },
+            
+            // Water splash effect
+            waterSplash: {
+                count: 12,
+                colors: ['#FFFFFF', '#87CEFA'], // White and light blue
+                size: { width: 4, height: 4 },
+                velocity: { min: 40, max: 90 },
+                gravity: true,
+                lifetime: { min: 0.4, max: 0.7 },
+                fadeOut: true,
+                pattern: 'fountain'
+            },
+            
+            // Bubbles rising from a swimmer
+            bubble: {
+                count: 2,
+                color: '#E0FFFF', // Light cyan
+                size: { width: 4, height: 4 },
+                velocity: { min: 10, max: 25 },
+                gravity: false,
+                lifetime: { min: 0.8, max: 1.2 },
+                fadeOut: true,
+                pattern: 'fountain'
+            },
+            
             // Goal reached effect
             goalReached: {
                 count: 30,
@@ -224,7 +383,7 @@ export class ParticleSystem {
         let color;
         if (settings.colors) {
             // If multiple colors are specified, choose one randomly
-            color = settings.colors[Math.floor(Math.random() * settings.colors.length)];
+            color = settings.colors[Math.floor(this.game.random.next() * settings.colors.length)];
         } else {
             color = settings.color || '#FFFFFF';
         }
@@ -235,8 +394,8 @@ export class ParticleSystem {
         
         // Determine particle lifetime
         const lifetime = settings.lifetime ?
-            settings.lifetime.min + Math.random() * (settings.lifetime.max - settings.lifetime.min) :
-            0.5 + Math.random() * 0.5;
+            settings.lifetime.min + this.game.random.next() * (settings.lifetime.max - settings.lifetime.min) :
+            0.5 + this.game.random.next() * 0.5;
         
         // Determine particle velocity based on pattern
         let velocityX = 0;
@@ -244,7 +403,7 @@ export class ParticleSystem {
         
         const minVelocity = settings.velocity ? settings.velocity.min : 20;
         const maxVelocity = settings.velocity ? settings.velocity.max : 50;
-        const velocity = minVelocity + Math.random() * (maxVelocity - minVelocity);
+        const velocity = minVelocity + this.game.random.next() * (maxVelocity - minVelocity);
         
         switch (settings.pattern) {
             case 'circle':
@@ -258,13 +417,13 @@ export class ParticleSystem {
                 // Particles emit in a cone shape
                 let coneAngle;
                 if (settings.direction === 'up') {
-                    coneAngle = Math.PI / 2 + (Math.random() - 0.5) * Math.PI / 2;
+                    coneAngle = Math.PI / 2 + (this.game.random.next() - 0.5) * Math.PI / 2;
                 } else if (settings.direction === 'down') {
-                    coneAngle = -Math.PI / 2 + (Math.random() - 0.5) * Math.PI / 2;
+                    coneAngle = -Math.PI / 2 + (this.game.random.next() - 0.5) * Math.PI / 2;
                 } else if (settings.direction === 'left') {
-                    coneAngle = Math.PI + (Math.random() - 0.5) * Math.PI / 2;
+                    coneAngle = Math.PI + (this.game.random.next() - 0.5) * Math.PI / 2;
                 } else { // right or default
-                    coneAngle = 0 + (Math.random() - 0.5) * Math.PI / 2;
+                    coneAngle = 0 + (this.game.random.next() - 0.5) * Math.PI / 2;
                 }
                 velocityX = Math.cos(coneAngle) * velocity;
                 velocityY = Math.sin(coneAngle) * velocity;
@@ -272,20 +431,20 @@ export class ParticleSystem {
                 
             case 'horizontal':
                 // Particles emit horizontally
-                velocityX = (Math.random() * 2 - 1) * velocity;
-                velocityY = (Math.random() - 0.5) * (velocity / 3);
+                velocityX = (this.game.random.next() * 2 - 1) * velocity;
+                velocityY = (this.game.random.next() - 0.5) * (velocity / 3);
                 break;
                 
             case 'fountain':
                 // Particles emit upward like a fountain
-                velocityX = (Math.random() * 2 - 1) * velocity;
-                velocityY = -velocity - Math.random() * (maxVelocity - minVelocity);
+                velocityX = (this.game.random.next() * 2 - 1) * velocity;
+                velocityY = -velocity - this.game.random.next() * (maxVelocity - minVelocity);
                 break;
                 
             case 'point':
             default:
                 // Particles emit from a point in random directions
-                const randomAngle = Math.random() * Math.PI * 2;
+                const randomAngle = this.game.random.next() * Math.PI * 2;
                 velocityX = Math.cos(randomAngle) * velocity;
                 velocityY = Math.sin(randomAngle) * velocity;
                 break;
@@ -304,7 +463,7 @@ export class ParticleSystem {
             lifetime: lifetime,
             fadeOut: settings.fadeOut !== undefined ? settings.fadeOut : true,
             fadeIn: settings.fadeIn || false,
-            rotationSpeed: settings.rotationSpeed || (Math.random() - 0.5) * 5,
+            rotationSpeed: settings.rotationSpeed || (this.game.random.next() - 0.5) * 5,
             game: this.game
         });
         
@@ -315,13 +474,50 @@ export class ParticleSystem {
         return particle;
     }
     
+    /**
+     * Create a particle pool that the particle system updates and draws
+     * @param {number} size - Number of particles in the pool
+     * @param {Function} draw - Draws one particle, called as draw(renderer, particle)
+     * @returns {ParticlePool} - The new pool
+     */
+    createPool(size, draw) {
+        const pool = new ParticlePool(size, draw);
+        this.pools.push(pool);
+        
+        return pool;
+    }
+    
+    /**
+     * Stop updating and drawing a particle pool
+     * @param {ParticlePool} pool - Pool created with createPool
+     */
+    removePool(pool) {
+        this.pools = this.pools.filter(other => other !== pool);
+    }
+    
     /**
      * Update the particle system
-     * Remove references to destroyed particles
+     * Remove references to destroyed particles and move pooled particles
+     * @param {number} deltaTime - Time since last update in seconds
      */
-    update() {
+    update(deltaTime) {
         // Filter out destroyed particles
         this.particles = this.particles.filter(particle => particle.active);
+        
+        this.pools.forEach(pool => pool.update(deltaTime));
+    }
+    
+    /**
+     * Draw pooled particles
+     * Particle entities are drawn by the entity manager
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        this.pools.forEach(pool => {
+            if (pool.draw) {
+                pool.forEachAlive(particle => pool.draw(renderer, particle));
+            }
+        });
     }
     
     /**
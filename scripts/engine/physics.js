@@ -3,39 +3,180 @@
  * Handles physics simulation, collision detection, and resolution
  */
 
+import { TILE_FLAGS, getSlopeY } from './tileCollisionMap.js';
+import { SpatialHash } from './spatialHash.js';
+import { COLLISION_LAYERS, COLLISION_MASKS, getCollisionMask } from './collisionLayers.js';
+
+// How each surface material affects things on it
+// friction: horizontal velocity kept each update when not walking (null uses the entity's own)
+// control: how much of the change to walking speed happens each update; below 1 carries momentum
+// speedScale, jumpScale: walking speed and jump strength on the surface
+// bounce: rebound as a fraction of landing speed
+// launch, heldLaunch: springboard launch as a fraction of the player's jump force, normally
+//     and with jump held
+// conveyorSpeed: pixels per second the surface carries things, unless the tile sets its own
+// carryMomentum: keep the surface's control in the air after jumping off it
+export const SURFACE_MATERIALS = {
+    default: {
+        friction: null,
+        control: 1,
+        speedScale: 1,
+        jumpScale: 1,
+        bounce: 0,
+        launch: 0,
+        heldLaunch: 0,
+        conveyorSpeed: 0,
+        carryMomentum: false
+    },
+    ice: { friction: 0.98, control: 0.05, carryMomentum: true },
+    conveyor: { conveyorSpeed: 80 },
+    springboard: { bounce: 0.8, launch: 0.9, heldLaunch: 1.6 },
+    mud: { friction: 0.5, speedScale: 0.4, jumpScale: 0.6 },
+    
+    // Not placed by levels: plain surfaces turn to this while it rains (see Weather)
+    wet: { friction: 0.93, control: 0.3 }
+};
+
+// Side of a collider a contact normal points away from
+const CONTACT_SIDES = {
+    '0,-1': 'bottom',
+    '0,1': 'top',
+    '-1,0': 'right',
+    '1,0': 'left'
+};
+
+// World physics, also used by the level generator to work out what the player can jump
+export const PHYSICS_DEFAULTS = {
+    gravity: 0.5, // Pulled per second², scaled by each entity's mass
+    friction: 0.8,
+    terminalVelocity: 10 // Fastest anything moves along either axis, in pixels per second
+};
+
+// How far past the distance moved a collider can be from a slope's surface and still be
+// stuck to it, so walking down a slope follows it instead of hopping off in little falls
+const SLOPE_SNAP_MARGIN = 2;
+
 export class Physics {
     constructor(config) {
         // Physics configuration
-        this.gravity = config.gravity || 0.5;
-        this.friction = config.friction || 0.8;
-        this.terminalVelocity = config.terminalVelocity || 10;
+        this.gravity = config.gravity || PHYSICS_DEFAULTS.gravity;
+        this.friction = config.friction || PHYSICS_DEFAULTS.friction;
+        this.terminalVelocity = config.terminalVelocity || PHYSICS_DEFAULTS.terminalVelocity;
+        
+        // Swimming physics for entities in water cells
+        this.water = {
+            gravityScale: 0.3, // Fraction of normal gravity
+            maxSinkSpeed: 80, // Pixels per second
+            drag: 0.9, // Horizontal velocity kept each update
+            strokeForce: 0.4, // Fraction of jump force given by a swim stroke
+            ...config.water
+        };
+        
+        // Weather, set by the Weather system for the current area
+        this.wind = 0; // Horizontal push in pixels per second², negative to the left
+        this.wet = false; // Whether rain makes plain surfaces slippery
         
         // Collision groups
         this.colliders = [];
         this.staticColliders = [];
         this.dynamicColliders = [];
         
-        // Collision layers and masks
-        this.layers = {
-            DEFAULT: 0x0001,
-            PLAYER: 0x0002,
-            ENEMY: 0x0004,
-            PLATFORM: 0x0008,
-            ITEM: 0x0010,
-            PROJECTILE: 0x0020,
-            TRIGGER: 0x0040,
-            HAZARD: 0x0080
-        };
+        // Broadphase, so collision checks only look at nearby colliders
+        this.broadphase = new SpatialHash(config.broadphaseCellSize || 64);
+        
+        // Counters for the last update, reported by the physics benchmark
+        // pairs: collider pairs the broadphase turned up; checks: precise overlap tests
+        this.stats = { pairs: 0, checks: 0 };
+        
+        // Static level geometry, queried by cell instead of looped over
+        this.tileMap = null;
+        
+        // Collision layers and masks, from the shared registry (see collisionLayers.js)
+        this.layers = COLLISION_LAYERS;
+        this.masks = COLLISION_MASKS;
         
         // Bind methods
         this.update = this.update.bind(this);
         this.addCollider = this.addCollider.bind(this);
         this.removeCollider = this.removeCollider.bind(this);
+        this.updateCollider = this.updateCollider.bind(this);
+        this.clearColliders = this.clearColliders.bind(this);
+        this.queryColliders = this.queryColliders.bind(this);
         this.checkCollision = this.checkCollision.bind(this);
         this.resolveCollision = this.resolveCollision.bind(this);
+        this.moveCollider = this.moveCollider.bind(this);
+        this.moveEntity = this.moveEntity.bind(this);
+        this.findFirstContact = this.findFirstContact.bind(this);
+        this.sweepCollider = this.sweepCollider.bind(this);
+        this.reverseContact = this.reverseContact.bind(this);
+        this.getContact = this.getContact.bind(this);
         this.applyGravity = this.applyGravity.bind(this);
         this.applyFriction = this.applyFriction.bind(this);
         this.raycast = this.raycast.bind(this);
+        this.setTileMap = this.setTileMap.bind(this);
+        this.isInWater = this.isInWater.bind(this);
+        this.isClimbable = this.isClimbable.bind(this);
+        this.getMaterial = this.getMaterial.bind(this);
+        this.collideWithTiles = this.collideWithTiles.bind(this);
+        this.collideWithSlopes = this.collideWithSlopes.bind(this);
+        this.findSlope = this.findSlope.bind(this);
+    }
+    
+    /**
+     * Set the tile collision map for the current level
+     * @param {TileCollisionMap|null} tileMap - Collision map, or null to clear it
+     */
+    setTileMap(tileMap) {
+        this.tileMap = tileMap;
+    }
+    
+    /**
+     * Check whether an entity is in water
+     * Entities count as in water once their center is below the surface
+     * @param {Object} entity - Entity or collider
+     * @returns {boolean} - Whether the entity's center is in a water cell
+     */
+    isInWater(entity) {
+        if (!this.tileMap) return false;
+        
+        const flags = this.tileMap.getFlagsAt(entity.x + entity.width / 2, entity.y + entity.height / 2);
+        return (flags & TILE_FLAGS.WATER) !== 0;
+    }
+    
+    /**
+     * Check whether an entity can climb where it is
+     * Like water, this goes by the cell under the entity's center
+     * @param {Object} entity - Entity or collider
+     * @returns {boolean} - Whether the entity's center is in a climbable cell
+     */
+    isClimbable(entity) {
+        if (!this.tileMap) return false;
+        
+        const flags = this.tileMap.getFlagsAt(entity.x + entity.width / 2, entity.y + entity.height / 2);
+        return (flags & TILE_FLAGS.CLIMB) !== 0;
+    }
+    
+    /**
+     * Get the material properties of a surface
+     * @param {Object|null} surface - Tile rectangle or collider being stood on, or null in the air
+     * @returns {Object} - Material properties, see SURFACE_MATERIALS
+     */
+    getMaterial(surface) {
+        const defaults = SURFACE_MATERIALS.default;
+        let material = surface && SURFACE_MATERIALS[surface.material];
+        
+        // Rain makes plain ground slippery; special materials keep their own feel
+        if (!material && surface && this.wet) {
+            material = SURFACE_MATERIALS.wet;
+        }
+        
+        if (!material) return defaults;
+        
+        return {
+            ...defaults,
+            ...material,
+            conveyorSpeed: surface.conveyorSpeed || material.conveyorSpeed || 0
+        };
     }
     
     /**
@@ -43,97 +184,430 @@ export class Physics {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
+        this.stats.pairs = 0;
+        this.stats.checks = 0;
+        
+        // Store previous positions, and number the colliders so each dynamic pair is
+        // only handled once, by whichever of the two moves first
+        this.dynamicColliders.forEach((collider, index) => {
+            collider.prevX = collider.x;
+            collider.prevY = collider.y;
+            collider.updateIndex = index;
+        });
+        
+        const handledPairs = new Set();
+        const count = this.dynamicColliders.length;
+        
         // Update dynamic colliders
         for (const collider of this.dynamicColliders) {
             // Skip inactive colliders
             if (!collider.active) continue;
             
-            // Store previous position
-            collider.prevX = collider.x;
-            collider.prevY = collider.y;
+            const wasOnGround = collider.onGround;
             
             // Apply gravity if entity is affected by gravity
             if (collider.affectedByGravity) {
                 this.applyGravity(collider, deltaTime);
             }
             
+            // Push with the wind
+            if (this.wind !== 0) {
+                collider.velocityX += this.wind * deltaTime;
+            }
+            
             // Apply friction if entity is on ground
             if (collider.onGround) {
                 this.applyFriction(collider, deltaTime);
             }
             
-            // Update position based on velocity
-            collider.x += collider.velocityX * deltaTime;
-            collider.y += collider.velocityY * deltaTime;
+            // Move one axis at a time, stopping at whatever is in the way
+            this.moveCollider(collider, collider.velocityX * deltaTime, 0);
+            this.moveCollider(collider, 0, collider.velocityY * deltaTime);
+            this.collideWithSlopes(collider, wasOnGround);
+            this.broadphase.update(collider);
             
-            // Check for collisions with static colliders
-            for (const staticCollider of this.staticColliders) {
-                // Skip inactive colliders
-                if (!staticCollider.active) continue;
-                
-                // Skip if layers don't match
-                if (!(collider.collisionMask & staticCollider.collisionLayer)) continue;
+            // Push out of nearby static colliders that ended up overlapping it anyway
+            for (const staticCollider of this.getCandidates(collider)) {
+                if (!staticCollider.isStatic) continue;
                 
                 // Check for collision
                 if (this.checkCollision(collider, staticCollider)) {
-                    // Resolve collision
-                    this.resolveCollision(collider, staticCollider);
-                    
-                    // Trigger collision callbacks
-                    if (collider.onCollision) {
-                        collider.onCollision(staticCollider);
-                    }
-                    
-                    if (staticCollider.onCollision) {
-                        staticCollider.onCollision(collider);
-                    }
+                    // Resolve collision and trigger collision callbacks
+                    const contact = this.resolveCollision(collider, staticCollider);
+                    this.notifyCollision(collider, staticCollider, contact);
                 }
             }
             
-            // Check for collisions with other dynamic colliders
-            for (const otherCollider of this.dynamicColliders) {
-                // Skip self or inactive colliders
-                if (collider === otherCollider || !otherCollider.active) continue;
+            // Check for collisions with level geometry
+            this.collideWithTiles(collider);
+            this.broadphase.update(collider);
+            
+            // Check for collisions with other nearby dynamic colliders
+            for (const otherCollider of this.getCandidates(collider)) {
+                if (otherCollider.isStatic) continue;
                 
-                // Skip if layers don't match
-                if (!(collider.collisionMask & otherCollider.collisionLayer)) continue;
+                const pair = Math.min(collider.updateIndex, otherCollider.updateIndex) * count +
+                    Math.max(collider.updateIndex, otherCollider.updateIndex);
+                if (handledPairs.has(pair)) continue;
                 
                 // Check for collision
                 if (this.checkCollision(collider, otherCollider)) {
-                    // Resolve collision
-                    this.resolveCollision(collider, otherCollider);
-                    
-                    // Trigger collision callbacks
-                    if (collider.onCollision) {
-                        collider.onCollision(otherCollider);
-                    }
-                    
-                    if (otherCollider.onCollision) {
-                        otherCollider.onCollision(collider);
-                    }
+                    // Resolve collision and trigger collision callbacks
+                    const contact = this.resolveCollision(collider, otherCollider);
+                    this.notifyCollision(collider, otherCollider, contact);
+                    handledPairs.add(pair);
                 }
             }
             
+            this.broadphase.update(collider);
+            
             // Update ground state
             collider.onGround = false;
+            collider.ground = null;
             
-            // Check if entity is on ground
-            for (const staticCollider of this.staticColliders) {
-                // Skip inactive colliders
-                if (!staticCollider.active) continue;
+            // Check if entity is standing on level geometry
+            if (this.tileMap && (collider.collisionMask & this.layers.PLATFORM)) {
+                const below = this.tileMap.queryRects(
+                    collider.x,
+                    collider.y + collider.height,
+                    collider.width,
+                    1,
+                    TILE_FLAGS.SOLID | TILE_FLAGS.ONE_WAY
+                );
+                
+                const ground = below.find(rect => !(rect.oneWay && collider.dropThrough) && this.checkGrounded(collider, rect));
+                if (ground) {
+                    collider.onGround = true;
+                    collider.ground = ground;
+                    continue;
+                }
                 
-                // Skip if layers don't match
+                // Or standing on a slope
+                const slope = this.findSlope(collider, 1, 1);
+                if (slope) {
+                    collider.onGround = true;
+                    collider.ground = slope.slope;
+                    continue;
+                }
+            }
+            
+            // Check if entity is on ground, looking just above and below its feet
+            const nearby = this.broadphase.query(collider.x, collider.y + collider.height - 1, collider.width, 2);
+            for (const staticCollider of nearby) {
+                // Skip dynamic, inactive or masked out colliders, and one-way ones being dropped through
+                if (!staticCollider.isStatic || !staticCollider.active) continue;
                 if (!(collider.collisionMask & staticCollider.collisionLayer)) continue;
+                if (staticCollider.oneWay && collider.dropThrough) continue;
                 
                 // Check if entity is standing on this collider
                 if (this.checkGrounded(collider, staticCollider)) {
                     collider.onGround = true;
+                    collider.ground = staticCollider;
                     break;
                 }
             }
         }
     }
     
+    /**
+     * Get the colliders near a dynamic collider that it could collide with
+     * @param {Object} collider - The dynamic collider
+     * @returns {Array} - Active colliders in its broadphase cells on its collision mask, not including itself
+     */
+    getCandidates(collider) {
+        const candidates = this.broadphase.query(collider.x, collider.y, collider.width, collider.height)
+            .filter(other => other !== collider && other.active && (collider.collisionMask & other.collisionLayer));
+        
+        this.stats.pairs += candidates.length;
+        return candidates;
+    }
+    
+    /**
+     * Move a dynamic collider, stopping at the first thing in its way
+     * The whole move is swept rather than only testing where it ends up, so fast colliders
+     * can't pass through thin platforms. Move along one axis at a time so colliders slide
+     * along floors and walls instead of catching on the seams between them.
+     * Other dynamic colliders don't stop the move; they're pushed apart once both have moved.
+     * @param {Object} collider - The dynamic collider
+     * @param {number} dx - Horizontal move in pixels
+     * @param {number} dy - Vertical move in pixels
+     * @returns {Object|null} - Contact with what stopped it, or null if it moved freely
+     */
+    moveCollider(collider, dx, dy) {
+        if (dx === 0 && dy === 0) return null;
+        
+        const first = this.findFirstContact(collider, dx, dy);
+        
+        if (!first) {
+            collider.x += dx;
+            collider.y += dy;
+            return null;
+        }
+        
+        // Move up to the point of contact and stop there
+        moveToContact(collider, dx, dy, first);
+        this.respondToContact(collider, first);
+        this.notifyCollision(collider, first.other, first);
+        
+        return first;
+    }
+    
+    /**
+     * Move an entity, stopping at level geometry in its way
+     * Entities move themselves rather than being simulated by update(), but their moves are
+     * swept the same way, against tiles and static colliders like platforms and blocks, so
+     * fast ones can't pass through thin platforms. Nothing is notified; the entity handles
+     * the contacts itself.
+     * @param {Object} entity - Entity with an up to date collider
+     * @param {number} dx - Horizontal move in pixels
+     * @param {number} dy - Vertical move in pixels
+     * @returns {Array} - Contacts with what stopped it, at most one per axis, then with
+     *     hazard cells it ended up in, like lava, which don't stop anything
+     */
+    moveEntity(entity, dx, dy) {
+        const collider = entity.collider;
+        const contacts = [];
+        
+        for (const [moveX, moveY] of [[dx, 0], [0, dy]]) {
+            if (moveX === 0 && moveY === 0) continue;
+            
+            const startX = collider.x;
+            const startY = collider.y;
+            const contact = this.findFirstContact(collider, moveX, moveY);
+            
+            if (contact) {
+                moveToContact(collider, moveX, moveY, contact);
+                contacts.push(contact);
+            } else {
+                collider.x += moveX;
+                collider.y += moveY;
+            }
+            
+            // The collider can be offset inside the entity, so move the entity by as much
+            entity.x += collider.x - startX;
+            entity.y += collider.y - startY;
+        }
+        
+        if (this.tileMap && (collider.collisionMask & this.layers.PLATFORM)) {
+            for (const rect of this.tileMap.queryRects(collider.x, collider.y, collider.width, collider.height, TILE_FLAGS.HAZARD)) {
+                if (!rect.solid && this.checkCollision(collider, rect)) {
+                    contacts.push(this.getContact(collider, rect));
+                }
+            }
+        }
+        
+        return contacts;
+    }
+    
+    /**
+     * Find the first static collider or tile a move runs into
+     * @param {Object} collider - The moving collider
+     * @param {number} dx - Horizontal move in pixels
+     * @param {number} dy - Vertical move in pixels
+     * @returns {Object|null} - Contact with the earliest hit, or null if nothing is in the way
+     */
+    findFirstContact(collider, dx, dy) {
+        // Everything the move passes over
+        const left = Math.min(collider.x, collider.x + dx);
+        const top = Math.min(collider.y, collider.y + dy);
+        const width = collider.width + Math.abs(dx);
+        const height = collider.height + Math.abs(dy);
+        
+        const obstacles = this.broadphase.query(left, top, width, height)
+            .filter(other => other !== collider && other.isStatic && other.active && (collider.collisionMask & other.collisionLayer));
+        
+        if (this.tileMap && (collider.collisionMask & this.layers.PLATFORM)) {
+            obstacles.push(...this.tileMap.queryRects(left, top, width, height, TILE_FLAGS.SOLID | TILE_FLAGS.ONE_WAY));
+        }
+        
+        this.stats.pairs += obstacles.length;
+        
+        // Find the earliest hit
+        let first = null;
+        
+        for (const other of obstacles) {
+            const contact = this.sweepCollider(collider, other, dx, dy);
+            if (contact && (!first || contact.time < first.time)) {
+                first = contact;
+            }
+        }
+        
+        return first;
+    }
+    
+    /**
+     * Sweep a moving collider against a static one (swept AABB)
+     * Only blocking colliders are hit: solid ones from any side, one-way ones only from above.
+     * Static colliders that moved this update, like moving platforms, are swept by the move
+     * relative to them, from where they started (prevX, prevY). Moves go one axis at a time,
+     * so a sideways move meets them before they moved up or down, and a move up or down
+     * meets them after they moved sideways.
+     * @param {Object} collider - The moving collider
+     * @param {Object} other - The collider in the way
+     * @param {number} dx - Horizontal move in pixels
+     * @param {number} dy - Vertical move in pixels
+     * @returns {Object|null} - Contact at the time of impact, or null if the move doesn't hit it
+     */
+    sweepCollider(collider, other, dx, dy) {
+        this.stats.checks++;
+        
+        // Hazard, water and climbable cells don't block
+        if (other.solid === false && !other.oneWay) return null;
+        
+        const otherMoveX = dx !== 0 && other.prevX !== undefined ? other.x - other.prevX : 0;
+        const otherMoveY = other.prevY !== undefined ? other.y - other.prevY : 0;
+        const otherX = other.x - otherMoveX;
+        const otherY = other.y - otherMoveY;
+        const moveX = dx - otherMoveX;
+        const moveY = dy !== 0 ? dy - otherMoveY : 0;
+        
+        // One-way colliders only stop things coming down onto them from above, and let
+        // through things dropping down through them
+        if (other.oneWay && (collider.dropThrough || moveY <= 0 || collider.y + collider.height > otherY)) return null;
+        
+        // Hidden colliders only stop things coming up into them from below
+        if (other.hidden && (moveY >= 0 || collider.y < otherY + other.height)) return null;
+        
+        const xTimes = getSweepTimes(collider.x, collider.width, otherX, other.width, moveX);
+        const yTimes = getSweepTimes(collider.y, collider.height, otherY, other.height, moveY);
+        if (!xTimes || !yTimes) return null;
+        
+        // Touches once both axes overlap, until either stops overlapping
+        const entry = Math.max(xTimes.entry, yTimes.entry);
+        const exit = Math.min(xTimes.exit, yTimes.exit);
+        
+        // Colliders already overlapping are left to resolveCollision
+        if (entry >= exit || entry < 0 || entry > 1) return null;
+        
+        const normal = xTimes.entry > yTimes.entry ?
+            { x: moveX > 0 ? -1 : 1, y: 0 } :
+            { x: 0, y: moveY > 0 ? -1 : 1 };
+        
+        return createContact(other, normal, 0, entry);
+    }
+    
+    /**
+     * Trigger the collision callbacks of two colliders
+     * Each gets the other collider and a contact from its own point of view
+     * @param {Object} collider - The dynamic collider
+     * @param {Object} other - The collider it hit
+     * @param {Object} contact - Contact for the dynamic collider
+     */
+    notifyCollision(collider, other, contact) {
+        if (collider.onCollision) {
+            collider.onCollision(other, contact);
+        }
+        
+        if (other.onCollision) {
+            other.onCollision(collider, this.reverseContact(contact, collider));
+        }
+    }
+    
+    /**
+     * Get a contact from the point of view of the other side
+     * @param {Object} contact - Contact for one collider or entity
+     * @param {Object} other - That collider or entity, as the other side sees it
+     * @returns {Object} - Contact for the other side, see createContact
+     */
+    reverseContact(contact, other) {
+        return createContact(
+            other,
+            { x: -contact.normal.x, y: -contact.normal.y },
+            contact.penetration,
+            contact.time
+        );
+    }
+    
+    /**
+     * Collide a dynamic collider with the tile collision map
+     * Solid and one-way cells were swept against while moving; this pushes the collider
+     * out of solid cells it still overlaps and reports touching hazard cells
+     * @param {Object} collider - The dynamic collider
+     */
+    collideWithTiles(collider) {
+        if (!this.tileMap || !(collider.collisionMask & this.layers.PLATFORM)) return;
+        
+        const rects = this.tileMap.queryRects(collider.x, collider.y, collider.width, collider.height);
+        
+        for (const rect of rects) {
+            if (!this.checkCollision(collider, rect)) continue;
+            
+            const contact = rect.solid ?
+                this.resolveCollision(collider, rect) :
+                this.getContact(collider, rect);
+            
+            // Trigger collision callback
+            if (collider.onCollision) {
+                collider.onCollision(rect, contact);
+            }
+        }
+    }
+    
+    /**
+     * Stand a dynamic collider on any slope it moved into
+     * Slopes aren't swept like boxes; instead the collider is lifted onto the surface
+     * under its feet once it sinks into it, whether it fell onto the slope
+     * or walked up it. Colliders that were already on the ground are also pulled down onto
+     * slopes just below them, so walking downhill follows the surface.
+     * @param {Object} collider - The dynamic collider, after moving
+     * @param {boolean} wasOnGround - Whether it stood on the ground before moving
+     */
+    collideWithSlopes(collider, wasOnGround) {
+        if (!this.tileMap || !(collider.collisionMask & this.layers.PLATFORM)) return;
+        if (collider.velocityY < 0) return;
+        
+        // It can have sunk as far as it fell plus as far as the surface rose under it
+        const moveX = Math.abs(collider.x - collider.prevX);
+        const fall = Math.max(0, collider.y - collider.prevY);
+        const slope = this.findSlope(
+            collider,
+            fall + moveX + SLOPE_SNAP_MARGIN,
+            wasOnGround ? moveX + SLOPE_SNAP_MARGIN : 0
+        );
+        
+        if (!slope) return;
+        
+        const landed = !wasOnGround;
+        collider.y = slope.y - collider.height;
+        collider.velocityY = 0;
+        collider.onGround = true;
+        collider.ground = slope.slope;
+        
+        if (landed && collider.onCollision) {
+            collider.onCollision(slope.slope, createContact(slope.slope, { x: 0, y: -1 }, 0, 1));
+        }
+    }
+    
+    /**
+     * Find the slope surface under a collider's feet
+     * Goes by the highest point of the surface under its bottom edge, so it reaches the
+     * top or bottom of a slope level with the ground there instead of catching on it.
+     * Entities not simulated here use this too, to walk on slopes.
+     * @param {Object} collider - Collider or entity
+     * @param {number} above - How far above its feet the surface can be
+     * @param {number} below - How far below its feet the surface can be
+     * @returns {Object|null} - { slope, y } for the highest surface in range, or null
+     */
+    findSlope(collider, above, below) {
+        if (!this.tileMap) return null;
+        
+        const bottom = collider.y + collider.height;
+        let found = null;
+        
+        for (const slope of this.tileMap.querySlopes(collider.x, bottom - above, collider.width, above + below)) {
+            if (collider.x >= slope.x + slope.width || collider.x + collider.width <= slope.x) continue;
+            
+            const y = getSlopeY(slope, slope.direction === 'up' ? collider.x + collider.width : collider.x);
+            if (y < bottom - above || y > bottom + below) continue;
+            
+            if (!found || y < found.y) {
+                found = { slope, y };
+            }
+        }
+        
+        return found;
+    }
+    
     /**
      * Add a collider to the physics system
      * @param {Object} collider - The collider to add
@@ -144,13 +618,14 @@ export class Physics {
         collider.velocityY = collider.velocityY || 0;
         collider.affectedByGravity = collider.affectedByGravity !== undefined ? collider.affectedByGravity : true;
         collider.isStatic = collider.isStatic !== undefined ? collider.isStatic : false;
-        collider.collisionLayer = collider.collisionLayer || this.layers.DEFAULT;
-        collider.collisionMask = collider.collisionMask || 0xFFFF; // Collide with everything by default
+        collider.collisionLayer = collider.collisionLayer !== undefined ? collider.collisionLayer : this.layers.DEFAULT;
+        collider.collisionMask = collider.collisionMask !== undefined ? collider.collisionMask : getCollisionMask(collider.collisionLayer); // From the collision matrix by default
         collider.active = collider.active !== undefined ? collider.active : true;
         collider.onGround = false;
         
         // Add to appropriate collider list
         this.colliders.push(collider);
+        this.broadphase.insert(collider);
         
         if (collider.isStatic) {
             this.staticColliders.push(collider);
@@ -172,6 +647,8 @@ export class Physics {
             this.colliders.splice(index, 1);
         }
         
+        this.broadphase.remove(collider);
+        
         // Remove from appropriate collider list
         if (collider.isStatic) {
             const staticIndex = this.staticColliders.indexOf(collider);
@@ -186,6 +663,46 @@ export class Physics {
         }
     }
     
+    /**
+     * Update a collider's place in the broadphase after moving or resizing it
+     * Dynamic colliders are kept up to date by update(); call this for static colliders
+     * moved by anything else, e.g. moving platforms
+     * @param {Object} collider - The collider that changed
+     */
+    updateCollider(collider) {
+        this.broadphase.update(collider);
+    }
+    
+    /**
+     * Remove every collider, e.g. when changing levels or areas
+     */
+    clearColliders() {
+        this.colliders = [];
+        this.staticColliders = [];
+        this.dynamicColliders = [];
+        this.broadphase.clear();
+    }
+    
+    /**
+     * Find the colliders overlapping an area
+     * Only the colliders in the broadphase cells under the area get a precise check
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @param {number} [collisionMask] - Collision mask for filtering
+     * @returns {Array} - Active colliders overlapping the area
+     */
+    queryColliders(x, y, width, height, collisionMask = 0xFFFF) {
+        const area = { x, y, width, height };
+        
+        return this.broadphase.query(x, y, width, height).filter(collider =>
+            collider.active &&
+            (collider.collisionLayer & collisionMask) &&
+            this.checkCollision(area, collider)
+        );
+    }
+    
     /**
      * Check if two colliders are intersecting
      * @param {Object} colliderA - First collider
@@ -193,6 +710,8 @@ export class Physics {
      * @returns {boolean} - Whether the colliders are intersecting
      */
     checkCollision(colliderA, colliderB) {
+        this.stats.checks++;
+        
         // AABB collision check
         return (
             colliderA.x < colliderB.x + colliderB.width &&
@@ -203,11 +722,13 @@ export class Physics {
     }
     
     /**
-     * Resolve collision between two colliders
-     * @param {Object} colliderA - First collider (dynamic)
+     * Get the contact between two overlapping colliders
+     * The contact pushes the first collider out along the axis it overlaps least
+     * @param {Object} colliderA - First collider
      * @param {Object} colliderB - Second collider
+     * @returns {Object} - Contact for the first collider, see createContact
      */
-    resolveCollision(colliderA, colliderB) {
+    getContact(colliderA, colliderB) {
         // Calculate overlap on each axis
         const overlapX = Math.min(
             colliderA.x + colliderA.width - colliderB.x,
@@ -221,25 +742,50 @@ export class Physics {
         
         // Determine which axis has the smallest overlap
         if (overlapX < overlapY) {
-            // Resolve X-axis collision
-            if (colliderA.x < colliderB.x) {
-                colliderA.x = colliderB.x - colliderA.width;
+            return createContact(colliderB, { x: colliderA.x < colliderB.x ? -1 : 1, y: 0 }, overlapX, 0);
+        }
+        
+        return createContact(colliderB, { x: 0, y: colliderA.y < colliderB.y ? -1 : 1 }, overlapY, 0);
+    }
+    
+    /**
+     * Resolve collision between two colliders
+     * @param {Object} colliderA - First collider (dynamic)
+     * @param {Object} colliderB - Second collider
+     * @returns {Object} - Contact for the first collider, see createContact
+     */
+    resolveCollision(colliderA, colliderB) {
+        const contact = this.getContact(colliderA, colliderB);
+        
+        // Push out along the contact normal
+        colliderA.x += contact.normal.x * contact.penetration;
+        colliderA.y += contact.normal.y * contact.penetration;
+        
+        this.respondToContact(colliderA, contact);
+        return contact;
+    }
+    
+    /**
+     * Change a collider's velocity after it hit something
+     * @param {Object} collider - The dynamic collider
+     * @param {Object} contact - Contact for the collider
+     */
+    respondToContact(collider, contact) {
+        if (contact.normal.x !== 0) {
+            // Bounce off walls with reduced velocity
+            collider.velocityX = -collider.velocityX * 0.5;
+        } else if (contact.side === 'bottom') {
+            // Bouncy colliders and surfaces rebound instead of landing
+            const bounce = Math.max(collider.bounciness || 0, this.getMaterial(contact.other).bounce);
+            if (bounce > 0 && collider.velocityY > 0) {
+                collider.velocityY = -collider.velocityY * bounce;
             } else {
-                colliderA.x = colliderB.x + colliderB.width;
+                collider.onGround = true;
+                collider.velocityY = 0;
             }
-            
-            // Bounce with reduced velocity
-            colliderA.velocityX = -colliderA.velocityX * 0.5;
         } else {
-            // Resolve Y-axis collision
-            if (colliderA.y < colliderB.y) {
-                colliderA.y = colliderB.y - colliderA.height;
-                colliderA.onGround = true;
-                colliderA.velocityY = 0;
-            } else {
-                colliderA.y = colliderB.y + colliderB.height;
-                colliderA.velocityY = 0;
-            }
+            // Bumped a ceiling
+            collider.velocityY = 0;
         }
     }
     
@@ -284,16 +830,23 @@ export class Physics {
     
     /**
      * Apply friction to a collider
+     * Uses the material of the surface it's standing on, and moves it along conveyors
      * @param {Object} collider - The collider to apply friction to
      * @param {number} deltaTime - Time since last update in seconds
      */
     applyFriction(collider, deltaTime) {
+        const material = this.getMaterial(collider.ground);
+        const friction = material.friction !== null ? material.friction : this.friction;
+        
         // Apply friction to horizontal movement
         if (Math.abs(collider.velocityX) > 0.01) {
-            collider.velocityX *= this.friction;
+            collider.velocityX *= friction;
         } else {
             collider.velocityX = 0;
         }
+        
+        // Conveyors carry whatever is on them
+        collider.x += material.conveyorSpeed * deltaTime;
     }
     
     /**
@@ -315,11 +868,18 @@ export class Physics {
         const normDirX = dirX / distance;
         const normDirY = dirY / distance;
         
-        // Check each collider for intersection
+        // Check each collider under the ray's bounding box for intersection
         let closestHit = null;
         let closestDistance = Infinity;
         
-        for (const collider of this.colliders) {
+        const candidates = this.broadphase.query(
+            Math.min(startX, endX),
+            Math.min(startY, endY),
+            Math.abs(dirX),
+            Math.abs(dirY)
+        );
+        
+        for (const collider of candidates) {
             // Skip inactive colliders or those that don't match the collision mask
             if (!collider.active || !(collider.collisionLayer & collisionMask)) continue;
             
@@ -332,6 +892,42 @@ export class Physics {
             }
         }
         
+        // Check level geometry under the ray's bounding box
+        if (this.tileMap && (collisionMask & this.layers.PLATFORM)) {
+            const rects = this.tileMap.queryRects(
+                Math.min(startX, endX),
+                Math.min(startY, endY),
+                Math.abs(dirX),
+                Math.abs(dirY),
+                TILE_FLAGS.SOLID | TILE_FLAGS.ONE_WAY
+            );
+            
+            for (const rect of rects) {
+                const hit = this.raycastCollider(startX, startY, normDirX, normDirY, distance, rect);
+                
+                if (hit && hit.distance < closestDistance) {
+                    closestHit = hit;
+                    closestDistance = hit.distance;
+                }
+            }
+            
+            const slopes = this.tileMap.querySlopes(
+                Math.min(startX, endX),
+                Math.min(startY, endY),
+                Math.abs(dirX),
+                Math.abs(dirY)
+            );
+            
+            for (const slope of slopes) {
+                const hit = this.raycastSlope(startX, startY, normDirX, normDirY, distance, slope);
+                
+                if (hit && hit.distance < closestDistance) {
+                    closestHit = hit;
+                    closestDistance = hit.distance;
+                }
+            }
+        }
+        
         return closestHit;
     }
     
@@ -346,6 +942,12 @@ export class Physics {
      * @returns {Object|null} - Hit information or null if no hit
      */
     raycastCollider(startX, startY, dirX, dirY, maxDistance, collider) {
+        // One-way colliders are only hit from above, by rays heading down
+        if (collider.oneWay && (dirY <= 0 || startY > collider.y)) return null;
+        
+        // Hidden colliders, like blocks not found yet, are only hit from below
+        if (collider.hidden && (dirY >= 0 || startY < collider.y + collider.height)) return null;
+        
         // Collider bounds
         const minX = collider.x;
         const minY = collider.y;
@@ -404,4 +1006,115 @@ export class Physics {
         
         return null;
     }
-}
\ No newline at end of file
+    
+    /**
+     * Raycast against a slope's surface
+     * Like one-way colliders, slopes are only hit from above; the ground under the
+     * surface is left to the boxes around it
+     * @param {number} startX - Starting X position
+     * @param {number} startY - Starting Y position
+     * @param {number} dirX - Normalized direction X
+     * @param {number} dirY - Normalized direction Y
+     * @param {number} maxDistance - Maximum distance to check
+     * @param {Object} slope - Slope from the collision map
+     * @returns {Object|null} - Hit information or null if no hit
+     */
+    raycastSlope(startX, startY, dirX, dirY, maxDistance, slope) {
+        // Surface from its left end to its right end
+        const surfaceX = slope.x;
+        const surfaceY = getSlopeY(slope, slope.x);
+        const edgeX = slope.width;
+        const edgeY = getSlopeY(slope, slope.x + slope.width) - surfaceY;
+        
+        // Normal pointing up out of the slope
+        const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+        const normalX = edgeY / length;
+        const normalY = -edgeX / length;
+        
+        // Rays heading away from the surface or along it can't hit it from above
+        const denominator = dirX * edgeY - dirY * edgeX;
+        if (dirX * normalX + dirY * normalY >= 0 || denominator === 0) return null;
+        
+        // Distance along the ray, and fraction along the surface, where they cross
+        const offsetX = surfaceX - startX;
+        const offsetY = surfaceY - startY;
+        const t = (offsetX * edgeY - offsetY * edgeX) / denominator;
+        const along = (offsetX * dirY - offsetY * dirX) / denominator;
+        
+        if (t < 0 || t > maxDistance || along < 0 || along > 1) return null;
+        
+        return {
+            collider: slope,
+            distance: t,
+            point: {
+                x: startX + dirX * t,
+                y: startY + dirY * t
+            },
+            normal: {
+                x: normalX,
+                y: normalY
+            }
+        };
+    }
+}
+
+/**
+ * Create a contact, passed to onCollision callbacks
+ * @param {Object} other - The collider touched
+ * @param {Object} normal - Unit normal pointing away from the other collider, { x, y }
+ * @param {number} penetration - How far the colliders overlap along the normal, 0 for swept contacts
+ * @param {number} time - Fraction of the move at which they touched, 0 to 1
+ * @returns {Object} - { other, side, normal, penetration, time }; side is the side of the
+ *     receiving collider that was hit ('top', 'bottom', 'left' or 'right')
+ */
+function createContact(other, normal, penetration, time) {
+    return {
+        other,
+        side: CONTACT_SIDES[`${normal.x},${normal.y}`],
+        normal,
+        penetration,
+        time
+    };
+}
+
+/**
+ * Move a collider along one axis until it's flush with what it ran into
+ * Goes by where the other collider is now, so nothing is left overlapping a moving platform
+ * @param {Object} collider - The moving collider
+ * @param {number} dx - Horizontal move in pixels
+ * @param {number} dy - Vertical move in pixels
+ * @param {Object} contact - Contact with what it ran into, from sweepCollider
+ */
+function moveToContact(collider, dx, dy, contact) {
+    const other = contact.other;
+    
+    if (contact.normal.x !== 0) {
+        collider.x = contact.normal.x < 0 ? other.x - collider.width : other.x + other.width;
+        collider.y += dy * contact.time;
+    } else {
+        collider.x += dx * contact.time;
+        collider.y = contact.normal.y < 0 ? other.y - collider.height : other.y + other.height;
+    }
+}
+
+/**
+ * Get when a moving span starts and stops overlapping a stationary one along one axis
+ * @param {number} start - Moving span start
+ * @param {number} size - Moving span size
+ * @param {number} otherStart - Stationary span start
+ * @param {number} otherSize - Stationary span size
+ * @param {number} move - Distance the moving span travels
+ * @returns {Object|null} - { entry, exit } as fractions of the move, or null if they never overlap
+ */
+function getSweepTimes(start, size, otherStart, otherSize, move) {
+    if (move === 0) {
+        // Not moving on this axis, so they overlap throughout or never
+        const overlapping = start < otherStart + otherSize && start + size > otherStart;
+        return overlapping ? { entry: -Infinity, exit: Infinity } : null;
+    }
+    
+    const near = move > 0 ? otherStart - (start + size) : otherStart + otherSize - start;
+    const far = move > 0 ? otherStart + otherSize - start : otherStart - (start + size);
+    
+    return { entry: near / move, exit: far / move };
+}
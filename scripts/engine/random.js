@@ -0,0 +1,59 @@
+/**
+ * Random
+ * Seeded random numbers, so the same seed always gives the same sequence
+ *
+ * Used by the level generator to build levels from a seed, and by the game for
+ * everything random in the simulation, reseeded for each level so runs replay exactly.
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {string|number} seed - Seed
+ * @returns {Object} - Random helpers
+ */
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        range: (min, max) => min + next() * (max - min),
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: probability => next() < probability,
+        pick: array => array[Math.floor(next() * array.length)],
+        weighted: weights => {
+            const keys = Object.keys(weights);
+            const total = keys.reduce((sum, key) => sum + weights[key], 0);
+            let roll = next() * total;
+
+            for (const key of keys) {
+                roll -= weights[key];
+                if (roll < 0) return key;
+            }
+
+            return keys[keys.length - 1];
+        }
+    };
+}
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed
+ * @returns {number} - Hash
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
@@ -3,6 +3,8 @@
  * Handles rendering the game world, entities, and UI
  */
 
+import { getTheme } from './themes.js';
+
 export class Renderer {
     constructor(canvas, ctx) {
         this.canvas = canvas;
@@ -23,12 +25,25 @@ export class Renderer {
                 top: 0,
                 bottom: 0
             },
-            lerp: 0.1 // Camera smoothing factor (0-1)
+            lerp: 0.1, // Camera smoothing factor (0-1)
+            lerpY: 0.2 // Vertical smoothing, quicker so long falls stay in view
         };
         
+        // Camera position at the previous simulation tick, for interpolating between ticks
+        this.previousCamera = { x: 0, y: 0 };
+        
+        // Simulated camera position while an interpolated one is drawn, null otherwise
+        this.simulatedCamera = null;
+        
+        // Simulated time in seconds of the frame being drawn, for animated backgrounds
+        this.time = 0;
+        
         // Parallax background layers
         this.backgroundLayers = [];
         
+        // Theme of the current level or sub-area (see themes.js)
+        this.theme = getTheme('day');
+        
         // Debug mode
         this.debugMode = false;
         
@@ -37,12 +52,18 @@ export class Renderer {
         this.setCamera = this.setCamera.bind(this);
         this.followTarget = this.followTarget.bind(this);
         this.updateCamera = this.updateCamera.bind(this);
+        this.snapCamera = this.snapCamera.bind(this);
+        this.savePreviousCamera = this.savePreviousCamera.bind(this);
+        this.beginInterpolation = this.beginInterpolation.bind(this);
+        this.endInterpolation = this.endInterpolation.bind(this);
         this.drawSprite = this.drawSprite.bind(this);
         this.drawAnimatedSprite = this.drawAnimatedSprite.bind(this);
         this.drawRect = this.drawRect.bind(this);
         this.drawText = this.drawText.bind(this);
         this.drawBackground = this.drawBackground.bind(this);
         this.addBackgroundLayer = this.addBackgroundLayer.bind(this);
+        this.setTheme = this.setTheme.bind(this);
+        this.drawTint = this.drawTint.bind(this);
         this.toggleDebugMode = this.toggleDebugMode.bind(this);
     }
     
@@ -63,9 +84,9 @@ export class Renderer {
         const boundedX = Math.max(this.camera.bounds.left, Math.min(x, this.camera.bounds.right - this.camera.width));
         const boundedY = Math.max(this.camera.bounds.top, Math.min(y, this.camera.bounds.bottom - this.camera.height));
         
-        // Apply camera smoothing (lerp)
+        // Apply camera smoothing (lerp), separately on each axis
         this.camera.x += (boundedX - this.camera.x) * this.camera.lerp;
-        this.camera.y += (boundedY - this.camera.y) * this.camera.lerp;
+        this.camera.y += (boundedY - this.camera.y) * this.camera.lerpY;
     }
     
     /**
@@ -100,6 +121,55 @@ export class Renderer {
         }
     }
     
+    /**
+     * Move the camera straight to its target, skipping smoothing
+     * Used when the view changes all at once, like warping to another area
+     */
+    snapCamera() {
+        const { lerp, lerpY } = this.camera;
+        
+        this.camera.lerp = 1;
+        this.camera.lerpY = 1;
+        this.updateCamera();
+        this.camera.lerp = lerp;
+        this.camera.lerpY = lerpY;
+        
+        // Don't sweep across the jump when interpolating
+        this.savePreviousCamera();
+    }
+    
+    /**
+     * Remember the camera position before a simulation tick
+     */
+    savePreviousCamera() {
+        this.previousCamera.x = this.camera.x;
+        this.previousCamera.y = this.camera.y;
+    }
+    
+    /**
+     * Move the camera between its previous and current tick positions for drawing
+     * Call endInterpolation() once drawing is done to put the simulated position back
+     * @param {number} alpha - How far the frame is between the two ticks, 0 to 1
+     * @param {number} [time] - Simulated time in seconds the frame is drawn at
+     */
+    beginInterpolation(alpha, time = this.time) {
+        this.time = time;
+        this.simulatedCamera = { x: this.camera.x, y: this.camera.y };
+        this.camera.x = this.previousCamera.x + (this.camera.x - this.previousCamera.x) * alpha;
+        this.camera.y = this.previousCamera.y + (this.camera.y - this.previousCamera.y) * alpha;
+    }
+    
+    /**
+     * Restore the simulated camera position after drawing an interpolated frame
+     */
+    endInterpolation() {
+        if (!this.simulatedCamera) return;
+        
+        this.camera.x = this.simulatedCamera.x;
+        this.camera.y = this.simulatedCamera.y;
+        this.simulatedCamera = null;
+    }
+    
     /**
      * Convert world coordinates to screen coordinates
      * @param {number} x - World x coordinate
@@ -113,6 +183,19 @@ export class Renderer {
         };
     }
     
+    /**
+     * Convert screen coordinates to world coordinates
+     * @param {number} x - Screen x coordinate (canvas pixels)
+     * @param {number} y - Screen y coordinate (canvas pixels)
+     * @returns {Object} - World coordinates {x, y}
+     */
+    screenToWorld(x, y) {
+        return {
+            x: x + this.camera.x,
+            y: y + this.camera.y
+        };
+    }
+
     /**
      * Check if an object is visible on screen
      * @param {number} x - Object x position
@@ -343,19 +426,34 @@ export class Renderer {
     }
     
     /**
-     * Draw the parallax background layers
+     * Set the theme the scene is drawn with
+     * @param {string} themeId - Theme ID
+     */
+    setTheme(themeId) {
+        this.theme = getTheme(themeId);
+    }
+    
+    /**
+     * Draw the theme's sky and the parallax background layers
      */
     drawBackground() {
+        // Sky gradient behind everything
+        const [skyTop, skyBottom] = this.theme.sky;
+        const sky = this.ctx.createLinearGradient(0, 0, 0, this.height);
+        sky.addColorStop(0, skyTop);
+        sky.addColorStop(1, skyBottom);
+        this.ctx.fillStyle = sky;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
         // Draw each background layer
         for (const layer of this.backgroundLayers) {
             // Calculate parallax offset
             const parallaxX = this.camera.x * layer.scrollFactor;
             const parallaxY = this.camera.y * layer.scrollFactor;
             
-            // Calculate animation offset based on time
-            const time = Date.now() / 1000;
-            const animX = layer.speed.x * time;
-            const animY = layer.speed.y * time;
+            // Calculate animation offset based on the simulated time, so it stops while paused
+            const animX = layer.speed.x * this.time;
+            const animY = layer.speed.y * this.time;
             
             // Calculate the total offset
             const offsetX = parallaxX + animX;
@@ -398,6 +496,19 @@ export class Renderer {
         }
     }
     
+    /**
+     * Blend the theme's palette tint over the scene drawn so far
+     */
+    drawTint() {
+        if (!this.theme.tint) return;
+        
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'multiply';
+        this.ctx.fillStyle = this.theme.tint;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.restore();
+    }
+    
     /**
      * Toggle debug mode
      * @returns {boolean} - New debug mode state
@@ -0,0 +1,195 @@
+/**
+ * Spatial Hash
+ * Broadphase for colliders: buckets them by the grid cells their bounds cover
+ *
+ * Only occupied cells are stored, so the grid has no fixed size and colliders can
+ * leave the level. Moving a collider only touches the buckets it left or entered,
+ * and queries only look at the buckets under the area being tested. Candidates still
+ * need a precise overlap test (see Physics.checkCollision).
+ */
+
+// Cell coordinates are offset into this range to combine them into one numeric key
+const KEY_OFFSET = 0x8000;
+const KEY_SCALE = 0x10000;
+
+export class SpatialHash {
+    /**
+     * @param {number} cellSize - Cell size in pixels, ideally around the size of a typical collider
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+
+        // Colliders in each occupied cell, keyed by cell key
+        this.cells = new Map();
+
+        // Cell range each collider was inserted with
+        this.ranges = new Map();
+
+        // Bind methods
+        this.insert = this.insert.bind(this);
+        this.update = this.update.bind(this);
+        this.remove = this.remove.bind(this);
+        this.query = this.query.bind(this);
+        this.clear = this.clear.bind(this);
+    }
+
+    /**
+     * Add a collider
+     * @param {Object} collider - Collider with x, y, width and height
+     */
+    insert(collider) {
+        if (this.ranges.has(collider)) {
+            this.update(collider);
+            return;
+        }
+
+        const range = this.getCellRange(collider.x, collider.y, collider.width, collider.height);
+        this.ranges.set(collider, range);
+        this.forEachCell(range, key => this.addToCell(key, collider));
+    }
+
+    /**
+     * Re-bucket a collider after it moved or changed size
+     * Only the cells it left or entered change, so colliders moving within a cell cost nothing
+     * @param {Object} collider - Collider already in the hash
+     */
+    update(collider) {
+        const previous = this.ranges.get(collider);
+        if (!previous) {
+            this.insert(collider);
+            return;
+        }
+
+        const range = this.getCellRange(collider.x, collider.y, collider.width, collider.height);
+        if (isSameRange(range, previous)) return;
+
+        this.forEachCell(previous, (key, column, row) => {
+            if (!isInRange(range, column, row)) this.removeFromCell(key, collider);
+        });
+
+        this.forEachCell(range, (key, column, row) => {
+            if (!isInRange(previous, column, row)) this.addToCell(key, collider);
+        });
+
+        this.ranges.set(collider, range);
+    }
+
+    /**
+     * Remove a collider
+     * @param {Object} collider - Collider to remove
+     */
+    remove(collider) {
+        const range = this.ranges.get(collider);
+        if (!range) return;
+
+        this.forEachCell(range, key => this.removeFromCell(key, collider));
+        this.ranges.delete(collider);
+    }
+
+    /**
+     * Get the colliders in the cells under an area
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @returns {Array} - Candidate colliders, each once; they may not actually overlap the area
+     */
+    query(x, y, width, height) {
+        const found = new Set();
+
+        this.forEachCell(this.getCellRange(x, y, width, height), key => {
+            const cell = this.cells.get(key);
+            if (cell) cell.forEach(collider => found.add(collider));
+        });
+
+        return [...found];
+    }
+
+    /**
+     * Remove every collider
+     */
+    clear() {
+        this.cells.clear();
+        this.ranges.clear();
+    }
+
+    /**
+     * Get the cells covered by an area
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @returns {Object} - { left, top, right, bottom } inclusive cell range
+     */
+    getCellRange(x, y, width, height) {
+        return {
+            left: Math.floor(x / this.cellSize),
+            top: Math.floor(y / this.cellSize),
+            right: Math.max(Math.floor(x / this.cellSize), Math.ceil((x + width) / this.cellSize) - 1),
+            bottom: Math.max(Math.floor(y / this.cellSize), Math.ceil((y + height) / this.cellSize) - 1)
+        };
+    }
+
+    /**
+     * Call a function for each cell in a range
+     * @param {Object} range - Inclusive cell range
+     * @param {Function} callback - Called with (key, column, row)
+     */
+    forEachCell(range, callback) {
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                callback((column + KEY_OFFSET) * KEY_SCALE + row + KEY_OFFSET, column, row);
+            }
+        }
+    }
+
+    /**
+     * Add a collider to a cell's bucket
+     * @param {number} key - Cell key
+     * @param {Object} collider - Collider to add
+     */
+    addToCell(key, collider) {
+        let cell = this.cells.get(key);
+
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+
+        cell.add(collider);
+    }
+
+    /**
+     * Remove a collider from a cell's bucket, dropping the bucket once it's empty
+     * @param {number} key - Cell key
+     * @param {Object} collider - Collider to remove
+     */
+    removeFromCell(key, collider) {
+        const cell = this.cells.get(key);
+        if (!cell) return;
+
+        cell.delete(collider);
+        if (cell.size === 0) this.cells.delete(key);
+    }
+}
+
+/**
+ * Check whether two cell ranges are the same
+ * @param {Object} a - First range
+ * @param {Object} b - Second range
+ * @returns {boolean} - Whether the ranges cover the same cells
+ */
+function isSameRange(a, b) {
+    return a.left === b.left && a.top === b.top && a.right === b.right && a.bottom === b.bottom;
+}
+
+/**
+ * Check whether a cell is in a range
+ * @param {Object} range - Inclusive cell range
+ * @param {number} column - Cell column
+ * @param {number} row - Cell row
+ * @returns {boolean} - Whether the cell is in the range
+ */
+function isInRange(range, column, row) {
+    return column >= range.left && column <= range.right && row >= range.top && row <= range.bottom;
+}
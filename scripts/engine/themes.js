@@ -0,0 +1,51 @@
+/**
+ * Themes
+ * Declares the look of each level theme: sky, background set, palette tint and darkness
+ *
+ * Levels pick a theme with `theme` and sub-areas can override it. Dark themes
+ * (darkness above 0) get a lighting pass, where torches, fireballs, stars and lava
+ * light up the scene (see Lighting).
+ */
+
+export const THEMES = {
+    day: {
+        sky: ['#5C94FC', '#B8E0FF'], // Top and bottom of the sky gradient
+        backgrounds: ['bg_sky', 'bg_clouds', 'bg_mountains', 'bg_trees'], // Used when the level declares none
+        tint: null, // Color blended over the scene with 'multiply', or null
+        darkness: 0, // Opacity of the ambient darkness, 0 (none) to 1 (pitch black)
+        ambient: '0, 0, 0' // RGB of the darkness
+    },
+    night: {
+        sky: ['#0B1033', '#2B3A6B'],
+        backgrounds: ['bg_sky', 'bg_clouds', 'bg_mountains', 'bg_trees'],
+        tint: '#8C9BD9',
+        darkness: 0.45,
+        ambient: '10, 15, 45'
+    },
+    cave: {
+        sky: ['#1A1410', '#2E241C'],
+        backgrounds: ['bg_underground', 'bg_underground_crystals', 'bg_underground_stalactites'],
+        tint: '#B8A48C',
+        darkness: 0.75,
+        ambient: '5, 5, 12'
+    },
+    castle: {
+        sky: ['#1C0F14', '#3A1E24'],
+        backgrounds: ['bg_castle', 'bg_castle_torches', 'bg_castle_windows'],
+        tint: '#D9A0A0',
+        darkness: 0.7,
+        ambient: '18, 5, 5'
+    }
+};
+
+// Theme IDs levels may use
+export const THEME_IDS = Object.keys(THEMES);
+
+/**
+ * Get a theme by ID
+ * @param {string} themeId - Theme ID
+ * @returns {Object} - The theme, or the day theme when there's no such theme
+ */
+export function getTheme(themeId) {
+    return THEMES[themeId] || THEMES.day;
+}
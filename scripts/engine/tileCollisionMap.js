@@ -0,0 +1,500 @@
+/**
+ * Tile Collision Map
+ * Static level geometry stored as a grid of cells, built once at level load
+ *
+ * Each cell holds collision flags (solid, one-way, hazard, kill, water, climb), the tile type it
+ * came from and its surface material. Adjacent cells that match in all of these are merged into larger
+ * rectangles, so a long floor is one collider rather than one per tile.
+ * Collision queries only look at the cells under the area being tested.
+ *
+ * Slopes can't be merged like boxes, so each slope tile is kept whole in a list of its own,
+ * with the cells it covers pointing back at it.
+ */
+
+import { LEVEL_SCHEMA } from './levelSchema.js';
+import { COLLISION_LAYERS } from './collisionLayers.js';
+
+// Per-cell collision flags
+export const TILE_FLAGS = {
+    NONE: 0,
+    SOLID: 0x01,
+    ONE_WAY: 0x02,
+    HAZARD: 0x04,
+    KILL: 0x08, // Hazard kills outright instead of hurting
+    WATER: 0x10,
+    CLIMB: 0x20 // Ladders and other climbable regions
+};
+
+// Smallest cell size used when tiles aren't aligned to a coarser grid
+const MIN_CELL_SIZE = 8;
+
+// Flags of cells that can be stood on, whose tile gives the cell its type and surface
+const STANDABLE_FLAGS = TILE_FLAGS.SOLID | TILE_FLAGS.ONE_WAY;
+
+export class TileCollisionMap {
+    /**
+     * @param {number} width - Level width in pixels
+     * @param {number} height - Level height in pixels
+     * @param {number} cellSize - Cell size in pixels
+     */
+    constructor(width, height, cellSize) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.columns = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+
+        // Cell data
+        const cellCount = this.columns * this.rows;
+        this.flags = new Uint8Array(cellCount);
+        this.types = new Array(cellCount).fill(null);
+        this.materials = new Array(cellCount).fill(null);
+        this.conveyorSpeeds = new Float32Array(cellCount);
+        this.rectIds = new Int32Array(cellCount).fill(-1);
+        this.slopeIds = new Int32Array(cellCount).fill(-1);
+
+        // Merged rectangles, rebuilt by build()
+        this.rects = [];
+
+        // Slopes, added by addSlope()
+        this.slopes = [];
+
+        // Bind methods
+        this.setArea = this.setArea.bind(this);
+        this.addSlope = this.addSlope.bind(this);
+        this.build = this.build.bind(this);
+        this.getFlagsAt = this.getFlagsAt.bind(this);
+        this.queryRects = this.queryRects.bind(this);
+        this.querySlopes = this.querySlopes.bind(this);
+    }
+
+    /**
+     * Build a collision map from a normalized level model
+     * Only static tiles go into the map; dynamic tiles (blocks, moving platforms) stay entities
+     * @param {Object} level - Normalized level model
+     * @param {Object} [schema] - Level schema
+     * @returns {TileCollisionMap} - The built map
+     */
+    static fromLevel(level, schema = LEVEL_SCHEMA) {
+        const staticTiles = level.tiles.filter(tile => isStaticTile(tile, schema));
+        const cellSize = getCellSize(staticTiles, level.tileSize);
+        const map = new TileCollisionMap(level.width, level.height, cellSize);
+
+        staticTiles.forEach(tile => {
+            const properties = tile.properties || {};
+
+            if (schema.tiles[tile.type].slope) {
+                map.addSlope(tile);
+                return;
+            }
+
+            map.setArea(tile.x, tile.y, tile.width, tile.height, getTileFlags(tile, schema), tile.type, {
+                material: properties.material || null,
+                conveyorSpeed: properties.conveyorSpeed || 0
+            });
+        });
+
+        map.build();
+        return map;
+    }
+
+    /**
+     * Find the static tiles that cover no cells in the map fromLevel() builds
+     * Tiles not aligned to an 8 pixel grid make the cells a whole tile in size, and edges are
+     * rounded to the nearest cell line, so tiles under half a cell across drop out of collision
+     * @param {Object} level - Normalized level model or sub-area
+     * @param {Object} [schema] - Level schema
+     * @returns {Object} - { cellSize, tiles } with the tiles that drop out
+     */
+    static findUncoveredTiles(level, schema = LEVEL_SCHEMA) {
+        const staticTiles = level.tiles.filter(tile => isStaticTile(tile, schema));
+        const cellSize = getCellSize(staticTiles, level.tileSize);
+
+        const tiles = staticTiles.filter(tile => (
+            !schema.tiles[tile.type].slope && (
+                Math.round((tile.x + tile.width) / cellSize) <= Math.round(tile.x / cellSize) ||
+                Math.round((tile.y + tile.height) / cellSize) <= Math.round(tile.y / cellSize)
+            )
+        ));
+
+        return { cellSize, tiles };
+    }
+
+    /**
+     * Mark the cells covered by an area
+     * Flags add to those of cells already marked, so water or a ladder over ground leaves it
+     * solid. A cell's type and surface come from the first tile marking it, unless a later
+     * one can be stood on and the first can't.
+     * Call build() afterwards to update the merged rectangles
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @param {number} flags - Collision flags
+     * @param {string} [type] - Tile type
+     * @param {Object} [surface] - { material, conveyorSpeed } surface of the area
+     */
+    setArea(x, y, width, height, flags, type = null, surface = null) {
+        if (!flags) return;
+
+        const range = this.getCellRange(x, y, width, height, true);
+
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                const index = row * this.columns + column;
+                const current = this.flags[index];
+                this.flags[index] = current | flags;
+
+                if (current && ((current & STANDABLE_FLAGS) || !(flags & STANDABLE_FLAGS))) continue;
+
+                this.types[index] = type;
+                this.materials[index] = surface ? surface.material : null;
+                this.conveyorSpeeds[index] = surface ? surface.conveyorSpeed : 0;
+            }
+        }
+    }
+
+    /**
+     * Add a slope tile
+     * The surface runs corner to corner across the tile, rising to the right for direction 'up'
+     * and falling to the right for 'down'; everything below it is solid
+     * @param {Object} tile - Slope tile descriptor
+     * @returns {Object} - The slope, shaped like a merged rectangle with slope details added
+     */
+    addSlope(tile) {
+        const properties = tile.properties || {};
+        const slope = {
+            id: this.slopes.length,
+            x: tile.x,
+            y: tile.y,
+            width: tile.width,
+            height: tile.height,
+            flags: TILE_FLAGS.NONE,
+            type: tile.type,
+            material: properties.material || null,
+            conveyorSpeed: properties.conveyorSpeed || 0,
+            direction: properties.direction || 'up',
+            gradient: tile.height / tile.width,
+            slope: true,
+            solid: false, // Held up by its surface, not pushed out of like a box
+            collisionLayer: COLLISION_LAYERS.PLATFORM,
+            isStatic: true,
+            active: true
+        };
+
+        this.slopes.push(slope);
+
+        const range = this.getCellRange(tile.x, tile.y, tile.width, tile.height, true);
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                this.slopeIds[row * this.columns + column] = slope.id;
+            }
+        }
+
+        return slope;
+    }
+
+    /**
+     * Merge cells into rectangles
+     * Runs of matching cells are found on each row, then stacked with identical runs on the row above
+     */
+    build() {
+        this.rects = [];
+        this.rectIds.fill(-1);
+
+        // Rectangles that can still grow downwards, keyed by column span and cell contents
+        let open = {};
+
+        for (let row = 0; row < this.rows; row++) {
+            const stillOpen = {};
+            let column = 0;
+
+            while (column < this.columns) {
+                const index = row * this.columns + column;
+                const flags = this.flags[index];
+
+                if (!flags) {
+                    column++;
+                    continue;
+                }
+
+                // Find the end of this run
+                let end = column;
+                while (end + 1 < this.columns && this.isSameCell(index, index + end + 1 - column)) {
+                    end++;
+                }
+
+                // Extend the rectangle above if it spans the same columns, otherwise start a new one
+                const key = `${column}:${end}:${flags}:${this.types[index]}:${this.materials[index]}:${this.conveyorSpeeds[index]}`;
+                let rect = open[key];
+
+                if (rect) {
+                    rect.height += this.cellSize;
+                } else {
+                    rect = this.createRect(column, row, end - column + 1, index);
+                }
+
+                stillOpen[key] = rect;
+
+                for (let c = column; c <= end; c++) {
+                    this.rectIds[row * this.columns + c] = rect.id;
+                }
+
+                column = end + 1;
+            }
+
+            open = stillOpen;
+        }
+    }
+
+    /**
+     * Check whether two cells can be merged into the same rectangle
+     * @param {number} a - First cell index
+     * @param {number} b - Second cell index
+     * @returns {boolean} - Whether the cells have the same flags, type and surface
+     */
+    isSameCell(a, b) {
+        return (
+            this.flags[a] === this.flags[b] &&
+            this.types[a] === this.types[b] &&
+            this.materials[a] === this.materials[b] &&
+            this.conveyorSpeeds[a] === this.conveyorSpeeds[b]
+        );
+    }
+
+    /**
+     * Get the collision flags at a point
+     * @param {number} x - X position in pixels
+     * @param {number} y - Y position in pixels
+     * @returns {number} - Collision flags, NONE outside the map
+     */
+    getFlagsAt(x, y) {
+        const column = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+            return TILE_FLAGS.NONE;
+        }
+
+        return this.flags[row * this.columns + column];
+    }
+
+    /**
+     * Get the merged rectangles overlapping an area
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @param {number} [flagMask] - Only return rectangles with one of these flags
+     * @returns {Array} - Merged rectangles
+     */
+    queryRects(x, y, width, height, flagMask = 0xFF) {
+        const range = this.getCellRange(x, y, width, height);
+        const found = [];
+        const seen = new Set();
+
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                const id = this.rectIds[row * this.columns + column];
+                if (id === -1 || seen.has(id)) continue;
+
+                seen.add(id);
+                const rect = this.rects[id];
+                if (rect.flags & flagMask) {
+                    found.push(rect);
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Get the slopes overlapping an area
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @returns {Array} - Slopes
+     */
+    querySlopes(x, y, width, height) {
+        if (this.slopes.length === 0) return [];
+
+        const range = this.getCellRange(x, y, width, height);
+        const found = new Set();
+
+        for (let row = range.top; row <= range.bottom; row++) {
+            for (let column = range.left; column <= range.right; column++) {
+                const id = this.slopeIds[row * this.columns + column];
+                if (id !== -1) found.add(this.slopes[id]);
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * Get the cells covered by an area, clamped to the map
+     * @param {number} x - Area x in pixels
+     * @param {number} y - Area y in pixels
+     * @param {number} width - Area width in pixels
+     * @param {number} height - Area height in pixels
+     * @param {boolean} [snapToCells] - Round edges to the nearest cell line instead of
+     *     including every cell the area touches
+     * @returns {Object} - { left, top, right, bottom } inclusive cell range
+     */
+    getCellRange(x, y, width, height, snapToCells = false) {
+        const start = snapToCells ? Math.round : Math.floor;
+        const end = snapToCells ? Math.round : Math.ceil;
+
+        return {
+            left: Math.max(0, start(x / this.cellSize)),
+            top: Math.max(0, start(y / this.cellSize)),
+            right: Math.min(this.columns - 1, end((x + width) / this.cellSize) - 1),
+            bottom: Math.min(this.rows - 1, end((y + height) / this.cellSize) - 1)
+        };
+    }
+
+    /**
+     * Create a merged rectangle
+     * Rectangles have the same shape as static colliders so physics can treat them alike
+     * @param {number} column - Left column
+     * @param {number} row - Top row
+     * @param {number} columns - Width in cells
+     * @param {number} index - Index of a cell the rectangle covers, for its contents
+     * @returns {Object} - Rectangle
+     */
+    createRect(column, row, columns, index) {
+        const flags = this.flags[index];
+        const rect = {
+            id: this.rects.length,
+            x: column * this.cellSize,
+            y: row * this.cellSize,
+            width: columns * this.cellSize,
+            height: this.cellSize,
+            flags,
+            type: this.types[index],
+            material: this.materials[index],
+            conveyorSpeed: this.conveyorSpeeds[index],
+            solid: (flags & TILE_FLAGS.SOLID) !== 0,
+            oneWay: (flags & TILE_FLAGS.ONE_WAY) !== 0,
+            hazard: (flags & TILE_FLAGS.HAZARD) !== 0,
+            water: (flags & TILE_FLAGS.WATER) !== 0,
+            climbable: (flags & TILE_FLAGS.CLIMB) !== 0,
+            damage: (flags & TILE_FLAGS.HAZARD) ? ((flags & TILE_FLAGS.KILL) ? 'kill' : 'hurt') : null,
+            collisionLayer: COLLISION_LAYERS.PLATFORM,
+            isStatic: true,
+            active: true
+        };
+
+        this.rects.push(rect);
+        return rect;
+    }
+}
+
+/**
+ * Get the height of a slope's surface
+ * @param {Object} slope - Slope from the collision map
+ * @param {number} x - X position in pixels, clamped to the slope
+ * @returns {number} - Y of the surface at that position
+ */
+export function getSlopeY(slope, x) {
+    const across = Math.max(0, Math.min(slope.width, x - slope.x));
+    const rise = across * slope.gradient;
+
+    return slope.direction === 'up' ? slope.y + slope.height - rise : slope.y + rise;
+}
+
+/**
+ * Check whether a tile belongs in the collision map
+ * @param {Object} tile - Tile descriptor
+ * @param {Object} schema - Level schema
+ * @returns {boolean} - Whether the tile is static geometry
+ */
+function isStaticTile(tile, schema) {
+    const definition = schema.tiles[tile.type];
+    return Boolean(definition) && !definition.dynamic;
+}
+
+/**
+ * Check whether a tile only blocks from above
+ * @param {Object} tile - Tile descriptor
+ * @param {Object} [schema] - Level schema
+ * @returns {boolean} - The tile's oneWay property, or its type's default when it has none
+ */
+export function isOneWayTile(tile, schema = LEVEL_SCHEMA) {
+    const definition = schema.tiles[tile.type] || {};
+    const properties = tile.properties || {};
+
+    return properties.oneWay !== undefined ? properties.oneWay : Boolean(definition.oneWay);
+}
+
+/**
+ * Get the collision flags for a tile
+ * @param {Object} tile - Tile descriptor
+ * @param {Object} schema - Level schema
+ * @returns {number} - Collision flags
+ */
+function getTileFlags(tile, schema) {
+    const definition = schema.tiles[tile.type];
+    const properties = tile.properties || {};
+    let flags = TILE_FLAGS.NONE;
+
+    if (isOneWayTile(tile, schema)) {
+        flags |= TILE_FLAGS.ONE_WAY;
+    } else if (definition.solid) {
+        flags |= TILE_FLAGS.SOLID;
+    }
+
+    if (properties.hazard || definition.hazard) {
+        flags |= TILE_FLAGS.HAZARD;
+
+        if ((properties.damage || definition.damage) === 'kill') {
+            flags |= TILE_FLAGS.KILL;
+        }
+    }
+
+    if (definition.water) {
+        flags |= TILE_FLAGS.WATER;
+    }
+
+    if (definition.climbable) {
+        flags |= TILE_FLAGS.CLIMB;
+    }
+
+    return flags;
+}
+
+/**
+ * Pick a cell size that lines up with every static tile
+ * Uses the largest size dividing all tile positions and sizes, so tiles map onto cells exactly
+ * @param {Array} tiles - Static tiles
+ * @param {number} tileSize - Level tile size
+ * @returns {number} - Cell size in pixels
+ */
+function getCellSize(tiles, tileSize) {
+    let size = tileSize;
+
+    tiles.forEach(tile => {
+        [tile.x, tile.y, tile.width, tile.height].forEach(value => {
+            size = gcd(size, Math.round(Math.abs(value)));
+        });
+    });
+
+    // Badly misaligned tiles would make a huge grid; round them to the tile size instead
+    return size >= MIN_CELL_SIZE ? size : tileSize;
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} - Greatest common divisor
+ */
+function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+
+    return a;
+}
@@ -0,0 +1,442 @@
+/**
+ * Tiled Loader
+ * Loads Tiled maps (.tmx XML or .json) and their external tilesets (.tsx or .json)
+ *
+ * Maps are returned in Tiled's JSON shape with every tile layer decoded to a plain
+ * array of GIDs and every external tileset inlined, ready for the level parser.
+ */
+
+// File extensions handled by the Tiled loader
+const TILED_EXTENSIONS = ['.tmx', '.tsx', '.json'];
+
+/**
+ * Check whether a level source is a Tiled file
+ * @param {string} src - Level source path
+ * @returns {boolean} - True for Tiled maps
+ */
+export function isTiledSource(src) {
+    const path = src.split('?')[0].toLowerCase();
+    return TILED_EXTENSIONS.some(extension => path.endsWith(extension));
+}
+
+/**
+ * Load a Tiled map with its external tilesets and decoded layer data
+ * @param {string} src - Map path (.tmx or .json)
+ * @param {Function} [fetchText] - Function returning a promise of a file's text
+ * @returns {Promise<Object>} - Map data in Tiled's JSON shape
+ */
+export async function loadTiledMap(src, fetchText = fetchTextFile) {
+    const text = await fetchText(src);
+    const map = isXmlSource(src) ? parseTmx(text) : JSON.parse(text);
+
+    // Inline external tilesets
+    map.tilesets = await Promise.all((map.tilesets || []).map(async tileset => {
+        // Inline tileset images are relative to the map
+        if (!tileset.source) {
+            return tileset.image ? { ...tileset, image: resolvePath(src, tileset.image) } : tileset;
+        }
+
+        const tilesetSrc = resolvePath(src, tileset.source);
+        const tilesetText = await fetchText(tilesetSrc);
+        const external = isXmlSource(tilesetSrc) ? parseTsx(tilesetText) : JSON.parse(tilesetText);
+
+        // Tileset images are relative to the tileset file
+        if (external.image) {
+            external.image = resolvePath(tilesetSrc, external.image);
+        }
+
+        return { ...external, firstgid: tileset.firstgid };
+    }));
+
+    // Decode CSV and base64 layer data
+    map.layers = await decodeLayers(map.layers || []);
+
+    return map;
+}
+
+/**
+ * Parse a TMX document into Tiled's JSON shape
+ * Layer data is kept encoded; use decodeLayerData to get GIDs
+ * @param {string} text - TMX XML text
+ * @returns {Object} - Map data
+ */
+export function parseTmx(text) {
+    const mapElement = parseXml(text, 'map');
+
+    if (mapElement.getAttribute('infinite') === '1') {
+        console.warn('Infinite Tiled maps are not supported, chunked layers will be empty');
+    }
+
+    return {
+        type: 'map',
+        orientation: mapElement.getAttribute('orientation') || 'orthogonal',
+        width: readNumber(mapElement, 'width'),
+        height: readNumber(mapElement, 'height'),
+        tilewidth: readNumber(mapElement, 'tilewidth'),
+        tileheight: readNumber(mapElement, 'tileheight'),
+        properties: parseProperties(mapElement),
+        tilesets: childElements(mapElement, 'tileset').map(parseTilesetElement),
+        layers: parseLayerElements(mapElement)
+    };
+}
+
+/**
+ * Parse a TSX document into Tiled's JSON tileset shape
+ * @param {string} text - TSX XML text
+ * @returns {Object} - Tileset data
+ */
+export function parseTsx(text) {
+    return parseTilesetElement(parseXml(text, 'tileset'));
+}
+
+/**
+ * Decode a tile layer's data into an array of GIDs
+ * Supports CSV, uncompressed base64 and zlib/gzip compressed base64
+ * @param {Object} layer - Tile layer with `data`, `encoding` and `compression`
+ * @returns {Promise<Array<number>>} - Tile GIDs, including flip flags
+ */
+export async function decodeLayerData(layer) {
+    if (Array.isArray(layer.data)) {
+        return layer.data;
+    }
+
+    if (layer.encoding === 'csv') {
+        return decodeCsv(layer.data);
+    }
+
+    if (layer.encoding === 'base64') {
+        const bytes = await decompress(decodeBase64(layer.data), layer.compression);
+        return bytesToGids(bytes);
+    }
+
+    throw new Error(`Unsupported tile layer encoding: ${layer.encoding}`);
+}
+
+/**
+ * Decode CSV tile data
+ * @param {string} text - Comma separated GIDs
+ * @returns {Array<number>} - Tile GIDs
+ */
+export function decodeCsv(text) {
+    return text
+        .split(',')
+        .map(value => value.trim())
+        .filter(value => value !== '')
+        .map(value => Number(value));
+}
+
+/**
+ * Decode base64 text into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function decodeBase64(text) {
+    const binary = atob(text.trim());
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+/**
+ * Read little-endian unsigned 32-bit GIDs from bytes
+ * @param {Uint8Array} bytes - Decoded tile data
+ * @returns {Array<number>} - Tile GIDs
+ */
+export function bytesToGids(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const gids = [];
+
+    for (let offset = 0; offset + 4 <= bytes.byteLength; offset += 4) {
+        gids.push(view.getUint32(offset, true));
+    }
+
+    return gids;
+}
+
+/**
+ * Decompress tile data
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} [compression] - zlib, gzip or empty for none
+ * @returns {Promise<Uint8Array>} - Decompressed bytes
+ */
+async function decompress(bytes, compression) {
+    if (!compression) return bytes;
+
+    if (compression !== 'zlib' && compression !== 'gzip') {
+        throw new Error(`Unsupported tile layer compression: ${compression}`);
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error(`This browser can't decompress ${compression} tile layers, save the map as CSV`);
+    }
+
+    const format = compression === 'zlib' ? 'deflate' : 'gzip';
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode the data of all tile layers, including those inside groups
+ * @param {Array} layers - Map layers
+ * @returns {Promise<Array>} - Layers with decoded data
+ */
+async function decodeLayers(layers) {
+    return Promise.all(layers.map(async layer => {
+        if (layer.type === 'group') {
+            return { ...layer, layers: await decodeLayers(layer.layers || []) };
+        }
+
+        if (layer.type !== 'tilelayer') return layer;
+
+        const { encoding, compression, ...decoded } = layer;
+        decoded.data = await decodeLayerData(layer);
+
+        return decoded;
+    }));
+}
+
+/**
+ * Parse a <tileset> element
+ * @param {Element} element - Tileset element
+ * @returns {Object} - Tileset data
+ */
+function parseTilesetElement(element) {
+    const tileset = {
+        firstgid: readNumber(element, 'firstgid'),
+        name: element.getAttribute('name')
+    };
+
+    // External tileset reference, loaded separately
+    if (element.hasAttribute('source')) {
+        tileset.source = element.getAttribute('source');
+        return tileset;
+    }
+
+    const image = childElements(element, 'image')[0];
+
+    return {
+        ...tileset,
+        tilewidth: readNumber(element, 'tilewidth'),
+        tileheight: readNumber(element, 'tileheight'),
+        tilecount: readNumber(element, 'tilecount'),
+        columns: readNumber(element, 'columns'),
+        image: image ? image.getAttribute('source') : null,
+        imagewidth: image ? readNumber(image, 'width') : 0,
+        imageheight: image ? readNumber(image, 'height') : 0,
+        properties: parseProperties(element),
+        tiles: childElements(element, 'tile').map(tile => ({
+            id: readNumber(tile, 'id'),
+            type: tile.getAttribute('class') || tile.getAttribute('type') || undefined,
+            properties: parseProperties(tile)
+        }))
+    };
+}
+
+/**
+ * Parse the layer elements of a map or group
+ * @param {Element} parent - Map or group element
+ * @returns {Array} - Layers in Tiled's JSON shape
+ */
+function parseLayerElements(parent) {
+    const layers = [];
+
+    Array.from(parent.children).forEach(element => {
+        const base = {
+            name: element.getAttribute('name') || '',
+            visible: element.getAttribute('visible') !== '0',
+            offsetx: readNumber(element, 'offsetx'),
+            offsety: readNumber(element, 'offsety'),
+            properties: parseProperties(element)
+        };
+
+        switch (element.tagName) {
+            case 'layer': {
+                const data = childElements(element, 'data')[0];
+                const encoding = data ? data.getAttribute('encoding') : null;
+
+                layers.push({
+                    ...base,
+                    type: 'tilelayer',
+                    width: readNumber(element, 'width'),
+                    height: readNumber(element, 'height'),
+                    // Unencoded layers list each tile as a <tile gid=""> element
+                    data: !data ? [] : encoding
+                        ? data.textContent.trim()
+                        : childElements(data, 'tile').map(tile => readNumber(tile, 'gid')),
+                    encoding: encoding || undefined,
+                    compression: data && data.getAttribute('compression') || undefined
+                });
+                break;
+            }
+
+            case 'objectgroup':
+                layers.push({
+                    ...base,
+                    type: 'objectgroup',
+                    objects: childElements(element, 'object').map(parseObjectElement)
+                });
+                break;
+
+            case 'imagelayer': {
+                const image = childElements(element, 'image')[0];
+
+                layers.push({
+                    ...base,
+                    type: 'imagelayer',
+                    image: image ? image.getAttribute('source') : null,
+                    parallaxx: element.hasAttribute('parallaxx') ? readNumber(element, 'parallaxx') : 1
+                });
+                break;
+            }
+
+            case 'group':
+                layers.push({
+                    ...base,
+                    type: 'group',
+                    layers: parseLayerElements(element)
+                });
+                break;
+        }
+    });
+
+    return layers;
+}
+
+/**
+ * Parse an <object> element
+ * @param {Element} element - Object element
+ * @returns {Object} - Object data
+ */
+function parseObjectElement(element) {
+    const object = {
+        id: readNumber(element, 'id'),
+        name: element.getAttribute('name') || '',
+        type: element.getAttribute('class') || element.getAttribute('type') || '',
+        x: readNumber(element, 'x'),
+        y: readNumber(element, 'y'),
+        width: readNumber(element, 'width'),
+        height: readNumber(element, 'height'),
+        properties: parseProperties(element)
+    };
+
+    if (element.hasAttribute('gid')) {
+        object.gid = readNumber(element, 'gid');
+    }
+
+    return object;
+}
+
+/**
+ * Parse the <properties> child of an element into Tiled's JSON property list
+ * @param {Element} element - Element that may have custom properties
+ * @returns {Array} - Properties as [{ name, type, value }]
+ */
+function parseProperties(element) {
+    const container = childElements(element, 'properties')[0];
+    if (!container) return [];
+
+    return childElements(container, 'property').map(property => {
+        const type = property.getAttribute('type') || 'string';
+        // Multi-line strings are stored as the element's text
+        const raw = property.hasAttribute('value') ? property.getAttribute('value') : property.textContent;
+
+        let value = raw;
+        if (type === 'int' || type === 'float' || type === 'object') {
+            value = Number(raw);
+        } else if (type === 'bool') {
+            value = raw === 'true';
+        }
+
+        return { name: property.getAttribute('name'), type, value };
+    });
+}
+
+/**
+ * Parse XML text and return its root element
+ * @param {string} text - XML text
+ * @param {string} rootName - Expected root element name
+ * @returns {Element} - Root element
+ */
+function parseXml(text, rootName) {
+    const documentElement = new DOMParser().parseFromString(text, 'application/xml').documentElement;
+
+    if (!documentElement || documentElement.tagName !== rootName) {
+        throw new Error(`Invalid Tiled file: expected <${rootName}> root element`);
+    }
+
+    return documentElement;
+}
+
+/**
+ * Get the direct children of an element with a tag name
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Child tag name
+ * @returns {Array<Element>} - Matching children
+ */
+function childElements(element, tagName) {
+    return Array.from(element.children).filter(child => child.tagName === tagName);
+}
+
+/**
+ * Read a numeric attribute
+ * @param {Element} element - Element to read from
+ * @param {string} name - Attribute name
+ * @returns {number} - Attribute value or 0 if missing
+ */
+function readNumber(element, name) {
+    const value = element.getAttribute(name);
+    return value === null ? 0 : Number(value);
+}
+
+/**
+ * Check whether a Tiled file is XML (.tmx/.tsx) rather than JSON
+ * @param {string} src - File path
+ * @returns {boolean} - True for XML files
+ */
+function isXmlSource(src) {
+    const path = src.split('?')[0].toLowerCase();
+    return path.endsWith('.tmx') || path.endsWith('.tsx');
+}
+
+/**
+ * Resolve a path relative to the file that references it
+ * @param {string} base - Path of the referencing file
+ * @param {string} relative - Referenced path
+ * @returns {string} - Resolved path
+ */
+function resolvePath(base, relative) {
+    if (relative.startsWith('/') || /^[a-z]+:/i.test(relative)) {
+        return relative;
+    }
+
+    const parts = base.split('/').slice(0, -1);
+
+    relative.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part !== '.') {
+            parts.push(part);
+        }
+    });
+
+    return parts.join('/');
+}
+
+/**
+ * Fetch a file as text
+ * @param {string} src - File path
+ * @returns {Promise<string>} - File contents
+ */
+function fetchTextFile(src) {
+    return fetch(src).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${src}`);
+        }
+        return response.text();
+    });
+}
@@ -0,0 +1,279 @@
+/**
+ * Trigger Manager
+ * Runs level scripting: trigger zones that fire actions when the player enters or leaves them
+ *
+ * Triggers come from the level's `triggers` (see levelParser.js), e.g.
+ * {
+ *     id: "boss-arena", x: 1664, y: 64, width: 96, height: 352, once: true,
+ *     onEnter: [
+ *         { type: "lockCamera", x: 1664, y: 0, width: 1472, height: 480 },
+ *         { type: "message", text: "The boss awaits!", delay: 0.5 }
+ *     ]
+ * }
+ * Actions run in order. An action's `delay` waits that many seconds after the previous
+ * action, and `requires` (like a trigger's) skips it unless conditions such as
+ * { coins: 10 } are met.
+ */
+
+import { FloatingText } from '../entities/floatingText.js';
+
+export class TriggerManager {
+    constructor(game) {
+        this.game = game;
+
+        // Triggers in the current area
+        this.triggers = [];
+
+        // Runtime state per trigger, kept across area switches until the level reloads
+        this.triggerStates = new Map();
+
+        // Actions waiting on a delay, as { time, actions, index }
+        this.pending = [];
+        this.time = 0;
+
+        // Running timers, keyed by timer ID
+        this.timers = {};
+
+        // Bind methods
+        this.reset = this.reset.bind(this);
+        this.setTriggers = this.setTriggers.bind(this);
+        this.update = this.update.bind(this);
+        this.render = this.render.bind(this);
+        this.fire = this.fire.bind(this);
+        this.runActions = this.runActions.bind(this);
+        this.runAction = this.runAction.bind(this);
+        this.checkConditions = this.checkConditions.bind(this);
+    }
+
+    /**
+     * Forget all trigger state, for a new or restarted level
+     */
+    reset() {
+        this.triggers = [];
+        this.triggerStates = new Map();
+        this.pending = [];
+        this.timers = {};
+    }
+
+    /**
+     * Set the triggers of the area being entered
+     * Delayed actions from the area being left are dropped
+     * @param {Array} triggers - Normalized triggers
+     */
+    setTriggers(triggers) {
+        this.triggers = triggers;
+        this.pending = [];
+
+        this.triggers.forEach(trigger => {
+            if (!this.triggerStates.has(trigger)) {
+                this.triggerStates.set(trigger, { inside: false, fired: false });
+            } else {
+                // The player arrives from elsewhere, so they start outside every zone
+                this.triggerStates.get(trigger).inside = false;
+            }
+        });
+    }
+
+    /**
+     * Update triggers, delayed actions and timers
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        const player = this.game.gameManager.player;
+        const physics = this.game.physics;
+
+        // Only the player sets off triggers
+        if (player && player.state !== 'dead') {
+            this.triggers.forEach(trigger => {
+                const state = this.triggerStates.get(trigger);
+                const inside = physics.checkCollision(player, trigger);
+
+                if (inside && !state.inside) {
+                    this.fire(trigger, trigger.onEnter);
+                } else if (!inside && state.inside) {
+                    this.fire(trigger, trigger.onExit);
+                }
+
+                state.inside = inside;
+            });
+        }
+
+        // Run delayed actions that are due
+        const due = this.pending.filter(entry => entry.time <= this.time);
+        if (due.length > 0) {
+            this.pending = this.pending.filter(entry => entry.time > this.time);
+            due.forEach(entry => this.runActions(entry.actions, entry.index, true));
+        }
+
+        // Count down timers
+        Object.keys(this.timers).forEach(id => {
+            const timer = this.timers[id];
+            timer.remaining -= deltaTime;
+
+            if (timer.remaining <= 0) {
+                delete this.timers[id];
+                this.runActions(timer.onExpire);
+            }
+        });
+    }
+
+    /**
+     * Fire a trigger's actions if its conditions allow
+     * @param {Object} trigger - Normalized trigger
+     * @param {Array} actions - The trigger's onEnter or onExit actions
+     */
+    fire(trigger, actions) {
+        const state = this.triggerStates.get(trigger);
+
+        if (actions.length === 0) return;
+        if (trigger.once && state.fired) return;
+        if (!this.checkConditions(trigger.requires)) return;
+
+        state.fired = true;
+        this.runActions(actions);
+    }
+
+    /**
+     * Run a list of actions in order, stopping to wait at each delay
+     * @param {Array} actions - Actions to run
+     * @param {number} [startIndex] - Index to start from
+     * @param {boolean} [waited] - Whether the first action's delay has already passed
+     */
+    runActions(actions, startIndex = 0, waited = false) {
+        for (let i = startIndex; i < actions.length; i++) {
+            const action = actions[i];
+
+            // Wait for the delay, then carry on from this action
+            if (action.delay > 0 && !(waited && i === startIndex)) {
+                this.pending.push({ time: this.time + action.delay, actions, index: i });
+                return;
+            }
+
+            if (this.checkConditions(action.requires)) {
+                this.runAction(action);
+            }
+        }
+    }
+
+    /**
+     * Run a single action
+     * @param {Object} action - Action to run
+     */
+    runAction(action) {
+        const game = this.game;
+
+        switch (action.type) {
+            case 'spawn': {
+                const { type, x, y, width, height, ...properties } = action.entity;
+                game.levelManager.createEntity(type, x, y, width || null, height || null, properties);
+                break;
+            }
+            case 'startPlatform': {
+                const platform = this.findEntity('platform', action.target);
+                if (platform) platform.startMoving();
+                break;
+            }
+            case 'lockCamera':
+                game.gameManager.lockCamera(action.x, action.y, action.width, action.height);
+                break;
+            case 'unlockCamera':
+                game.gameManager.updateCameraBounds();
+                break;
+            case 'music':
+                game.audioManager.playMusic(action.music, true);
+                break;
+            case 'message':
+                this.showMessage(action);
+                break;
+            case 'openDoor': {
+                const door = this.findEntity('warp', action.target);
+                if (door) door.unlock();
+                break;
+            }
+            case 'startTimer':
+                this.timers[action.id] = {
+                    remaining: action.duration,
+                    label: action.label || '',
+                    onExpire: action.onExpire || []
+                };
+                break;
+            case 'stopTimer':
+                delete this.timers[action.id];
+                break;
+            default:
+                console.warn(`Unknown trigger action: ${action.type}`);
+        }
+    }
+
+    /**
+     * Check conditions against the game state
+     * @param {Object|null} requires - Minimum values, e.g. { coins: 10 }
+     * @returns {boolean} - Whether every condition is met
+     */
+    checkConditions(requires) {
+        if (!requires) return true;
+
+        const gameManager = this.game.gameManager;
+        return Object.keys(requires).every(key => gameManager[key] >= requires[key]);
+    }
+
+    /**
+     * Find an entity in the current area by type and ID
+     * @param {string} type - Entity type
+     * @param {string} id - Entity ID
+     * @returns {Object|null} - The entity, or null if not found
+     */
+    findEntity(type, id) {
+        const entityManager = this.game.entityManager;
+        const entity = [...entityManager.entities, ...entityManager.entitiesToAdd]
+            .find(candidate => candidate.type === type && candidate.id === id);
+
+        if (!entity) {
+            console.warn(`Trigger target ${type} "${id}" not found`);
+        }
+
+        return entity || null;
+    }
+
+    /**
+     * Show a message as floating text
+     * Messages without a position appear above the player
+     * @param {Object} action - Message action
+     */
+    showMessage(action) {
+        const player = this.game.gameManager.player;
+        const x = action.x !== undefined ? action.x : (player ? player.x + player.width / 2 : 0);
+        const y = action.y !== undefined ? action.y : (player ? player.y - 32 : 0);
+
+        this.game.entityManager.addEntity(new FloatingText({
+            x,
+            y,
+            game: this.game,
+            text: action.text,
+            color: action.color || '#FFFFFF',
+            lifetime: action.duration || 3,
+            outline: true
+        }));
+    }
+
+    /**
+     * Render running timers at the top of the screen
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        const ids = Object.keys(this.timers);
+
+        ids.forEach((id, index) => {
+            const timer = this.timers[id];
+            const text = `${timer.label ? `${timer.label} ` : ''}${Math.ceil(timer.remaining)}`;
+
+            renderer.drawText(text, renderer.camera.x + renderer.width / 2, renderer.camera.y + 16 + index * 24, {
+                align: 'center',
+                color: timer.remaining <= 5 ? '#FF5555' : '#FFFFFF',
+                stroke: { color: 'black', width: 3 }
+            });
+        });
+    }
+}
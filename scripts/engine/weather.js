@@ -0,0 +1,294 @@
+/**
+ * Weather
+ * Ambient weather for the current level or sub-area: rain, snow, falling leaves,
+ * fog and lightning flashes
+ *
+ * Areas declare it with `weather` (see levelParser.js), e.g.
+ * { wind: 30, layers: [{ type: 'rain', density: 1 }, { type: 'lightning', interval: 8 }] }
+ * Rain, snow and leaves are pooled particles in screen space that wrap around the view
+ * and shift against the camera by their depth, so near ones scroll past faster than far
+ * ones. Weather also has gameplay effects: wind pushes anything gravity pulls, and rain
+ * makes plain ground slippery (see Physics).
+ */
+
+// Particle weather at density 1
+// count: particles on screen; fallSpeed: pixels per second at depth 1
+// windScale: how strongly the wind blows them; sway: side-to-side drift in pixels per second
+// depth: range of parallax factors, far (small) to near (large)
+const PARTICLE_WEATHER = {
+    rain: {
+        count: 180,
+        fallSpeed: 700,
+        windScale: 3,
+        sway: 0,
+        depth: [0.5, 1.2],
+        colors: ['rgba(170, 190, 255, 0.55)'],
+        draw: drawRain
+    },
+    snow: {
+        count: 140,
+        fallSpeed: 60,
+        windScale: 1.5,
+        sway: 24,
+        depth: [0.3, 1],
+        colors: ['rgba(255, 255, 255, 0.9)'],
+        draw: drawFlake
+    },
+    leaves: {
+        count: 36,
+        fallSpeed: 45,
+        windScale: 2,
+        sway: 40,
+        depth: [0.7, 1.2],
+        colors: ['#D2691E', '#CD853F', '#8B4513', '#B8860B'],
+        draw: drawLeaf
+    }
+};
+
+const WRAP_MARGIN = 32; // Pixels particles travel off screen before wrapping around
+const FOG_OPACITY = 0.5; // Opacity of fog at density 1
+const FOG_DEPTH = 0.3; // Parallax factor of the fog banks
+const FLASH_TIME = 0.4; // Seconds a lightning flash takes to fade
+
+export class Weather {
+    constructor(game) {
+        this.game = game;
+
+        // Weather of the current area, or null for clear skies
+        this.weather = null;
+
+        // Particle layers, { pool, settings }
+        this.layers = [];
+
+        // Fog and lightning
+        this.fog = 0; // Fog opacity
+        this.fogOffset = 0;
+        this.lightning = null; // { interval, timer }
+        this.flash = 0; // Brightness of the current flash, 0 to 1
+
+        // Camera position at the last update, for parallax
+        this.lastCamera = { x: 0, y: 0 };
+
+        // Bind methods
+        this.start = this.start.bind(this);
+        this.stop = this.stop.bind(this);
+        this.update = this.update.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    /**
+     * Start the weather of an area, replacing the current weather
+     * @param {Object|null} weather - Normalized weather, { wind, layers }, or null for none
+     */
+    start(weather) {
+        this.stop();
+        if (!weather) return;
+
+        this.weather = weather;
+
+        // Gameplay effects
+        const physics = this.game.physics;
+        physics.wind = weather.wind;
+        physics.wet = weather.layers.some(layer => layer.type === 'rain');
+
+        weather.layers.forEach(layer => {
+            if (PARTICLE_WEATHER[layer.type]) {
+                this.addParticles(layer);
+            } else if (layer.type === 'fog') {
+                this.fog = Math.min(1, layer.density) * FOG_OPACITY;
+            } else if (layer.type === 'lightning') {
+                const interval = layer.interval || 8;
+                this.lightning = { interval, timer: interval * this.game.random.next() };
+            }
+        });
+
+        const camera = this.game.renderer.camera;
+        this.lastCamera = { x: camera.x, y: camera.y };
+    }
+
+    /**
+     * Fill the screen with a layer of weather particles
+     * @param {Object} layer - Weather layer, { type, density }
+     */
+    addParticles(layer) {
+        const settings = PARTICLE_WEATHER[layer.type];
+        const count = Math.round(settings.count * layer.density);
+        const pool = this.game.particleSystem.createPool(count, settings.draw);
+        const { width, height } = this.game.renderer;
+        const [nearest, farthest] = settings.depth;
+
+        for (let i = 0; i < count; i++) {
+            const depth = nearest + this.game.random.next() * (farthest - nearest);
+
+            pool.spawn({
+                x: this.game.random.next() * width,
+                y: this.game.random.next() * height,
+                velocityY: settings.fallSpeed * depth,
+                depth,
+                phase: this.game.random.next() * Math.PI * 2,
+                color: settings.colors[Math.floor(this.game.random.next() * settings.colors.length)]
+            });
+        }
+
+        this.layers.push({ pool, settings });
+    }
+
+    /**
+     * Clear the weather and its gameplay effects
+     */
+    stop() {
+        this.layers.forEach(({ pool }) => this.game.particleSystem.removePool(pool));
+
+        this.weather = null;
+        this.layers = [];
+        this.fog = 0;
+        this.lightning = null;
+        this.flash = 0;
+
+        this.game.physics.wind = 0;
+        this.game.physics.wet = false;
+    }
+
+    /**
+     * Update the weather
+     * The particle system moves the particles; this steers them and keeps them on screen
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.weather) return;
+
+        const renderer = this.game.renderer;
+        const cameraX = renderer.camera.x - this.lastCamera.x;
+        const cameraY = renderer.camera.y - this.lastCamera.y;
+        this.lastCamera = { x: renderer.camera.x, y: renderer.camera.y };
+
+        this.layers.forEach(({ pool, settings }) => {
+            pool.forEachAlive(particle => {
+                // Blown by the wind and swaying side to side
+                particle.phase += deltaTime * 2;
+                particle.velocityX = this.weather.wind * settings.windScale * particle.depth +
+                    Math.sin(particle.phase) * settings.sway;
+
+                // Shift against the camera by depth, wrapping around the view
+                particle.x = wrap(particle.x - cameraX * particle.depth, renderer.width);
+                particle.y = wrap(particle.y - cameraY * particle.depth, renderer.height);
+            });
+        });
+
+        // Fog banks drift with the wind
+        this.fogOffset += this.weather.wind * deltaTime - cameraX * FOG_DEPTH;
+
+        // Lightning strikes at random around its interval
+        if (this.lightning) {
+            this.lightning.timer -= deltaTime;
+
+            if (this.lightning.timer <= 0) {
+                this.lightning.timer = this.lightning.interval * (0.5 + this.game.random.next());
+                this.flash = 1;
+                this.game.audioManager.playSound('sfx-thunder');
+            }
+        }
+
+        this.flash = Math.max(0, this.flash - deltaTime / FLASH_TIME);
+    }
+
+    /**
+     * Draw fog and lightning over the scene
+     * Weather particles are drawn by the particle system
+     * @param {Renderer} renderer - The game renderer
+     */
+    render(renderer) {
+        if (!this.weather) return;
+
+        const ctx = renderer.ctx;
+
+        if (this.fog > 0) {
+            ctx.save();
+
+            // Haze thickening toward the ground
+            const haze = ctx.createLinearGradient(0, 0, 0, renderer.height);
+            haze.addColorStop(0, 'rgba(200, 205, 215, 0)');
+            haze.addColorStop(1, `rgba(200, 205, 215, ${this.fog})`);
+            ctx.fillStyle = haze;
+            ctx.fillRect(0, 0, renderer.width, renderer.height);
+
+            // Drifting banks, spaced across the view and wrapping around it
+            const spacing = renderer.width / 3;
+            for (let i = 0; i < 4; i++) {
+                const x = wrap(i * spacing + this.fogOffset, renderer.width + spacing) - spacing / 2;
+                const y = renderer.height * (0.55 + 0.1 * (i % 2));
+                const bank = ctx.createRadialGradient(x, y, 0, x, y, spacing);
+                bank.addColorStop(0, `rgba(220, 225, 235, ${this.fog * 0.6})`);
+                bank.addColorStop(1, 'rgba(220, 225, 235, 0)');
+                ctx.fillStyle = bank;
+                ctx.fillRect(x - spacing, y - spacing, spacing * 2, spacing * 2);
+            }
+
+            ctx.restore();
+        }
+
+        if (this.flash > 0) {
+            ctx.save();
+            ctx.fillStyle = `rgba(255, 255, 255, ${this.flash * 0.6})`;
+            ctx.fillRect(0, 0, renderer.width, renderer.height);
+            ctx.restore();
+        }
+    }
+}
+
+/**
+ * Wrap a screen coordinate around the view, allowing for the wrap margin
+ * @param {number} value - Coordinate
+ * @param {number} size - Width or height of the view
+ * @returns {number} - Coordinate between -WRAP_MARGIN and size + WRAP_MARGIN
+ */
+function wrap(value, size) {
+    const span = size + WRAP_MARGIN * 2;
+
+    return ((value + WRAP_MARGIN) % span + span) % span - WRAP_MARGIN;
+}
+
+/**
+ * Draw a raindrop as a streak along its velocity
+ * @param {Renderer} renderer - The game renderer
+ * @param {Object} particle - Weather particle in screen coordinates
+ */
+function drawRain(renderer, particle) {
+    const ctx = renderer.ctx;
+
+    ctx.strokeStyle = particle.color;
+    ctx.lineWidth = particle.depth;
+    ctx.beginPath();
+    ctx.moveTo(particle.x, particle.y);
+    ctx.lineTo(particle.x - particle.velocityX * 0.02, particle.y - particle.velocityY * 0.02);
+    ctx.stroke();
+}
+
+/**
+ * Draw a snowflake
+ * @param {Renderer} renderer - The game renderer
+ * @param {Object} particle - Weather particle in screen coordinates
+ */
+function drawFlake(renderer, particle) {
+    const size = 3 * particle.depth;
+
+    renderer.ctx.fillStyle = particle.color;
+    renderer.ctx.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+}
+
+/**
+ * Draw a falling leaf, tumbling as it sways
+ * @param {Renderer} renderer - The game renderer
+ * @param {Object} particle - Weather particle in screen coordinates
+ */
+function drawLeaf(renderer, particle) {
+    const ctx = renderer.ctx;
+    const size = 8 * particle.depth;
+
+    ctx.save();
+    ctx.translate(particle.x, particle.y);
+    ctx.rotate(Math.sin(particle.phase) * 0.8);
+    ctx.fillStyle = particle.color;
+    ctx.fillRect(-size / 2, -size / 4, size, size / 2);
+    ctx.restore();
+}
@@ -6,6 +6,7 @@
 import { Platform } from './platform.js';
 import { Powerup } from './powerup.js';
 import { Coin } from './coin.js';
+import { Vine } from './vine.js';
 
 export class Block extends Platform {
     constructor(config) {
@@ -13,7 +14,7 @@ export class Block extends Platform {
         super({
             ...config,
             type: 'block',
-            collisionLayer: 1, // Terrain layer
+            collisionLayer: config.game.physics.layers.BLOCK,
             solid: true,
             gravity: false,
             zIndex: 5 // Render below player but above background
@@ -21,8 +22,19 @@ export class Block extends Platform {
         
         // Block-specific properties
         this.isHidden = config.isHidden || false;
+        this.collider.hidden = this.isHidden; // Only hit from below until found
+        this.breakable = config.breakable || false; // Bricks shatter when big Arya hits them empty
         this.contains = config.contains || null; // Can contain powerups, coins, etc.
         this.isHit = false; // Whether the block has been hit
+        
+        // Multi-coin blocks pay out on every hit until their timer runs out
+        this.coinTime = config.coinTime || 4; // seconds
+        this.coinTimer = null; // Starts on the first hit
+        
+        // Vines grow this far, and can lead to another area like a warp
+        this.vineLength = config.vineLength || null;
+        this.targetArea = config.targetArea || null;
+        this.targetWarp = config.targetWarp || null;
         this.hitAnimationTime = 0;
         this.hitAnimationDuration = 0.2; // seconds
         this.hitOffset = 0; // Vertical offset for hit animation
@@ -30,6 +42,8 @@ export class Block extends Platform {
         
         // Bind methods
         this.hit = this.hit.bind(this);
+        this.shatter = this.shatter.bind(this);
+        this.bumpEntitiesOnBlock = this.bumpEntitiesOnBlock.bind(this);
         this.releaseContents = this.releaseContents.bind(this);
     }
     
@@ -53,19 +67,35 @@ export class Block extends Platform {
             }
         }
         
+        // Count down the multi-coin payout once it has started
+        if (this.coinTimer > 0) {
+            this.coinTimer = Math.max(0, this.coinTimer - deltaTime);
+        }
+        
         // Call parent update method
         super.update(deltaTime);
     }
     
     /**
      * Handle the block being hit from below
+     * @param {Object} [hitter] - Entity that hit the block, usually the player
      */
-    hit() {
+    hit(hitter = null) {
         // Only respond if not already hit or if hit animation is not active
         if (!this.isHit && this.hitAnimationTime <= 0) {
+            // Empty bricks shatter when big or fire Arya hits them; small Arya just bumps them
+            if (this.breakable && !this.contains && hitter && hitter.powerupState && hitter.powerupState !== 'small') {
+                this.shatter();
+                return;
+            }
+            
             // Start hit animation
             this.hitAnimationTime = this.hitAnimationDuration;
             
+            // Hidden blocks are found once hit, and block like any other from then on
+            this.isHidden = false;
+            this.collider.hidden = false;
+            
             // Play hit sound
             this.game.audioManager.playSound('sfx-block-hit');
             
@@ -76,22 +106,69 @@ export class Block extends Platform {
                 this.y + this.height
             );
             
+            // Knock enemies standing on top
+            this.bumpEntitiesOnBlock();
+            
             // Release contents if any
             if (this.contains) {
                 this.releaseContents();
                 
-                // Mark as hit if it contained something
-                this.isHit = true;
+                // Multi-coin blocks start their timer on the first hit and
+                // keep paying out until it runs out
+                if (this.contains === 'coins' && this.coinTimer === null) {
+                    this.coinTimer = this.coinTime;
+                }
+                
+                // Mark as hit once it has nothing left to give
+                if (this.contains !== 'coins' || this.coinTimer <= 0) {
+                    this.isHit = true;
+                }
             }
         }
     }
     
+    /**
+     * Break the block into debris and remove it from the level
+     */
+    shatter() {
+        // Knock enemies standing on top before the floor disappears
+        this.bumpEntitiesOnBlock();
+        
+        // Create debris effect
+        this.game.particleSystem.createEffect(
+            'brickDebris',
+            this.x + this.width / 2,
+            this.y + this.height / 2
+        );
+        
+        // Play break sound
+        this.game.audioManager.playSound('sfx-break');
+        
+        this.game.gameManager.addScore(50);
+        
+        // Stop blocking movement and remove the block
+        this.solid = false;
+        this.destroy();
+    }
+    
+    /**
+     * Knock enemies standing on the block off their feet
+     */
+    bumpEntitiesOnBlock() {
+        this.game.entityManager.getEntitiesByType('enemy').forEach(enemy => {
+            if (!enemy.isDefeated && this.isEntityOnPlatform(enemy)) {
+                enemy.bump();
+            }
+        });
+    }
+    
     /**
      * Release the contents of the block
      */
     releaseContents() {
         switch (this.contains) {
             case 'coin':
+            case 'coins':
                 // Create coin effect
                 this.game.particleSystem.createEffect(
                     'coinCollect',
@@ -133,5 +210,56 @@ export class Block extends Platform {
                 // Play powerup appear sound
                 this.game.audioManager.playSound('sfx-powerup-appear');
                 break;
+                
+            case 'vine':
+                // Grow a vine up out of the top of the block
+                this.game.entityManager.addEntity(new Vine({
+                    x: this.x + this.width / 2,
+                    y: this.y,
+                    length: this.vineLength,
+                    game: this.game,
+                    targetArea: this.targetArea,
+                    targetWarp: this.targetWarp
+                }));
+                
+                // Play vine sound
+                this.game.audioManager.playSound('sfx-vine');
+                break;
+        }
+    }
+    
+    /**
+     * Render the block, raised by the hit animation
+     * @param {Object} renderer - Renderer instance
+     */
+    render(renderer) {
+        const y = this.y - this.hitOffset;
+        
+        if (this.isHidden && !this.isHit) {
+            // Hidden blocks stay invisible until they're found
+        } else if (this.tilesetImage && this.tileId !== null) {
+            renderer.drawTile(this.tilesetImage, this.tileId, this.x, y, this.width, this.height);
+        } else if (this.isHit) {
+            // Used blocks are plain and dark
+            renderer.drawRect(this.x, y, this.width, this.height, '#7A5230');
+        } else if (this.breakable) {
+            // Brick with mortar lines
+            renderer.drawRect(this.x, y, this.width, this.height, '#B5542C');
+            renderer.drawRect(this.x, y + this.height / 2 - 1, this.width, 2, '#5C2A14');
+            renderer.drawRect(this.x + this.width / 2 - 1, y, 2, this.height / 2, '#5C2A14');
+        } else {
+            renderer.drawRect(this.x, y, this.width, this.height, '#F4A300');
         }
-    }
\ No newline at end of file
+        
+        // Render collider in debug mode
+        if (this.game.debug) {
+            renderer.drawRect(
+                this.collider.x,
+                this.collider.y,
+                this.collider.width,
+                this.collider.height,
+                'rgba(0, 255, 0, 0.3)'
+            );
+        }
+    }
+}
\ No newline at end of file
@@ -11,7 +11,7 @@ export class Checkpoint extends Entity {
         super({
             ...config,
             type: 'checkpoint',
-            collisionLayer: 4, // Collectible layer
+            collisionLayer: config.game.physics.layers.TRIGGER,
             solid: false, // Checkpoints don't block movement
             gravity: false, // Checkpoints don't fall
             width: 32,
@@ -11,7 +11,7 @@ export class Coin extends Entity {
         super({
             ...config,
             type: 'coin',
-            collisionLayer: 4, // Collectible layer
+            collisionLayer: config.game.physics.layers.ITEM,
             solid: false, // Coins don't block movement
             gravity: false, // Coins don't fall
             width: 16,
@@ -77,12 +77,12 @@ export class Coin extends Entity {
      */
     createSparkleEffect() {
         // Only create sparkle effects occasionally
-        if (Math.random() < 0.3) {
+        if (this.game.random.next() < 0.3) {
             // Use particle system to create sparkle effect
             this.game.particleSystem.createEffect(
                 'coinCollect', // Reuse the coin collect effect but customize it
-                this.x + Math.random() * this.width,
-                this.y + Math.random() * this.height,
+                this.x + this.game.random.next() * this.width,
+                this.y + this.game.random.next() * this.height,
                 {
                     count: 1,
                     color: '#FFD700', // Gold color
@@ -11,8 +11,8 @@ export class Enemy extends Entity {
         super({
             ...config,
             type: 'enemy',
-            collisionLayer: 2, // Enemy layer
-            collisionMask: 1 | 2, // Collide with terrain and other enemies
+            collisionLayer: config.game.physics.layers.ENEMY,
+            swims: true, // Walkers that fall in water swim like the player
             zIndex: 8 // Render above platforms but below player
         });
         
@@ -24,7 +24,7 @@ export class Enemy extends Entity {
         this.initialX = this.x;
         this.initialY = this.y;
         this.isBoss = config.isBoss || false;
-        this.health = this.isBoss ? 3 : 1;
+        this.health = config.health || (this.isBoss ? 3 : 1);
         this.isDefeated = false;
         this.defeatTime = 0;
         this.defeatDuration = 0.5; // Time in seconds for defeat animation
@@ -34,6 +34,7 @@ export class Enemy extends Entity {
         this.detectionRange = config.detectionRange || 200;
         this.attackCooldown = 0;
         this.attackCooldownDuration = 2; // Time in seconds between attacks
+        this.swimTime = 0;
         
         // Set up animations based on enemy type
         this.setupAnimations();
@@ -85,6 +86,18 @@ export class Enemy extends Entity {
                 this.behaviorType = 'stationary';
                 break;
                 
+            case 'fish':
+                this.animations = {
+                    walk: {
+                        frames: ['enemy_fish_1', 'enemy_fish_2'],
+                        frameDuration: 0.25
+                    }
+                };
+                // Fish only live in water and float rather than sink
+                this.behaviorType = 'swim';
+                this.gravity = false;
+                break;
+                
             case 'boss':
                 this.animations = {
                     walk: {
@@ -180,6 +193,10 @@ export class Enemy extends Entity {
             case 'boss':
                 this.updateBossBehavior(deltaTime);
                 break;
+                
+            case 'swim':
+                this.updateSwimBehavior(deltaTime);
+                break;
         }
         
         // Update attack cooldown
@@ -256,6 +273,32 @@ export class Enemy extends Entity {
         }
     }
     
+    /**
+     * Update swim behavior (for water-only enemies)
+     * Swims back and forth, bobbing up and down, and turns back at the water's edge
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateSwimBehavior(deltaTime) {
+        this.swimTime += deltaTime;
+        
+        // Move in current direction
+        this.velocityX = this.direction * this.speed;
+        this.flipX = this.direction > 0;
+        
+        // Gentle bob around the starting depth
+        this.y = this.initialY + Math.sin(this.swimTime * 2) * 12;
+        
+        // Turn at the patrol limit, or before swimming out of the water
+        const aheadX = this.direction > 0 ? this.x + this.width + 4 : this.x - 4;
+        const waterAhead = this.game.physics.isInWater({ x: aheadX, y: this.y, width: 0, height: this.height });
+        
+        const pastLimit = (this.x - this.initialX) * this.direction > this.patrolDistance;
+        
+        if (pastLimit || !waterAhead) {
+            this.direction *= -1;
+        }
+    }
+    
     /**
      * Update shell behavior (for koopa shells)
      * @param {number} deltaTime - Time since last update in seconds
@@ -306,32 +349,37 @@ export class Enemy extends Entity {
     
     /**
      * Check for obstacles or edges and change direction if needed
+     * Slopes ahead count as ground rather than walls or ledges, uphill or down
      */
     checkForObstacles() {
-        // Check for wall in front of enemy
-        const wallCheckX = this.direction > 0 ? 
-            this.x + this.width + 5 : 
-            this.x - 5;
-        
-        const wallHit = this.game.physics.raycast(
-            wallCheckX,
-            this.y + this.height / 2,
-            this.direction,
-            5,
-            1 // Collision mask for terrain
+        const physics = this.game.physics;
+        const lookahead = 5;
+        
+        // Check for wall in front of enemy, from its leading edge
+        const frontX = this.direction > 0 ? this.x + this.width : this.x;
+        const middleY = this.y + this.height / 2;
+        
+        const wallHit = physics.raycast(
+            frontX,
+            middleY,
+            frontX + this.direction * lookahead,
+            middleY,
+            physics.masks.TERRAIN
         );
         
-        // Check for edge in front of enemy
-        const edgeCheckX = this.direction > 0 ? 
-            this.x + this.width + 5 : 
-            this.x - 5;
+        // Check for edge in front of enemy, starting a little above its feet for slopes
+        // rising ahead. Standing on a slope, the ground ahead can also drop away as far as
+        // the slope falls across the enemy and the lookahead.
+        const edgeCheckX = frontX + this.direction * lookahead;
+        const footY = this.y + this.height;
+        const slopeDrop = this.slope ? (this.width + lookahead) * this.slope.gradient : 0;
         
-        const groundHit = this.game.physics.raycast(
+        const groundHit = physics.raycast(
             edgeCheckX,
-            this.y + this.height + 5,
-            0,
-            10,
-            1 // Collision mask for terrain
+            footY - lookahead,
+            edgeCheckX,
+            footY + slopeDrop + 10,
+            physics.masks.TERRAIN
         );
         
         // If there's a wall ahead or no ground ahead, reverse direction
@@ -370,9 +418,9 @@ export class Enemy extends Entity {
         }
         
         // Return to walk animation after a short delay
-        setTimeout(() => {
+        this.game.schedule(() => {
             this.setAnimation('walk');
-        }, 500);
+        }, 0.5);
     }
     
     /**
@@ -393,9 +441,9 @@ export class Enemy extends Entity {
                 this.game.audioManager.playSound('sfx-boss-hurt');
                 
                 // Return to walk animation after a short delay
-                setTimeout(() => {
+                this.game.schedule(() => {
                     this.setAnimation('walk');
-                }, 500);
+                }, 0.5);
                 
                 return;
             }
@@ -418,6 +466,7 @@ export class Enemy extends Entity {
         // Mark as defeated
         this.isDefeated = true;
         this.solid = false;
+        this.collisionMask = 0; // Fall out of the level
         this.velocityX = 0;
         
         // Set defeat animation
@@ -472,36 +521,42 @@ export class Enemy extends Entity {
     }
     
     /**
-     * Handle collision with another entity
-     * @param {Object} other - The entity collided with
-     * @param {Object} collision - Collision data
+     * Handle touching another enemy
+     * @param {Object} other - The other enemy entity
      */
-    onCollision(other, collision) {
-        // Call parent collision handler for basic physics response
-        super.onCollision(other, collision);
-        
-        // Handle specific collisions based on entity type
-        switch (other.type) {
-            case 'fireball':
-                // Player's fireball defeats enemy
-                this.defeat();
-                other.destroy();
-                break;
-                
-            case 'enemy':
-                // If this is a shell and moving, defeat other enemies
-                if (this.enemyType === 'koopa' && 
-                    this.behaviorType === 'shell' && 
-                    Math.abs(this.velocityX) > 50) {
-                    other.defeat();
-                    
-                    // Play hit sound
-                    this.game.audioManager.playSound('sfx-shell-hit');
-                }
-                break;
+    onEnemyEnemy(other) {
+        // If this is a shell and moving, defeat other enemies
+        if (this.enemyType === 'koopa' && 
+            this.behaviorType === 'shell' && 
+            Math.abs(this.velocityX) > 50 &&
+            !other.isDefeated) {
+            other.defeat();
+            
+            // Play hit sound
+            this.game.audioManager.playSound('sfx-shell-hit');
         }
     }
     
+    /**
+     * Handle touching a platform; enemies walk on it and into it like tiles
+     * @param {Object} platform - The platform entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onEnemyPlatform(platform, collision) {
+        this.onCollision(platform, collision);
+    }
+    
+    /**
+     * Handle touching a block
+     * @param {Object} block - The block entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onEnemyBlock(block, collision) {
+        if (block.isHidden) return;
+        
+        this.onCollision(block, collision);
+    }
+    
     /**
      * Handle being stomped on by player
      */
@@ -522,4 +577,13 @@ export class Enemy extends Entity {
             this.defeat();
         }
     }
+    
+    /**
+     * Handle the block underneath being hit from below
+     * Knocks the enemy into the air; koopas land as shells, others are defeated
+     */
+    bump() {
+        this.defeat();
+        this.velocityY = -250;
+    }
 }
\ No newline at end of file
@@ -3,6 +3,15 @@
  * Parent class for all game entities
  */
 
+import { getCollisionMask, checkCollisionSetup } from '../engine/collisionLayers.js';
+
+// Counter for generated entity IDs, so they come out the same every run
+let nextEntityId = 1;
+
+// How far past the distance moved an entity can be from a slope's surface and still be
+// stuck to it, matching Physics
+const SLOPE_SNAP_MARGIN = 2;
+
 export class Entity {
     constructor(config) {
         // Basic properties
@@ -23,6 +32,13 @@ export class Entity {
         this.mass = config.mass || 1;
         this.bounciness = config.bounciness || 0;
         
+        // Swimming entities switch to water physics in water cells
+        this.swims = config.swims || false;
+        this.inWater = null; // Unknown until the first update
+        
+        // Slope being walked on, kept by followSlope()
+        this.slope = null;
+        
         // Collision properties
         this.collider = {
             x: this.x,
@@ -30,10 +46,17 @@ export class Entity {
             width: this.width,
             height: this.height,
             offsetX: config.colliderOffsetX || 0,
-            offsetY: config.colliderOffsetY || 0
+            offsetY: config.colliderOffsetY || 0,
+            entity: this // For getting back to the entity from contacts and raycast hits
         };
-        this.collisionLayer = config.collisionLayer || 1;
-        this.collisionMask = config.collisionMask || 1;
+        this.collisionLayer = config.collisionLayer !== undefined ? config.collisionLayer : this.game.physics.layers.DEFAULT;
+        this.collisionMask = config.collisionMask !== undefined ? config.collisionMask : getCollisionMask(this.collisionLayer);
+        
+        // Static entities are level geometry, like platforms and blocks. The entity manager
+        // registers their colliders with Physics, so moves and raycasts run into them.
+        this.collider.isStatic = config.isStatic || false;
+        this.collider.collisionLayer = this.collisionLayer;
+        this.collider.collisionMask = this.collisionMask;
         
         // Visual properties
         this.sprite = config.sprite || null;
@@ -46,18 +69,31 @@ export class Entity {
         this.opacity = config.opacity !== undefined ? config.opacity : 1;
         this.zIndex = config.zIndex || 0;
         this.visible = config.visible !== undefined ? config.visible : true;
+        this.light = config.light || null; // Light given off in dark stages, { radius, color }
         
         // State properties
         this.type = config.type || 'entity';
         this.active = true;
         this.tags = config.tags || [];
-        this.id = config.id || `entity_${Math.floor(Math.random() * 10000)}`;
+        this.id = config.id || `entity_${nextEntityId++}`;
+        
+        // Report layers and masks that don't match the collision registry
+        if (this.game.debug) {
+            checkCollisionSetup(this).forEach(problem => {
+                console.warn(`${this.type} ${this.id}: ${problem}`);
+            });
+        }
         
         // Bind methods
         this.update = this.update.bind(this);
         this.render = this.render.bind(this);
         this.updateCollider = this.updateCollider.bind(this);
+        this.move = this.move.bind(this);
         this.onCollision = this.onCollision.bind(this);
+        this.updateWater = this.updateWater.bind(this);
+        this.onWaterChange = this.onWaterChange.bind(this);
+        this.followSlope = this.followSlope.bind(this);
+        this.getLight = this.getLight.bind(this);
         this.destroy = this.destroy.bind(this);
     }
     
@@ -70,14 +106,31 @@ export class Entity {
         this.velocityX += this.accelerationX * deltaTime;
         this.velocityY += this.accelerationY * deltaTime;
         
-        // Apply gravity if enabled
+        // Check for entering or leaving water
+        if (this.swims) {
+            this.updateWater();
+        }
+        
+        const water = this.inWater ? this.game.physics.water : null;
+        
+        // Apply gravity if enabled, weakened in water
         if (this.gravity) {
-            this.velocityY += this.game.physics.gravity * this.mass * deltaTime;
+            const gravityScale = water ? water.gravityScale : 1;
+            this.velocityY += this.game.physics.gravity * this.mass * gravityScale * deltaTime;
+            
+            // Wind pushes whatever gravity pulls, heavier things less
+            this.velocityX += this.game.physics.wind / this.mass * deltaTime;
         }
         
         // Apply friction
         this.velocityX *= this.friction;
         
+        // Water slows movement and sinking
+        if (water) {
+            this.velocityX *= water.drag;
+            this.velocityY = Math.min(this.velocityY, water.maxSinkSpeed);
+        }
+        
         // Apply terminal velocity
         if (this.velocityX > this.game.physics.terminalVelocity) {
             this.velocityX = this.game.physics.terminalVelocity;
@@ -91,9 +144,13 @@ export class Entity {
             this.velocityY = -this.game.physics.terminalVelocity;
         }
         
-        // Update position
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
+        // Update position, stopping at level geometry, platforms and blocks in the way
+        this.move(this.velocityX * deltaTime, this.velocityY * deltaTime);
+        
+        // Walk up and down slopes rather than through them
+        if (this.gravity) {
+            this.followSlope(deltaTime);
+        }
         
         // Update collider position
         this.updateCollider();
@@ -108,6 +165,88 @@ export class Entity {
         }
     }
     
+    /**
+     * Move the entity
+     * Entities that collide with terrain have the move swept by Physics, so they stop at
+     * tiles, platforms and blocks instead of passing through them. Tiles they hit go to
+     * onCollision; platforms and blocks go to the pair callbacks of both entities, e.g.
+     * onPlayerPlatform, like any other entities that touch.
+     * @param {number} dx - Horizontal move in pixels
+     * @param {number} dy - Vertical move in pixels
+     */
+    move(dx, dy) {
+        const physics = this.game.physics;
+        
+        if (!(this.collisionMask & physics.masks.TERRAIN)) {
+            this.x += dx;
+            this.y += dy;
+            return;
+        }
+        
+        this.updateCollider();
+        
+        physics.moveEntity(this, dx, dy).forEach(contact => {
+            if (contact.other.entity) {
+                this.game.entityManager.dispatchContact(this, contact.other.entity, contact);
+            } else {
+                this.onCollision(contact.other, contact);
+            }
+        });
+    }
+    
+    /**
+     * Stand the entity on any slope it moved into
+     * Lifts it onto the surface when it sinks in, by falling or walking uphill, and pulls it
+     * down onto a slope just below it, so walking downhill doesn't turn into little hops
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    followSlope(deltaTime) {
+        // Jumping takes the entity off the slope
+        if (this.velocityY < 0) {
+            this.slope = null;
+            return;
+        }
+        
+        const moveX = Math.abs(this.velocityX * deltaTime);
+        const fall = this.velocityY * deltaTime;
+        const hit = this.game.physics.findSlope(
+            this,
+            fall + moveX + SLOPE_SNAP_MARGIN,
+            moveX + SLOPE_SNAP_MARGIN
+        );
+        
+        this.slope = hit ? hit.slope : null;
+        
+        if (hit) {
+            this.y = hit.y - this.height;
+            this.velocityY = 0;
+        }
+    }
+    
+    /**
+     * Track whether the entity is in water
+     */
+    updateWater() {
+        const inWater = this.game.physics.isInWater(this);
+        
+        // Entities placed in water start out swimming without a splash
+        if (this.inWater !== null && inWater !== this.inWater) {
+            this.onWaterChange(inWater);
+        }
+        
+        this.inWater = inWater;
+    }
+    
+    /**
+     * Handle entering or leaving water
+     * @param {boolean} entered - True when entering water, false when leaving it
+     */
+    onWaterChange(entered) {
+        // Splash where the entity crosses the surface
+        this.game.particleSystem.createEffect('waterSplash', this.x + this.width / 2, this.y + this.height / 2);
+        this.game.audioManager.playSound('sfx-splash');
+    }
+    
     /**
      * Render the entity
      * @param {Object} renderer - Renderer instance
@@ -139,6 +278,20 @@ export class Entity {
         }
     }
     
+    /**
+     * Get the light the entity gives off in dark stages
+     * @returns {Object|null} - { x, y, radius, color } centered on the entity, or null for none
+     */
+    getLight() {
+        if (!this.light || !this.visible) return null;
+        
+        return {
+            x: this.x + this.width / 2,
+            y: this.y + this.height / 2,
+            ...this.light
+        };
+    }
+    
     /**
      * Update collider position to match entity position
      */
@@ -147,27 +300,33 @@ export class Entity {
         this.collider.y = this.y + this.collider.offsetY;
         this.collider.width = this.width - 2 * this.collider.offsetX;
         this.collider.height = this.height - 2 * this.collider.offsetY;
+        
+        // What the physics sweep checks, which can change, e.g. when defeated
+        this.collider.collisionLayer = this.collisionLayer;
+        this.collider.collisionMask = this.collisionMask;
+        this.collider.dropThrough = this.dropThrough || false;
     }
     
     /**
-     * Handle collision with another entity
-     * @param {Object} other - The entity collided with
-     * @param {Object} collision - Collision data
+     * Handle collision with level geometry
+     * @param {Object} other - The tile or entity collided with
+     * @param {Object} collision - Contact, { other, side, normal, penetration, time } (see Physics)
      */
     onCollision(other, collision) {
         // Base collision response - can be overridden by subclasses
-        if (this.solid && other.solid) {
+        // One-way tiles and platforms only ever touch from above, so they block like solid ones
+        if (this.solid && (other.solid || other.oneWay)) {
             // Resolve collision
             if (collision.normal.x !== 0) {
                 // Horizontal collision
-                this.x += collision.overlap * collision.normal.x;
+                this.x += collision.penetration * collision.normal.x;
                 this.velocityX = 0;
                 this.accelerationX = 0;
             }
             
             if (collision.normal.y !== 0) {
                 // Vertical collision
-                this.y += collision.overlap * collision.normal.y;
+                this.y += collision.penetration * collision.normal.y;
                 
                 // Apply bounce if entity has bounciness
                 if (this.bounciness > 0) {
@@ -11,7 +11,7 @@ export class FloatingText extends Entity {
         super({
             ...config,
             type: 'floatingText',
-            collisionLayer: 0, // No collision
+            collisionLayer: config.game.physics.layers.NONE, // No collision
             solid: false, // Text doesn't block movement
             gravity: false, // Text doesn't fall unless specified
             width: 0, // Width will be calculated based on text
@@ -4,6 +4,7 @@
  */
 
 import { Entity } from './entity.js';
+import { GOAL_SIZE } from '../engine/levelSchema.js';
 
 export class Goal extends Entity {
     constructor(config) {
@@ -11,16 +12,17 @@ export class Goal extends Entity {
         super({
             ...config,
             type: 'goal',
-            collisionLayer: 4, // Collectible layer
+            collisionLayer: config.game.physics.layers.TRIGGER,
             solid: false, // Goals don't block movement
             gravity: false, // Goals don't fall
-            width: 48,
-            height: 96,
+            width: config.width || GOAL_SIZE.width,
+            height: config.height || GOAL_SIZE.height,
             zIndex: 6 // Render above platforms but below player
         });
         
         // Goal-specific properties
         this.goalType = config.goalType || 'flag'; // flag or castle
+        this.exit = config.exit || 'normal'; // normal or secret, which overworld paths it opens
         this.reached = false;
         this.reachedTime = 0;
         this.flagSlideProgress = 0;
@@ -133,9 +135,9 @@ export class Goal extends Entity {
         this.createReachedEffect();
         
         // Notify game manager that level is complete
-        setTimeout(() => {
-            this.game.gameManager.levelComplete();
-        }, 3000); // Wait 3 seconds before completing level
+        this.game.schedule(() => {
+            this.game.gameManager.levelComplete(this.exit);
+        }, 3); // Wait 3 seconds before completing level
     }
     
     /**
@@ -161,9 +163,9 @@ export class Goal extends Entity {
     createFireworks() {
         // Create multiple fireworks with delay
         for (let i = 0; i < 5; i++) {
-            setTimeout(() => {
-                const x = this.x + Math.random() * this.width * 3 - this.width;
-                const y = this.y - this.height - Math.random() * 100;
+            this.game.schedule(() => {
+                const x = this.x + this.game.random.next() * this.width * 3 - this.width;
+                const y = this.y - this.height - this.game.random.next() * 100;
                 
                 // Use particle system to create firework effect
                 this.game.particleSystem.createEffect('firework', x, y);
@@ -171,7 +173,7 @@ export class Goal extends Entity {
                 // Play firework sound
                 this.game.audioManager.playSound('sfx-firework');
                 
-            }, i * 500); // Stagger fireworks every 0.5 seconds
+            }, i * 0.5); // Stagger fireworks every 0.5 seconds
         }
     }
     
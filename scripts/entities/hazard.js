@@ -0,0 +1,113 @@
+/**
+ * Hazard Entity
+ * Saw blades and kill zones that harm the player on contact
+ *
+ * Spikes and lava are tiles in the tile collision map instead; both kinds go
+ * through Player.touchHazard, which looks up their effects here. The player finds
+ * hazard entities like any other entity it touches, in Player.onPlayerHazard.
+ */
+
+import { Entity } from './entity.js';
+
+// Damage, particle preset and sound cue for each hazard and hazard tile type
+export const HAZARDS = {
+    spikes: { damage: 'hurt', effect: 'spikeHit', sound: 'sfx-spike' },
+    lava: { damage: 'kill', effect: 'lavaSplash', sound: 'sfx-lava' },
+    saw: { damage: 'hurt', effect: 'sawSparks', sound: 'sfx-saw' },
+    killZone: { damage: 'kill', effect: null, sound: 'sfx-fall' },
+    crush: { damage: 'kill', effect: 'landDust', sound: 'sfx-crush' } // Pinned by an auto-scrolling view
+};
+
+/**
+ * Get the effects for a hazard entity or hazard tile rectangle
+ * Tiles marked as hazards without a hazard type of their own act like spikes
+ * @param {Object} hazard - Hazard entity or tile rectangle
+ * @returns {Object} - { damage, effect, sound }
+ */
+export function getHazardDefinition(hazard) {
+    const definition = HAZARDS[hazard.hazardType || hazard.type] || HAZARDS.spikes;
+    return { ...definition, damage: hazard.damage || definition.damage };
+}
+
+export class Hazard extends Entity {
+    constructor(config) {
+        // Call parent constructor with extended config
+        super({
+            ...config,
+            type: 'hazard',
+            collisionLayer: config.game.physics.layers.HAZARD,
+            solid: false,
+            gravity: false,
+            zIndex: 7 // Render above platforms but below the player
+        });
+
+        // Hazard-specific properties
+        this.hazardType = HAZARDS[config.hazardType] ? config.hazardType : 'saw';
+        this.damage = config.damage || HAZARDS[this.hazardType].damage;
+
+        // Saw blades swing between their start and moveX/moveY away
+        this.initialX = this.x;
+        this.initialY = this.y;
+        this.moveX = config.moveX || 0;
+        this.moveY = config.moveY || 0;
+        this.speed = config.speed || 1;
+        this.movementProgress = 0;
+        this.rotation = 0;
+    }
+
+    /**
+     * Update hazard state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.hazardType === 'saw') {
+            this.movementProgress += deltaTime * this.speed;
+            this.rotation += deltaTime * 12;
+
+            // Ease in and out at each end of the track
+            const offset = (1 - Math.cos(this.movementProgress)) / 2;
+            this.x = this.initialX + this.moveX * offset;
+            this.y = this.initialY + this.moveY * offset;
+            this.updateCollider();
+        }
+    }
+
+    /**
+     * Render the hazard
+     * Kill zones are invisible outside of debug mode
+     * @param {Object} renderer - Renderer instance
+     */
+    render(renderer) {
+        if (this.hazardType === 'saw') {
+            const ctx = renderer.ctx;
+            const center = renderer.worldToScreen(this.x + this.width / 2, this.y + this.height / 2);
+            const radius = Math.min(this.width, this.height) / 2;
+
+            // Toothed blade
+            ctx.save();
+            ctx.translate(center.x, center.y);
+            ctx.rotate(this.rotation);
+            ctx.fillStyle = '#B0B0B0';
+            ctx.beginPath();
+            for (let i = 0; i < 16; i++) {
+                const angle = i / 16 * Math.PI * 2;
+                const r = i % 2 === 0 ? radius : radius * 0.75;
+                ctx.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+            }
+            ctx.closePath();
+            ctx.fill();
+
+            // Hub
+            ctx.fillStyle = '#555555';
+            ctx.beginPath();
+            ctx.arc(0, 0, radius * 0.25, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Render hazard area in debug mode
+        if (this.game.debug) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(255, 0, 0, 0.3)');
+        }
+    }
+}
@@ -11,7 +11,7 @@ export class Particle extends Entity {
         super({
             ...config,
             type: 'particle',
-            collisionLayer: 0, // No collision
+            collisionLayer: config.game.physics.layers.NONE, // No collision
             solid: false, // Particles don't block movement
             width: config.width || 4,
             height: config.height || 4,
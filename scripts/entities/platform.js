@@ -10,14 +10,17 @@ export class Platform extends Entity {
         // Call parent constructor with extended config
         super({
             ...config,
-            type: 'platform',
-            collisionLayer: 1, // Terrain layer
+            type: config.type || 'platform', // Subclasses like Block pass their own type
+            collisionLayer: config.collisionLayer || config.game.physics.layers.PLATFORM, // Subclasses like Block pass their own layer
             solid: true,
             gravity: false,
+            isStatic: true,
             zIndex: 5 // Render below player but above background
         });
         
         // Platform-specific properties
+        this.oneWay = config.oneWay || false; // Only holds things up from above, see isEntityOnPlatform
+        this.collider.oneWay = this.oneWay;
         this.isMoving = config.isMoving || false;
         this.moveSpeed = config.moveSpeed || 50;
         this.moveDistance = config.moveDistance || 100;
@@ -51,6 +54,13 @@ export class Platform extends Entity {
         super.update(deltaTime);
     }
     
+    /**
+     * Start moving, for platforms that wait for a trigger
+     */
+    startMoving() {
+        this.isMoving = true;
+    }
+    
     /**
      * Update platform movement
      * @param {number} deltaTime - Time since last update in seconds
@@ -74,8 +84,9 @@ export class Platform extends Entity {
             this.y = this.initialY + offset;
         }
         
-        // Update collider position
+        // Update collider position, and its place in the physics broadphase
         this.updateCollider();
+        this.game.physics.updateCollider(this.collider);
         
         // Check for entities standing on this platform and move them along with it
         this.moveEntitiesOnPlatform(deltaTime);
@@ -130,6 +141,9 @@ export class Platform extends Entity {
      * @returns {boolean} - True if entity is standing on platform
      */
     isEntityOnPlatform(entity) {
+        // Entities dropping down through a one-way platform aren't held up by it
+        if (this.oneWay && entity.dropThrough) return false;
+        
         // Entity must be above the platform
         const entityBottom = entity.y + entity.height;
         const platformTop = this.y;
@@ -4,6 +4,26 @@
  */
 
 import { Entity } from './entity.js';
+import { getHazardDefinition } from './hazard.js';
+import { STAR_LIGHT } from './powerup.js';
+
+// Movement tuning, shared with the level generator so generated gaps stay jumpable
+export const PLAYER_MOVEMENT = {
+    moveSpeed: 200,
+    jumpForce: 500,
+    mass: 1 // Scales gravity
+};
+
+// Seconds one-way platforms let the player through after dropping down
+const DROP_THROUGH_TIME = 0.25;
+
+// Pixels above the feet the ground check starts, so ground the feet sank into still counts,
+// like one-way platforms that rays only hit from above (the collider also sits 2px above the feet)
+const GROUND_CHECK_HEIGHT = 4;
+
+// Pixels per second² the player speeds up sliding down a 45° slope while ducking,
+// scaled by the gradient for gentler slopes
+const SLIDE_ACCELERATION = 1800;
 
 export class Player extends Entity {
     constructor(config) {
@@ -11,25 +31,34 @@ export class Player extends Entity {
         super({
             ...config,
             type: 'player',
-            collisionLayer: 1,
-            collisionMask: 1 | 2 | 4, // Collide with terrain, enemies, and collectibles
+            collisionLayer: config.game.physics.layers.PLAYER,
             width: 32,
             height: 64,
             friction: 0.85,
+            mass: PLAYER_MOVEMENT.mass,
             colliderOffsetX: 4,
             colliderOffsetY: 2,
+            swims: true,
             zIndex: 10 // Player should be rendered above most entities
         });
         
         // Player-specific properties
-        this.moveSpeed = 200;
-        this.jumpForce = 500;
+        this.moveSpeed = PLAYER_MOVEMENT.moveSpeed;
+        this.jumpForce = PLAYER_MOVEMENT.jumpForce;
         this.maxJumpTime = 0.3; // Maximum time in seconds that jump can be held
         this.currentJumpTime = 0;
         this.isJumping = false;
         this.canJump = false;
         this.direction = 1; // 1 for right, -1 for left
-        this.state = 'idle'; // idle, running, jumping, falling, ducking, growing, shrinking, dead
+        this.state = 'idle'; // idle, running, jumping, falling, swimming, climbing, ducking, growing, shrinking, warping, dead
+        this.climbSpeed = 120; // Pixels per second up and down ladders and vines
+        this.bubbleTime = 0; // Time since the last bubbles while swimming
+        this.surface = config.game.physics.getMaterial(null); // Material of the ground underfoot
+        this.ground = null; // Collider or tile underfoot, null in the air
+        
+        // Dropping down through a one-way platform (down and jump)
+        this.dropThrough = false; // While set, one-way platforms don't hold the player up
+        this.dropThroughTime = 0; // Seconds left to fall clear of the platform
         
         // Power-up state
         this.powerupState = 'small'; // small, big, fire, invincible
@@ -42,6 +71,12 @@ export class Player extends Entity {
         this.blinkTime = 0;
         this.blinkInterval = 0.1; // seconds between blinks
         
+        // Warp state (moving into or out of a pipe or door)
+        this.warp = null;
+        this.warpPhase = null; // enter or exit
+        this.warpProgress = 0; // pixels moved through the warp so far
+        this.warpSpeed = 64; // pixels per second
+        
         // Animation states
         this.animations = {
             small: {
@@ -61,6 +96,14 @@ export class Player extends Entity {
                     frames: ['player_small_fall'],
                     frameDuration: 0.1
                 },
+                swimming: {
+                    frames: ['player_small_swim_1', 'player_small_swim_2'],
+                    frameDuration: 0.2
+                },
+                climbing: {
+                    frames: ['player_small_climb_1', 'player_small_climb_2'],
+                    frameDuration: 0.15
+                },
                 ducking: {
                     frames: ['player_small_duck'],
                     frameDuration: 0.1
@@ -87,6 +130,14 @@ export class Player extends Entity {
                     frames: ['player_big_fall'],
                     frameDuration: 0.1
                 },
+                swimming: {
+                    frames: ['player_big_swim_1', 'player_big_swim_2'],
+                    frameDuration: 0.2
+                },
+                climbing: {
+                    frames: ['player_big_climb_1', 'player_big_climb_2'],
+                    frameDuration: 0.15
+                },
                 ducking: {
                     frames: ['player_big_duck'],
                     frameDuration: 0.1
@@ -109,6 +160,14 @@ export class Player extends Entity {
                     frames: ['player_fire_fall'],
                     frameDuration: 0.1
                 },
+                swimming: {
+                    frames: ['player_fire_swim_1', 'player_fire_swim_2'],
+                    frameDuration: 0.2
+                },
+                climbing: {
+                    frames: ['player_fire_climb_1', 'player_fire_climb_2'],
+                    frameDuration: 0.15
+                },
                 ducking: {
                     frames: ['player_fire_duck'],
                     frameDuration: 0.1
@@ -131,10 +190,30 @@ export class Player extends Entity {
         this.stopDuck = this.stopDuck.bind(this);
         this.shoot = this.shoot.bind(this);
         this.getPowerup = this.getPowerup.bind(this);
+        this.bounce = this.bounce.bind(this);
+        this.swimStroke = this.swimStroke.bind(this);
+        this.startClimb = this.startClimb.bind(this);
+        this.stopClimb = this.stopClimb.bind(this);
+        this.handleClimbInput = this.handleClimbInput.bind(this);
+        this.findVine = this.findVine.bind(this);
+        this.canClimb = this.canClimb.bind(this);
         this.getHurt = this.getHurt.bind(this);
+        this.touchHazard = this.touchHazard.bind(this);
         this.die = this.die.bind(this);
         this.setAnimation = this.setAnimation.bind(this);
         this.updateState = this.updateState.bind(this);
+        this.enterWarp = this.enterWarp.bind(this);
+        this.exitWarp = this.exitWarp.bind(this);
+        this.updateWarp = this.updateWarp.bind(this);
+        this.stopWarp = this.stopWarp.bind(this);
+        this.isOnOneWayPlatform = this.isOnOneWayPlatform.bind(this);
+        this.startDropThrough = this.startDropThrough.bind(this);
+        this.isSliding = this.isSliding.bind(this);
+        this.slide = this.slide.bind(this);
+        this.onPlayerEnemy = this.onPlayerEnemy.bind(this);
+        this.onPlayerItem = this.onPlayerItem.bind(this);
+        this.onPlayerTrigger = this.onPlayerTrigger.bind(this);
+        this.onPlayerBlock = this.onPlayerBlock.bind(this);
     }
     
     /**
@@ -142,12 +221,39 @@ export class Player extends Entity {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
+        // Moving through a warp replaces input and physics until it's done
+        if (this.state === 'warping') {
+            this.updateWarp(deltaTime);
+            return;
+        }
+        
         // Handle player input
         this.handleInput(deltaTime);
         
         // Update player state based on physics
         this.updateState();
         
+        // Land on one-way platforms again once clear of the one dropped through
+        if (this.dropThroughTime > 0) {
+            this.dropThroughTime -= deltaTime;
+            this.dropThrough = this.dropThroughTime > 0;
+        }
+        
+        // Conveyors carry the player along
+        if (this.canJump && this.surface.conveyorSpeed) {
+            this.x += this.surface.conveyorSpeed * deltaTime;
+        }
+        
+        // Breathe out bubbles while swimming
+        if (this.inWater && this.state !== 'dead') {
+            this.bubbleTime += deltaTime;
+            
+            if (this.bubbleTime >= 0.8) {
+                this.bubbleTime = 0;
+                this.game.particleSystem.createEffect('bubble', this.x + this.width / 2, this.y + 8);
+            }
+        }
+        
         // Update invincibility timers
         if (this.invincibilityTime > 0) {
             this.invincibilityTime -= deltaTime;
@@ -187,6 +293,9 @@ export class Player extends Entity {
             }
         }
         
+        // No gravity while holding on to a ladder or vine
+        this.gravity = this.state !== 'climbing';
+        
         // Call parent update method for physics and animation
         super.update(deltaTime);
     }
@@ -204,18 +313,36 @@ export class Player extends Entity {
             return;
         }
         
-        // Horizontal movement
-        if (inputManager.isActionPressed('left')) {
-            this.velocityX = -this.moveSpeed;
+        // Climbing replaces walking and jumping until the player lets go
+        if (this.state === 'climbing') {
+            this.handleClimbInput();
+            return;
+        }
+        
+        // Grab on to a ladder or vine with up, or with down when off the ground
+        const climbInput = inputManager.isActionPressed('up') || (inputManager.isActionPressed('down') && !this.canJump);
+        if (climbInput && this.canClimb()) {
+            this.startClimb();
+            return;
+        }
+        
+        // Horizontal movement, eased by the surface's control so ice carries momentum
+        const surface = this.surface;
+        const speed = this.moveSpeed * surface.speedScale;
+        
+        if (this.isSliding()) {
+            this.slide(deltaTime);
+        } else if (inputManager.isActionPressed('left')) {
+            this.velocityX += (-speed - this.velocityX) * surface.control;
             this.direction = -1;
             this.flipX = true;
         } else if (inputManager.isActionPressed('right')) {
-            this.velocityX = this.moveSpeed;
+            this.velocityX += (speed - this.velocityX) * surface.control;
             this.direction = 1;
             this.flipX = false;
         } else {
             // Apply friction to slow down
-            this.velocityX *= this.friction;
+            this.velocityX *= surface.friction !== null ? surface.friction : this.friction;
             
             // Stop completely if velocity is very low
             if (Math.abs(this.velocityX) < 10) {
@@ -223,9 +350,13 @@ export class Player extends Entity {
             }
         }
         
-        // Jumping
+        // Jumping, or dropping through a one-way platform with down held
         if (inputManager.isActionJustPressed('jump')) {
-            this.jump();
+            if (inputManager.isActionPressed('down') && this.isOnOneWayPlatform()) {
+                this.startDropThrough();
+            } else {
+                this.jump();
+            }
         } else if (inputManager.isActionJustReleased('jump')) {
             this.stopJump();
         }
@@ -264,17 +395,42 @@ export class Player extends Entity {
         this.canJump = false;
         
         // Check for collision with ground
-        const groundHit = this.game.physics.raycast(
+        let groundHit = this.game.physics.raycast(
             this.x + this.width / 2,
-            this.y + this.height,
-            0,
-            5,
-            1 // Collision mask for terrain
+            this.y + this.height - GROUND_CHECK_HEIGHT,
+            this.x + this.width / 2,
+            this.y + this.height + 5,
+            this.game.physics.masks.TERRAIN
         );
         
+        // One-way platforms being dropped or jumped through don't count as ground
+        if (groundHit && groundHit.collider.oneWay && (this.dropThrough || this.velocityY < 0)) {
+            groundHit = null;
+        }
+        
+        // Slopes hold the player up by the high side of their feet, which the ray can miss
+        if (this.slope) {
+            groundHit = { collider: this.slope };
+        }
+        this.ground = groundHit ? groundHit.collider : null;
+        
+        // Surface material underfoot; in the air only momentum-carrying surfaces keep their hold
+        const physics = this.game.physics;
+        if (groundHit) {
+            this.surface = physics.getMaterial(groundHit.collider);
+        } else if (!this.surface.carryMomentum) {
+            this.surface = physics.getMaterial(null);
+        }
+        
         if (groundHit) {
             this.canJump = true;
             
+            // Springboards launch the player on landing, higher with jump held
+            if (!wasOnGround && this.velocityY > 0 && this.surface.launch > 0 && this.state !== 'climbing') {
+                this.bounce();
+                return;
+            }
+            
             // If we just landed, play sound and create dust effect
             if (!wasOnGround && this.velocityY > 0) {
                 this.game.audioManager.playSound('sfx-land');
@@ -294,12 +450,17 @@ export class Player extends Entity {
         } else if (this.state === 'growing' || this.state === 'shrinking') {
             // Keep transformation state until animation completes
             return;
+        } else if (this.state === 'climbing') {
+            // Keep climbing until the player lets go or climbs off the end
+            return;
         } else if (this.state === 'ducking' && this.canJump) {
             // Keep ducking state if on ground
             return;
         } else if (!this.canJump) {
-            // In the air
-            if (this.velocityY < 0) {
+            // In the air or in water
+            if (this.inWater) {
+                this.setState('swimming');
+            } else if (this.velocityY < 0) {
                 this.setState('jumping');
             } else {
                 this.setState('falling');
@@ -345,12 +506,48 @@ export class Player extends Entity {
         this.frameTime = 0;
     }
     
+    /**
+     * Check whether the player is standing on a one-way platform
+     * @returns {boolean} - Whether the ground underfoot is a one-way tile or platform
+     */
+    isOnOneWayPlatform() {
+        if (!this.canJump) return false;
+        if (this.ground && this.ground.oneWay) return true;
+        
+        // Moving platforms are entities rather than colliders, so check them directly
+        return this.game.entityManager.getEntitiesByType('platform')
+            .some(platform => platform.oneWay && platform.isEntityOnPlatform(this));
+    }
+    
+    /**
+     * Drop down through the one-way platform underfoot
+     */
+    startDropThrough() {
+        this.stopDuck();
+        
+        this.dropThrough = true;
+        this.dropThroughTime = DROP_THROUGH_TIME;
+        this.canJump = false;
+        this.ground = null;
+        
+        // Start below the platform's top so it can't catch the player again straight away
+        this.y += 2;
+        this.velocityY = Math.max(this.velocityY, 0);
+        this.setState('falling');
+    }
+    
     /**
      * Make the player jump
+     * In water, jumping swims a stroke instead
      */
     jump() {
+        if (this.inWater) {
+            this.swimStroke();
+            return;
+        }
+        
         if (this.canJump) {
-            this.velocityY = -this.jumpForce;
+            this.velocityY = -this.jumpForce * this.surface.jumpScale;
             this.isJumping = true;
             this.currentJumpTime = 0;
             this.canJump = false;
@@ -366,6 +563,222 @@ export class Player extends Entity {
         }
     }
     
+    /**
+     * Launch off a springboard
+     * Holding jump while landing gives the higher launch
+     */
+    bounce() {
+        const held = this.game.inputManager.isActionPressed('jump');
+        
+        this.velocityY = -this.jumpForce * (held ? this.surface.heldLaunch : this.surface.launch);
+        this.isJumping = false;
+        this.canJump = false;
+        
+        // Play spring sound
+        this.game.audioManager.playSound('sfx-spring');
+        
+        this.setState('jumping');
+    }
+    
+    /**
+     * Swim upwards with a stroke
+     * Strokes can be repeated at any time, unlike jumps which need the ground
+     */
+    swimStroke() {
+        this.velocityY = -this.jumpForce * this.game.physics.water.strokeForce;
+        this.isJumping = false;
+        this.canJump = false;
+        
+        // Play swim sound
+        this.game.audioManager.playSound('sfx-swim');
+        
+        this.setState('swimming');
+    }
+    
+    /**
+     * Handle entering or leaving water
+     * Swimming up out of the water gives a hop, so the player can climb onto the bank
+     * @param {boolean} entered - True when entering water, false when leaving it
+     */
+    onWaterChange(entered) {
+        super.onWaterChange(entered);
+        
+        if (!entered && this.velocityY < 0 && this.state !== 'dead') {
+            this.velocityY = -this.jumpForce * 0.6;
+        }
+        
+        this.bubbleTime = 0;
+    }
+    
+    /**
+     * Grab on to the ladder or vine the player is overlapping
+     * Vines pull the player onto their stem
+     */
+    startClimb() {
+        const vine = this.findVine();
+        if (vine) {
+            this.x = vine.x + (vine.width - this.width) / 2;
+        }
+        
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.isJumping = false;
+        this.setState('climbing');
+    }
+    
+    /**
+     * Let go of a ladder or vine
+     */
+    stopClimb() {
+        this.setState(this.canJump ? 'idle' : 'falling');
+    }
+    
+    /**
+     * Handle input while climbing
+     * Up and down climb, left and right shuffle sideways, and jump lets go with a jump
+     */
+    handleClimbInput() {
+        const inputManager = this.game.inputManager;
+        
+        // Jump off; up is also the jump key, so only jumps without up held count
+        if (inputManager.isActionJustPressed('jump') && !inputManager.isActionPressed('up')) {
+            this.stopClimb();
+            this.canJump = true;
+            this.jump();
+            return;
+        }
+        
+        const vertical = (inputManager.isActionPressed('down') ? 1 : 0) - (inputManager.isActionPressed('up') ? 1 : 0);
+        const horizontal = (inputManager.isActionPressed('right') ? 1 : 0) - (inputManager.isActionPressed('left') ? 1 : 0);
+        
+        // Climbing down onto the ground lets go
+        if (vertical > 0 && this.canJump) {
+            this.stopClimb();
+            return;
+        }
+        
+        // Climbing off the end; off the top gives a hop onto the ledge above
+        if (!this.canClimb()) {
+            this.stopClimb();
+            
+            if (vertical < 0) {
+                this.velocityY = -this.jumpForce * 0.6;
+            }
+            return;
+        }
+        
+        this.velocityX = horizontal * this.climbSpeed * 0.5;
+        this.velocityY = vertical * this.climbSpeed;
+        
+        if (horizontal !== 0) {
+            this.direction = horizontal;
+            this.flipX = horizontal < 0;
+        }
+        
+        // Hold still on the current frame when not moving
+        if (horizontal === 0 && vertical === 0) {
+            this.frameTime = 0;
+        }
+    }
+    
+    /**
+     * Find the vine the player is holding or could grab
+     * @returns {Vine|null} - A vine under the player's center, or null if there's none
+     */
+    findVine() {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+        
+        return this.game.entityManager.getEntitiesByType('vine').find(vine =>
+            centerX > vine.x - 8 && centerX < vine.x + vine.width + 8 &&
+            centerY > vine.y && centerY < vine.y + vine.height
+        ) || null;
+    }
+    
+    /**
+     * Check whether the player is overlapping something climbable
+     * @returns {boolean} - Whether there's a ladder cell or a vine under the player's center
+     */
+    canClimb() {
+        return this.game.physics.isClimbable(this) || this.findVine() !== null;
+    }
+    
+    /**
+     * Start moving into a warp
+     * The game manager takes over once the player is fully inside
+     * @param {Warp} warp - The warp being entered
+     */
+    enterWarp(warp) {
+        this.startWarp(warp, 'enter');
+    }
+    
+    /**
+     * Start coming out of a warp
+     * @param {Warp} warp - The warp the player comes out of
+     */
+    exitWarp(warp) {
+        const position = warp.getExitPosition(this);
+        this.x = position.x;
+        this.y = position.y;
+        
+        this.startWarp(warp, 'exit');
+    }
+    
+    /**
+     * Put the player into the warping state
+     * @param {Warp} warp - The warp being used
+     * @param {string} phase - enter or exit
+     */
+    startWarp(warp, phase) {
+        this.warp = warp;
+        this.warpPhase = phase;
+        this.warpProgress = 0;
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.isJumping = false;
+        this.setState('warping');
+        
+        // Play pipe sound
+        this.game.audioManager.playSound('sfx-pipe');
+    }
+    
+    /**
+     * Move the player through the current warp
+     * Entering moves in the warp's direction, exiting moves back out against it
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateWarp(deltaTime) {
+        const movement = this.warp.getMovement();
+        const distance = movement.x !== 0 ? this.width : this.height;
+        const sign = this.warpPhase === 'enter' ? 1 : -1;
+        const step = Math.min(this.warpSpeed * deltaTime, distance - this.warpProgress);
+        
+        this.x += movement.x * sign * step;
+        this.y += movement.y * sign * step;
+        this.warpProgress += step;
+        this.updateCollider();
+        
+        if (this.warpProgress < distance) return;
+        
+        if (this.warpPhase === 'enter') {
+            // Fully inside, move to wherever the warp leads
+            this.game.gameManager.warpTo(this.warp);
+        } else {
+            // Fully out, hand control back to the player
+            this.stopWarp();
+        }
+    }
+    
+    /**
+     * Leave the warping state and hand control back to the player
+     */
+    stopWarp() {
+        this.warp = null;
+        this.warpPhase = null;
+        this.warpProgress = 0;
+        this.setState('idle');
+    }
+    
     /**
      * Stop the jump (called when jump button is released)
      */
@@ -402,7 +815,7 @@ export class Player extends Entity {
      */
     createRunDustEffect() {
         // Only create run dust occasionally to avoid too many particles
-        if (Math.random() < 0.2) {
+        if (this.game.random.next() < 0.2) {
             // Use particle system to create run dust effect
             this.game.particleSystem.createEffect(
                 'runDust',
@@ -416,7 +829,9 @@ export class Player extends Entity {
      * Make the player duck
      */
     duck() {
-        if (this.canJump && this.powerupState !== 'small') {
+        // Small players can only duck to slide down slopes
+        const onSlope = this.ground !== null && this.ground.slope === true;
+        if (this.canJump && (this.powerupState !== 'small' || onSlope)) {
             this.setState('ducking');
             
             // Adjust collider for ducking
@@ -428,6 +843,27 @@ export class Player extends Entity {
         }
     }
     
+    /**
+     * Check whether the player is sliding down a slope
+     * @returns {boolean} - Whether the player is ducking on a slope
+     */
+    isSliding() {
+        return this.state === 'ducking' && this.ground !== null && this.ground.slope === true;
+    }
+    
+    /**
+     * Speed up down the slope underfoot, which takes the place of walking and friction
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    slide(deltaTime) {
+        // Slopes rising to the right slide the player left
+        const downhill = this.ground.direction === 'up' ? -1 : 1;
+        
+        this.velocityX += downhill * SLIDE_ACCELERATION * this.ground.gradient * deltaTime;
+        this.direction = downhill;
+        this.flipX = downhill < 0;
+    }
+    
     /**
      * Stop ducking
      */
@@ -471,58 +907,116 @@ export class Player extends Entity {
             this.setState('shooting');
             
             // Return to previous state after a short delay
-            setTimeout(() => {
+            this.game.schedule(() => {
                 this.setState(currentState);
-            }, 200);
+            }, 0.2);
         }
     }
     
     /**
-     * Handle collision with another entity
-     * @param {Object} other - The entity collided with
-     * @param {Object} collision - Collision data
+     * Handle collision with level geometry
+     * Hazard tiles hurt: solid ones like spikes when run into, others like lava when sunk into
+     * @param {Object} other - The tile or collider collided with
+     * @param {Object} collision - Contact, { other, side, normal, penetration, time } (see Physics)
      */
     onCollision(other, collision) {
         // Call parent collision handler for basic physics response
         super.onCollision(other, collision);
         
-        // Handle specific collisions based on entity type
-        switch (other.type) {
-            case 'enemy':
-                this.handleEnemyCollision(other, collision);
-                break;
-                
-            case 'powerup':
-                this.getPowerup(other.powerupType);
-                other.collect();
-                break;
-                
-            case 'coin':
-                this.game.gameManager.addCoin();
-                other.collect();
-                break;
-                
+        // Hazard tiles
+        if (other.hazard) {
+            this.touchHazard(other);
+        }
+    }
+    
+    /**
+     * Handle touching an enemy
+     * @param {Object} enemy - The enemy entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onPlayerEnemy(enemy, collision) {
+        if (enemy.isDefeated) return;
+        
+        this.handleEnemyCollision(enemy, collision);
+    }
+    
+    /**
+     * Handle touching a coin or powerup
+     * @param {Object} item - The coin or powerup entity
+     */
+    onPlayerItem(item) {
+        if (item.collected) return;
+        
+        if (item.type === 'powerup') {
+            this.getPowerup(item.powerupType);
+        } else if (item.type === 'coin') {
+            this.game.gameManager.addCoin();
+        }
+        
+        item.collect();
+    }
+    
+    /**
+     * Handle touching a checkpoint or goal
+     * Warps check for the player themselves (see Warp.update)
+     * @param {Object} trigger - The trigger entity
+     */
+    onPlayerTrigger(trigger) {
+        switch (trigger.type) {
             case 'checkpoint':
-                this.game.gameManager.setCheckpoint(other.x, other.y);
-                other.activate();
+                if (!trigger.activated) {
+                    this.game.gameManager.setCheckpoint(trigger.x, trigger.y);
+                    trigger.activate();
+                }
                 break;
                 
             case 'goal':
-                this.game.gameManager.levelComplete();
-                break;
-                
-            case 'block':
-                // Check if player is hitting the block from below
-                if (collision.normal.y > 0 && this.velocityY < 0) {
-                    // Player is moving upward and hit the block from below
-                    if (other.hit) {
-                        other.hit();
-                    }
-                }
+                trigger.reach(this);
                 break;
         }
     }
     
+    /**
+     * Handle touching a platform; the player stands on it and bumps into it like a tile
+     * One-way platforms only hold the player up when landing on them from above, and not
+     * while dropping down through them
+     * @param {Object} platform - The platform entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onPlayerPlatform(platform, collision) {
+        if (platform.oneWay && (this.dropThrough || collision.side !== 'bottom' || this.velocityY < 0)) return;
+        
+        this.onCollision(platform, collision);
+    }
+    
+    /**
+     * Handle touching a saw blade or kill zone
+     * @param {Object} hazard - The hazard entity
+     */
+    onPlayerHazard(hazard) {
+        this.touchHazard(hazard);
+    }
+    
+    /**
+     * Handle touching a block
+     * @param {Object} block - The block entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onPlayerBlock(block, collision) {
+        const fromBelow = collision.normal.y > 0 && this.velocityY < 0;
+        
+        // Hidden blocks can be walked and fallen through until found
+        if (block.isHidden && !fromBelow) return;
+        
+        // Check if player is hitting the block from below
+        if (fromBelow) {
+            // Player is moving upward and hit the block from below
+            block.hit(this);
+        }
+        
+        this.onCollision(block, collision);
+    }
+    
     /**
      * Handle collision with an enemy
      * @param {Object} enemy - The enemy entity
@@ -579,9 +1073,9 @@ export class Player extends Entity {
                     this.height = 64;
                     
                     // After growth animation completes
-                    setTimeout(() => {
+                    this.game.schedule(() => {
                         this.setState('idle');
-                    }, 500);
+                    }, 0.5);
                 }
                 break;
                 
@@ -649,9 +1143,41 @@ export class Player extends Entity {
             this.setState('shrinking');
             
             // After shrink animation completes
-            setTimeout(() => {
+            this.game.schedule(() => {
                 this.setState('idle');
-            }, 500);
+            }, 0.5);
+        }
+    }
+    
+    /**
+     * Handle touching a hazard
+     * Hurting hazards knock the player back up out of them; killing ones end the life
+     * straight away, even with star power
+     * @param {Object} hazard - Hazard entity or hazard tile rectangle
+     */
+    touchHazard(hazard) {
+        if (this.state === 'dead' || this.state === 'warping') return;
+        
+        const definition = getHazardDefinition(hazard);
+        const kills = definition.damage === 'kill';
+        
+        // Hurting hazards respect invincibility like enemies do
+        if (!kills && (this.isInvincible || this.hurtInvincibilityTime > 0)) return;
+        
+        // Hazard effect and sound
+        if (definition.effect) {
+            this.game.particleSystem.createEffect(definition.effect, this.x + this.width / 2, this.y + this.height);
+        }
+        
+        if (definition.sound) {
+            this.game.audioManager.playSound(definition.sound);
+        }
+        
+        if (kills) {
+            this.die();
+        } else {
+            this.getHurt();
+            this.velocityY = -this.jumpForce * 0.5;
         }
     }
     
@@ -666,14 +1192,29 @@ export class Player extends Entity {
         this.velocityY = -this.jumpForce * 0.5;
         this.gravity = true;
         this.solid = false;
+        this.collisionMask = 0; // Fall out of the level
         
         // Play death sound
         this.game.audioManager.playSound('sfx-death');
         
         // Notify game manager
-        setTimeout(() => {
+        this.game.schedule(() => {
             this.game.gameManager.loseLife();
-        }, 1500);
+        }, 1.5);
+    }
+    
+    /**
+     * Get the light the player gives off in dark stages
+     * @returns {Object|null} - Star glow while star power lasts, otherwise null
+     */
+    getLight() {
+        if (this.powerupState !== 'invincible') return null;
+        
+        return {
+            x: this.x + this.width / 2,
+            y: this.y + this.height / 2,
+            ...STAR_LIGHT
+        };
     }
     
     /**
@@ -5,13 +5,16 @@
 
 import { Entity } from './entity.js';
 
+// Glow of a star, and of the player while its power lasts
+export const STAR_LIGHT = { radius: 112, color: '255, 230, 120' };
+
 export class Powerup extends Entity {
     constructor(config) {
         // Call parent constructor with extended config
         super({
             ...config,
             type: 'powerup',
-            collisionLayer: 4, // Collectible layer
+            collisionLayer: config.game.physics.layers.ITEM,
             solid: false, // Powerups don't block movement
             gravity: true, // Powerups are affected by gravity
             width: 24,
@@ -28,6 +31,12 @@ export class Powerup extends Entity {
         this.emergeSpeed = 50; // Speed at which powerup emerges from block
         this.isEmerging = config.isEmerging || false;
         this.initialY = this.y;
+        this.canJump = false; // On the ground, where stars bounce
+        
+        // Stars light up dark stages
+        if (this.powerupType === 'star') {
+            this.light = STAR_LIGHT;
+        }
         
         // Set up animation based on powerup type
         this.setupAnimation();
@@ -143,30 +152,31 @@ export class Powerup extends Entity {
      * Check for obstacles or edges and change direction if needed
      */
     checkForObstacles() {
-        // Check for wall in front of powerup
-        const wallCheckX = this.direction > 0 ? 
-            this.x + this.width + 5 : 
-            this.x - 5;
+        const physics = this.game.physics;
+        const lookahead = 5;
         
-        const wallHit = this.game.physics.raycast(
-            wallCheckX,
-            this.y + this.height / 2,
-            this.direction,
-            5,
-            1 // Collision mask for terrain
+        // Check for wall in front of powerup, from its leading edge
+        const frontX = this.direction > 0 ? this.x + this.width : this.x;
+        const middleY = this.y + this.height / 2;
+        
+        const wallHit = physics.raycast(
+            frontX,
+            middleY,
+            frontX + this.direction * lookahead,
+            middleY,
+            physics.masks.TERRAIN
         );
         
-        // Check for edge in front of powerup
-        const edgeCheckX = this.direction > 0 ? 
-            this.x + this.width + 5 : 
-            this.x - 5;
+        // Check for edge in front of powerup, starting a little above its feet
+        const edgeCheckX = frontX + this.direction * lookahead;
+        const footY = this.y + this.height;
         
-        const groundHit = this.game.physics.raycast(
+        const groundHit = physics.raycast(
             edgeCheckX,
-            this.y + this.height + 5,
-            0,
-            10,
-            1 // Collision mask for terrain
+            footY - lookahead,
+            edgeCheckX,
+            footY + 10,
+            physics.masks.TERRAIN
         );
         
         // If there's a wall ahead or no ground ahead, reverse direction
@@ -175,6 +185,39 @@ export class Powerup extends Entity {
         }
     }
     
+    /**
+     * Handle collision with level geometry
+     * Powerups don't block anything, but still land on the ground
+     * @param {Object} other - The tile or entity collided with
+     * @param {Object} collision - Contact, { other, side, normal, penetration, time } (see Physics)
+     */
+    onCollision(other, collision) {
+        if (collision.side === 'bottom' && (other.solid || other.oneWay)) {
+            this.velocityY = 0;
+            this.canJump = true;
+        }
+    }
+    
+    /**
+     * Handle landing on a platform
+     * @param {Object} platform - The platform entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onItemPlatform(platform, collision) {
+        this.onCollision(platform, collision);
+    }
+    
+    /**
+     * Handle landing on a block
+     * @param {Object} block - The block entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onItemBlock(block, collision) {
+        if (block.isHidden) return;
+        
+        this.onCollision(block, collision);
+    }
+    
     /**
      * Collect the powerup
      */
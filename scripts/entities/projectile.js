@@ -11,7 +11,7 @@ export class Projectile extends Entity {
         super({
             ...config,
             type: 'projectile',
-            collisionLayer: 8, // Projectile layer
+            collisionLayer: config.game.physics.layers.PROJECTILE,
             solid: false, // Projectiles don't block movement
             gravity: config.gravity !== undefined ? config.gravity : true, // Most projectiles are affected by gravity
             width: config.width || 16,
@@ -33,6 +33,11 @@ export class Projectile extends Entity {
         this.penetrating = config.penetrating || false; // Whether projectile can hit multiple targets
         this.hitEntities = []; // Track entities that have been hit (for penetrating projectiles)
         
+        // Fireballs light up dark stages
+        if (this.projectileType === 'fireball') {
+            this.light = { radius: 72, color: '255, 140, 40' };
+        }
+        
         // Set initial velocity
         this.velocityX = this.direction * this.speed;
         
@@ -105,7 +110,7 @@ export class Projectile extends Entity {
      */
     createTrailEffect(deltaTime) {
         // Only create trail effects occasionally
-        if (Math.random() < 0.3) {
+        if (this.game.random.next() < 0.3) {
             let trailColor;
             
             switch (this.projectileType) {
@@ -125,8 +130,8 @@ export class Projectile extends Entity {
             // Use particle system to create trail effect
             this.game.particleSystem.createEffect(
                 'fireballTrail',
-                this.x + Math.random() * this.width,
-                this.y + Math.random() * this.height,
+                this.x + this.game.random.next() * this.width,
+                this.y + this.game.random.next() * this.height,
                 {
                     color: trailColor,
                     size: { width: this.width / 2, height: this.height / 2 },
@@ -138,50 +143,85 @@ export class Projectile extends Entity {
     
     /**
      * Handle collision with terrain
-     * @param {Object} collision - Collision information
+     * @param {Object} other - The tile or collider collided with
+     * @param {Object} collision - Contact, { other, side, normal, penetration, time } (see Physics)
      */
-    onCollision(collision) {
-        // Handle collision with terrain
-        if (collision.other.collisionLayer === 1) { // Terrain layer
-            if (collision.direction === 'bottom' && this.projectileType === 'fireball') {
-                // Bounce on ground for fireballs
-                this.velocityY = -this.bounceHeight;
-                this.bounceCount++;
-                
-                // Play bounce sound
-                this.game.audioManager.playSound('sfx-bounce');
-                
-                // Destroy after max bounces
-                if (this.bounceCount >= this.maxBounces) {
-                    this.explode();
-                }
-            } else {
-                // Hit wall or ceiling, explode
+    onCollision(other, collision) {
+        if (other.collisionLayer & this.game.physics.masks.TERRAIN) {
+            this.hitTerrain(collision);
+        }
+    }
+    
+    /**
+     * Bounce off the ground, or explode against walls and ceilings
+     * @param {Object} collision - Contact, see Physics
+     */
+    hitTerrain(collision) {
+        if (collision.side === 'bottom' && this.projectileType === 'fireball') {
+            // Bounce on ground for fireballs
+            this.velocityY = -this.bounceHeight;
+            this.bounceCount++;
+            
+            // Play bounce sound
+            this.game.audioManager.playSound('sfx-bounce');
+            
+            // Destroy after max bounces
+            if (this.bounceCount >= this.maxBounces) {
                 this.explode();
             }
+        } else {
+            // Hit wall or ceiling, explode
+            this.explode();
         }
+    }
+    
+    /**
+     * Handle touching a moving platform
+     * @param {Object} platform - The platform entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onProjectilePlatform(platform, collision) {
+        this.hitTerrain(collision);
+    }
+    
+    /**
+     * Handle touching a block
+     * @param {Object} block - The block entity
+     * @param {Object} collision - Contact, see Physics
+     */
+    onProjectileBlock(block, collision) {
+        if (block.isHidden) return;
         
-        // Handle collision with entities based on projectile type
-        if (this.projectileType === 'fireball') {
-            // Player fireballs hit enemies
-            if (collision.other.type === 'enemy' && !this.hitEntities.includes(collision.other.id)) {
-                collision.other.hit(this.damage, this);
-                this.hitEntities.push(collision.other.id);
-                
-                if (!this.penetrating) {
-                    this.explode();
-                }
-            }
-        } else {
-            // Enemy projectiles hit player
-            if (collision.other.type === 'player' && !this.hitEntities.includes(collision.other.id)) {
-                collision.other.hurt(this.damage);
-                this.hitEntities.push(collision.other.id);
-                this.explode();
-            }
+        this.hitTerrain(collision);
+    }
+    
+    /**
+     * Handle touching an enemy; player fireballs defeat them
+     * @param {Object} enemy - The enemy entity
+     */
+    onProjectileEnemy(enemy) {
+        if (this.projectileType !== 'fireball' || enemy.isDefeated || this.hitEntities.includes(enemy.id)) return;
+        
+        enemy.defeat();
+        this.hitEntities.push(enemy.id);
+        
+        if (!this.penetrating) {
+            this.explode();
         }
     }
     
+    /**
+     * Handle touching the player; enemy projectiles hurt them
+     * @param {Object} player - The player entity
+     */
+    onProjectilePlayer(player) {
+        if (this.projectileType === 'fireball' || this.hitEntities.includes(player.id)) return;
+        
+        player.getHurt();
+        this.hitEntities.push(player.id);
+        this.explode();
+    }
+    
     /**
      * Explode the projectile
      */
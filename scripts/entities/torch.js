@@ -0,0 +1,64 @@
+/**
+ * Torch Entity
+ * A wall torch that lights up dark castle and cave stages
+ */
+
+import { Entity } from './entity.js';
+
+const TORCH_LIGHT = { radius: 144, color: '255, 150, 50' };
+
+export class Torch extends Entity {
+    constructor(config) {
+        // Call parent constructor with extended config
+        super({
+            ...config,
+            type: 'torch',
+            solid: false, // Torches are decoration
+            gravity: false, // Torches are mounted on walls
+            width: 16,
+            height: 32,
+            light: TORCH_LIGHT,
+            zIndex: 3 // Render behind everything that moves
+        });
+
+        // Flicker state, offset per torch so they don't flicker in step
+        this.flickerTime = this.game.random.next() * 10;
+    }
+
+    /**
+     * Update torch state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.flickerTime += deltaTime;
+    }
+
+    /**
+     * Get the torch's flickering light
+     * @returns {Object|null} - Light with a radius that wavers over time
+     */
+    getLight() {
+        const light = super.getLight();
+        if (!light) return null;
+
+        // Top of the torch, where the flame is
+        light.y = this.y + 6;
+        light.radius *= 1 + 0.05 * Math.sin(this.flickerTime * 11) + 0.03 * Math.sin(this.flickerTime * 23);
+
+        return light;
+    }
+
+    /**
+     * Render the torch
+     * @param {Object} renderer - Renderer instance
+     */
+    render(renderer) {
+        // Handle
+        renderer.drawRect(this.x + 5, this.y + 12, 6, 20, '#5C3A1E');
+
+        // Flame
+        const flicker = Math.sin(this.flickerTime * 17) * 2;
+        renderer.drawRect(this.x + 2, this.y + flicker, 12, 14 - flicker, '#FF8C00');
+        renderer.drawRect(this.x + 5, this.y + 4 + flicker, 6, 8 - flicker, '#FFD700');
+    }
+}
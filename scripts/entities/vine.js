@@ -0,0 +1,91 @@
+/**
+ * Vine Entity
+ * A climbable vine that grows up out of a block
+ *
+ * Vines with a target area work like a warp: climbing off the top takes the
+ * player there, usually to a sky bonus area.
+ */
+
+import { Warp } from './warp.js';
+
+const VINE_WIDTH = 16;
+const GROW_SPEED = 96; // Pixels per second
+
+export class Vine extends Warp {
+    constructor(config) {
+        // Vines start with no height at the top of their block and grow upward
+        super({
+            ...config,
+            x: config.x - VINE_WIDTH / 2,
+            y: config.y,
+            width: VINE_WIDTH,
+            height: 1,
+            warpType: 'vine',
+            direction: 'up'
+        });
+
+        this.type = 'vine';
+        this.climbable = true;
+        this.zIndex = 4; // Render behind blocks so it grows out of them
+
+        // Vine-specific properties
+        this.bottom = config.y;
+        this.length = config.length || config.y;
+        this.isGrowing = true;
+    }
+
+    /**
+     * Get the movement for climbing off the top of the vine
+     * @returns {Object} - { x, y, action } unit movement and the input that climbs through
+     */
+    getMovement() {
+        return { x: 0, y: -1, action: 'up' };
+    }
+
+    /**
+     * Update vine state
+     * Grows until it reaches its full length, then leads on like a warp
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.isGrowing) {
+            this.height = Math.min(this.length, this.height + GROW_SPEED * deltaTime);
+            this.y = this.bottom - this.height;
+            this.isGrowing = this.height < this.length;
+            this.updateCollider();
+        }
+
+        super.update(deltaTime);
+    }
+
+    /**
+     * Check whether the player can climb off the top of the vine
+     * @param {Object} player - Player entity
+     * @returns {boolean} - Whether the player is climbing at the top of the grown vine and holding up
+     */
+    canEnter(player) {
+        if (this.isGrowing || (!this.targetArea && !this.targetLevel)) return false;
+        if (player.state !== 'climbing' || !this.game.inputManager.isActionPressed('up')) return false;
+
+        return player.y <= this.y + 8 && player.findVine() === this;
+    }
+
+    /**
+     * Render the vine
+     * @param {Object} renderer - Renderer instance
+     */
+    render(renderer) {
+        renderer.drawRect(this.x + VINE_WIDTH / 2 - 2, this.y, 4, this.height, '#2E8B57');
+
+        // Leaves on alternating sides
+        for (let leafY = this.bottom - 16; leafY >= this.y; leafY -= 16) {
+            const side = Math.round((this.bottom - leafY) / 16) % 2 === 0 ? 0 : VINE_WIDTH / 2;
+            renderer.drawRect(this.x + side, leafY, VINE_WIDTH / 2, 6, '#3CB371');
+        }
+
+        // Render climbable area in debug mode
+        if (this.game.debug) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(0, 255, 0, 0.3)');
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Warp Entity
+ * A pipe, door or vine top that takes the player to a sub-area or another level
+ */
+
+import { Entity } from './entity.js';
+
+// How each entry direction moves the player, and which input enters it
+// Up is the jump key, so pipes above the player are entered by jumping into them
+const WARP_DIRECTIONS = {
+    down: { x: 0, y: 1, action: 'down' },
+    up: { x: 0, y: -1, action: 'jump' },
+    left: { x: -1, y: 0, action: 'left' },
+    right: { x: 1, y: 0, action: 'right' }
+};
+
+export class Warp extends Entity {
+    constructor(config) {
+        // Call parent constructor with extended config
+        super({
+            ...config,
+            type: 'warp',
+            collisionLayer: config.game.physics.layers.TRIGGER,
+            solid: false, // The pipe body is level geometry; this is its opening
+            gravity: false,
+            width: config.width || 64,
+            height: config.height || 64,
+            zIndex: 15 // Render above the player so it disappears into the pipe
+        });
+
+        // Warp-specific properties
+        this.id = config.id || null;
+        this.warpType = config.warpType || 'pipe'; // pipe, door or vine
+        this.direction = WARP_DIRECTIONS[config.direction] ? config.direction : 'down';
+        this.targetArea = config.targetArea || null;
+        this.targetLevel = config.targetLevel || null;
+        this.targetWarp = config.targetWarp || null;
+        this.locked = config.locked || false; // Locked warps open through a trigger
+
+        // Bind methods
+        this.canEnter = this.canEnter.bind(this);
+        this.getExitPosition = this.getExitPosition.bind(this);
+        this.unlock = this.unlock.bind(this);
+    }
+
+    /**
+     * Unlock the warp so the player can enter it
+     */
+    unlock() {
+        if (!this.locked) return;
+
+        this.locked = false;
+        this.game.audioManager.playSound('sfx-pipe');
+    }
+
+    /**
+     * Get the movement for this warp's direction
+     * @returns {Object} - { x, y, action } unit movement and the input that enters the warp
+     */
+    getMovement() {
+        return WARP_DIRECTIONS[this.direction];
+    }
+
+    /**
+     * Update warp state
+     * Enters the warp when the player is lined up with the opening and holds the warp's direction
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        const player = this.game.gameManager.player;
+
+        if (player && this.canEnter(player)) {
+            player.enterWarp(this);
+        }
+    }
+
+    /**
+     * Check whether the player can enter the warp
+     * @param {Object} player - Player entity
+     * @returns {boolean} - Whether the player is at the opening and holding the warp's direction
+     */
+    canEnter(player) {
+        if (this.locked || (!this.targetArea && !this.targetLevel)) return false;
+        if (player.state === 'dead' || player.state === 'warping') return false;
+        if (!this.game.inputManager.isActionPressed(this.getMovement().action)) return false;
+
+        const centerX = player.x + player.width / 2;
+        const bottom = player.y + player.height;
+
+        switch (this.direction) {
+            case 'down':
+                // Standing on top of the pipe, over its opening
+                return player.canJump &&
+                    centerX > this.x && centerX < this.x + this.width &&
+                    Math.abs(bottom - this.y) <= 8;
+            case 'up':
+                // Jumping into the opening from below
+                return centerX > this.x && centerX < this.x + this.width &&
+                    Math.abs(player.y - (this.y + this.height)) <= 8;
+            default:
+                // Walking into the side of a pipe or through a door
+                return player.canJump &&
+                    bottom > this.y && player.y < this.y + this.height &&
+                    player.x < this.x + this.width && player.x + player.width > this.x;
+        }
+    }
+
+    /**
+     * Get where a player coming out of this warp starts its exit animation
+     * The player starts inside the opening and moves out against the entry direction
+     * @param {Object} player - Player entity
+     * @returns {Object} - { x, y } player position
+     */
+    getExitPosition(player) {
+        const x = this.x + (this.width - player.width) / 2;
+
+        switch (this.direction) {
+            case 'down':
+                return { x, y: this.y };
+            case 'up':
+                return { x, y: this.y + this.height - player.height };
+            case 'left':
+                return { x: this.x, y: this.y + this.height - player.height };
+            default:
+                return { x: this.x + this.width - player.width, y: this.y + this.height - player.height };
+        }
+    }
+
+    /**
+     * Render the warp
+     * @param {Object} renderer - Renderer instance
+     */
+    render(renderer) {
+        if (this.warpType === 'door') {
+            renderer.drawRect(this.x, this.y, this.width, this.height, '#5C3317', {
+                stroke: '#2E1A0B',
+                lineWidth: 2
+            });
+
+            // Door knob
+            renderer.drawRect(this.x + this.width - 10, this.y + this.height / 2, 4, 4, '#FFD700');
+
+            // Bars across locked doors
+            if (this.locked) {
+                renderer.drawRect(this.x, this.y + this.height / 3, this.width, 4, '#555555');
+                renderer.drawRect(this.x, this.y + this.height * 2 / 3, this.width, 4, '#555555');
+            }
+        } else if (this.warpType === 'vine') {
+            // The top of a vine, where a climb from another area comes out
+            renderer.drawRect(this.x + this.width / 2 - 2, this.y, 4, this.height, '#2E8B57');
+            renderer.drawRect(this.x + this.width / 2 - 10, this.y + 8, 8, 6, '#3CB371');
+            renderer.drawRect(this.x + this.width / 2 + 2, this.y + 24, 8, 6, '#3CB371');
+        } else {
+            renderer.drawRect(this.x, this.y, this.width, this.height, '#2E8B57', {
+                stroke: '#1B5E20',
+                lineWidth: 2
+            });
+        }
+
+        // Render trigger area in debug mode
+        if (this.game.debug) {
+            renderer.drawRect(this.x, this.y, this.width, this.height, 'rgba(0, 0, 255, 0.3)');
+        }
+    }
+}
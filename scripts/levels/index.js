@@ -6,6 +6,7 @@
 import level1 from './level1.js';
 import level2 from './level2.js';
 import level3 from './level3.js';
+import { generateLevelFromId, parseGeneratedLevelId, getEndlessLevelId } from '../engine/levelGenerator.js';
 
 // Export all levels in an array
 const levels = [
@@ -14,13 +15,36 @@ const levels = [
     level3
 ];
 
+// Generated levels by ID, so each seed is only built once. Only the most recently used are
+// kept, so an endless run doesn't hold on to every stage it has been through.
+const MAX_GENERATED_LEVELS = 8;
+const generatedLevels = new Map();
+
 /**
  * Get level by ID
+ * Generated level IDs (seed-*, daily-*, endless-*) are built by the level generator
  * @param {string} id - Level ID to find
  * @returns {Object|null} - Level object or null if not found
  */
 export function getLevelById(id) {
-    return levels.find(level => level.id === id) || null;
+    const bundled = levels.find(level => level.id === id);
+    if (bundled) {
+        return bundled;
+    }
+
+    const level = generatedLevels.get(id) || generateLevelFromId(id);
+    if (!level) {
+        return null;
+    }
+
+    // Move the level to the back as the most recently used, evicting the oldest
+    generatedLevels.delete(id);
+    generatedLevels.set(id, level);
+    if (generatedLevels.size > MAX_GENERATED_LEVELS) {
+        generatedLevels.delete(generatedLevels.keys().next().value);
+    }
+
+    return level;
 }
 
 /**
@@ -58,6 +82,12 @@ export function getLevelIndexById(id) {
  * @returns {Object|null} - Next level object or null if current level is the last one
  */
 export function getNextLevel(currentLevelId) {
+    // Endless runs go on to the next generated stage
+    const generated = parseGeneratedLevelId(currentLevelId);
+    if (generated && generated.stage) {
+        return getLevelById(getEndlessLevelId(generated.runSeed, generated.stage + 1));
+    }
+
     const currentIndex = getLevelIndexById(currentLevelId);
     if (currentIndex === -1 || currentIndex === levels.length - 1) {
         return null;
@@ -78,5 +108,34 @@ export function getPreviousLevel(currentLevelId) {
     return levels[currentIndex - 1];
 }
 
+// Listeners notified when a level module is hot-reloaded
+const updateListeners = [];
+
+/**
+ * Listen for level modules being replaced by the dev server
+ * @param {Function} listener - Called with (newLevel, oldLevel, index)
+ */
+export function onLevelUpdate(listener) {
+    if (!updateListeners.includes(listener)) {
+        updateListeners.push(listener);
+    }
+}
+
+// Swap in edited level modules without reloading the page (Vite dev server only)
+if (import.meta.hot) {
+    import.meta.hot.accept(['./level1.js', './level2.js', './level3.js'], modules => {
+        modules.forEach((module, index) => {
+            // Modules that didn't change are undefined
+            if (!module) return;
+
+            const oldLevel = levels[index];
+            levels[index] = module.default;
+
+            console.log(`Level ${module.default.id} updated`);
+            updateListeners.forEach(listener => listener(module.default, oldLevel, index));
+        });
+    });
+}
+
 // Export default levels array
 export default levels;
\ No newline at end of file
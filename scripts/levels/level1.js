@@ -13,6 +13,14 @@ export default {
     theme: "day",  // Day theme
     music: "music-level1",  // Background music
     
+    // Leaves blowing across the plains
+    weather: {
+        wind: 15,
+        layers: [
+            { type: "leaves", density: 0.6 }
+        ]
+    },
+    
     // Background layers for parallax scrolling
     backgrounds: [
         {
@@ -49,6 +57,11 @@ export default {
                 { type: "ground", x: 1328, y: 416, width: 640, height: 64 },  // Third platform
                 { type: "ground", x: 2048, y: 416, width: 1152, height: 64 },  // Final platform
                 
+                // A hill to run over near the start, gentle on the way up and steep on the way down
+                { type: "slope", x: 192, y: 384, width: 64, height: 32 },
+                { type: "ground", x: 256, y: 384, width: 64, height: 32 },
+                { type: "slope", x: 320, y: 384, width: 32, height: 32, direction: "down" },
+                
                 // Elevated platforms
                 { type: "platform", x: 400, y: 320, width: 128, height: 32 },
                 { type: "platform", x: 592, y: 256, width: 96, height: 32 },
@@ -59,14 +72,18 @@ export default {
                 { type: "platform", x: 1680, y: 256, width: 128, height: 32 },
                 { type: "platform", x: 1872, y: 320, width: 96, height: 32 },
                 
+                // Springboard up to the star block
+                { type: "platform", x: 1632, y: 400, width: 32, height: 16, material: "springboard" },
+                
                 // Moving platforms
                 { type: "movingPlatform", x: 800, y: 350, width: 64, height: 16, moveX: 64, moveY: 0, speed: 1 },
                 { type: "movingPlatform", x: 1264, y: 350, width: 64, height: 16, moveX: 0, moveY: 64, speed: 1 },
                 { type: "movingPlatform", x: 1968, y: 300, width: 64, height: 16, moveX: 0, moveY: 80, speed: 1.5 },
                 
                 // Blocks
-                { type: "block", x: 480, y: 256, width: 32, height: 32 },
-                { type: "block", x: 512, y: 256, width: 32, height: 32 },
+                { type: "brick", x: 448, y: 256, width: 32, height: 32 },
+                { type: "brick", x: 480, y: 256, width: 32, height: 32, contains: "coins", coinTime: 4 },
+                { type: "brick", x: 512, y: 256, width: 32, height: 32 },
                 { type: "block", x: 1104, y: 256, width: 32, height: 32, contains: "coin" },
                 { type: "block", x: 1136, y: 256, width: 32, height: 32, contains: "mushroom" },
                 { type: "block", x: 1168, y: 256, width: 32, height: 32, contains: "coin" },
@@ -78,7 +95,14 @@ export default {
                 // Hidden blocks
                 { type: "hiddenBlock", x: 544, y: 256, width: 32, height: 32, contains: "1up" },
                 { type: "hiddenBlock", x: 1616, y: 256, width: 32, height: 32, contains: "coin" },
-                { type: "hiddenBlock", x: 2400, y: 320, width: 32, height: 32, contains: "mushroom" }
+                { type: "hiddenBlock", x: 2400, y: 320, width: 32, height: 32, contains: "mushroom" },
+                
+                // Vine up to the sky bonus area
+                { type: "block", x: 2560, y: 256, width: 32, height: 32, contains: "vine", targetArea: "sky", targetWarp: "sky-entry" },
+                
+                // Pipes
+                { type: "ground", x: 2688, y: 352, width: 64, height: 64 },
+                { type: "ground", x: 2848, y: 352, width: 64, height: 64 }
             ]
         }
     ],
@@ -123,7 +147,93 @@ export default {
         // Checkpoint
         { type: "checkpoint", x: 1600, y: 352, id: "checkpoint1" },
         
+        // Warp pipes
+        { type: "warp", x: 2688, y: 352, id: "bonus-pipe", warpType: "pipe", direction: "down", targetArea: "bonus", targetWarp: "bonus-entry" },
+        { type: "warp", x: 2848, y: 352, id: "bonus-exit", warpType: "pipe", direction: "down" },
+        
         // Goal
         { type: "goal", x: 3000, y: 320, goalType: "flag" }
+    ],
+    
+    // Sub-areas reached through warps
+    areas: [
+        {
+            id: "bonus",  // Underground coin room
+            width: 640,
+            height: 480,
+            theme: "cave",
+            music: "music-underground",
+            backgrounds: [],
+            tileLayers: [
+                {
+                    name: "ground",
+                    tiles: [
+                        { type: "ground", x: 0, y: 416, width: 640, height: 64 },
+                        { type: "ground", x: 32, y: 352, width: 64, height: 64 }  // Entry pipe
+                    ]
+                }
+            ],
+            entities: [
+                // Coins
+                { type: "coin", x: 192, y: 280, value: 1 },
+                { type: "coin", x: 240, y: 280, value: 1 },
+                { type: "coin", x: 288, y: 280, value: 1 },
+                { type: "coin", x: 336, y: 280, value: 1 },
+                { type: "coin", x: 384, y: 280, value: 1 },
+                { type: "coin", x: 192, y: 336, value: 1 },
+                { type: "coin", x: 240, y: 336, value: 1 },
+                { type: "coin", x: 288, y: 336, value: 1 },
+                { type: "coin", x: 336, y: 336, value: 1 },
+                { type: "coin", x: 384, y: 336, value: 1 },
+                
+                // Warp pipes
+                { type: "warp", x: 32, y: 352, id: "bonus-entry", warpType: "pipe", direction: "down" },
+                { type: "warp", x: 576, y: 352, id: "bonus-return", warpType: "pipe", direction: "right", targetArea: "main", targetWarp: "bonus-exit" }
+            ]
+        },
+        {
+            id: "sky",  // Coin clouds at the top of the vine
+            width: 1280,
+            height: 480,
+            backgrounds: [],
+            
+            // A storm up in the clouds; the rain makes the cloud floor slippery
+            weather: {
+                wind: -30,
+                layers: [
+                    { type: "rain" },
+                    { type: "fog", density: 0.4 },
+                    { type: "lightning", interval: 6 }
+                ]
+            },
+            tileLayers: [
+                {
+                    name: "clouds",
+                    tiles: [
+                        { type: "platform", x: 0, y: 416, width: 1280, height: 64, oneWay: false },  // Cloud floor
+                        { type: "ground", x: 1216, y: 352, width: 64, height: 64 }  // Return pipe
+                    ]
+                }
+            ],
+            entities: [
+                // Coins
+                { type: "coin", x: 256, y: 376, value: 1 },
+                { type: "coin", x: 320, y: 376, value: 1 },
+                { type: "coin", x: 384, y: 376, value: 1 },
+                { type: "coin", x: 448, y: 376, value: 1 },
+                { type: "coin", x: 512, y: 376, value: 1 },
+                { type: "coin", x: 576, y: 376, value: 1 },
+                { type: "coin", x: 640, y: 376, value: 1 },
+                { type: "coin", x: 704, y: 376, value: 1 },
+                { type: "coin", x: 768, y: 376, value: 1 },
+                { type: "coin", x: 832, y: 376, value: 1 },
+                { type: "coin", x: 896, y: 376, value: 1 },
+                { type: "coin", x: 960, y: 376, value: 1 },
+                
+                // Warps
+                { type: "warp", x: 64, y: 416, id: "sky-entry", warpType: "vine", direction: "down" },
+                { type: "warp", x: 1216, y: 352, id: "sky-return", warpType: "pipe", direction: "right", targetArea: "main", targetWarp: "bonus-exit" }
+            ]
+        }
     ]
 };
\ No newline at end of file
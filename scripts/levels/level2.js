@@ -10,9 +10,19 @@ export default {
     height: 480,  // Level height in pixels
     playerStart: { x: 100, y: 350 },  // Starting position
     timeLimit: 300,  // Time limit in seconds
-    theme: "night",  // Night theme for underground
+    theme: "cave",  // Dark cave theme for underground
     music: "music-level2",  // Background music
     
+    // The camera scrolls through the caverns on its own, speeding up past the checkpoint
+    autoScroll: {
+        speed: 60,
+        waypoints: [
+            { x: 0, y: 0 },
+            { x: 1600, y: 0, speed: 90 },
+            { x: 2560, y: 0 }
+        ]
+    },
+    
     // Background layers for parallax scrolling
     backgrounds: [
         {
@@ -78,6 +88,10 @@ export default {
                 { type: "platform", x: 2496, y: 256, width: 96, height: 32 },
                 { type: "platform", x: 2752, y: 320, width: 96, height: 32 },
                 
+                // Ledges up to the secret exit
+                { type: "platform", x: 3136, y: 320, width: 96, height: 32 },
+                { type: "platform", x: 3296, y: 224, width: 128, height: 32 },
+                
                 // Moving platforms
                 { type: "movingPlatform", x: 640, y: 350, width: 64, height: 16, moveX: 0, moveY: 64, speed: 1 },
                 { type: "movingPlatform", x: 1088, y: 350, width: 64, height: 16, moveX: 0, moveY: 64, speed: 1 },
@@ -153,10 +167,19 @@ export default {
         { type: "enemy", x: 2000, y: 384, enemyType: "piranha" },
         { type: "enemy", x: 3000, y: 384, enemyType: "piranha" },
         
+        // Torches lighting the way
+        { type: "torch", x: 320, y: 352 },
+        { type: "torch", x: 960, y: 352 },
+        { type: "torch", x: 1600, y: 352 },
+        { type: "torch", x: 2240, y: 352 },
+        { type: "torch", x: 2880, y: 352 },
+        { type: "torch", x: 3520, y: 352 },
+        
         // Checkpoint
         { type: "checkpoint", x: 1920, y: 352, id: "checkpoint1" },
         
-        // Goal
-        { type: "goal", x: 3700, y: 320, goalType: "flag" }
+        // Goals
+        { type: "goal", x: 3700, y: 320, goalType: "flag" },
+        { type: "goal", x: 3344, y: 128, goalType: "flag", exit: "secret" }  // Opens the path to world 2
     ]
 };
\ No newline at end of file
@@ -10,7 +10,7 @@ export default {
     height: 480,  // Level height in pixels
     playerStart: { x: 100, y: 350 },  // Starting position
     timeLimit: 400,  // Time limit in seconds
-    theme: "night",  // Night theme for castle
+    theme: "castle",  // Dark castle theme
     music: "music-boss",  // Boss music
     
     // Background layers for parallax scrolling
@@ -52,19 +52,23 @@ export default {
                 { type: "ground", x: 256, y: 320, width: 64, height: 96 },  // Obstacle 1
                 { type: "ground", x: 512, y: 256, width: 64, height: 160 },  // Obstacle 2
                 { type: "ground", x: 768, y: 320, width: 64, height: 96 },  // Obstacle 3
+                { type: "ladder", x: 480, y: 256, width: 32, height: 160 },  // Up obstacle 2
                 
                 // Lava pits
                 { type: "lava", x: 1024, y: 416, width: 64, height: 64 },  // Lava pit 1
                 { type: "lava", x: 1600, y: 416, width: 64, height: 64 },  // Lava pit 2
                 
+                // Spikes
+                { type: "spikes", x: 1344, y: 400, width: 64, height: 16 },
+                
                 // Boss arena platforms
                 { type: "platform", x: 1920, y: 320, width: 128, height: 32 },
                 { type: "platform", x: 2176, y: 256, width: 128, height: 32 },
                 { type: "platform", x: 2432, y: 320, width: 128, height: 32 },
                 
                 // Moving platforms in boss arena
-                { type: "movingPlatform", x: 2048, y: 256, width: 64, height: 16, moveX: 0, moveY: 64, speed: 1.5 },
-                { type: "movingPlatform", x: 2304, y: 320, width: 64, height: 16, moveX: 0, moveY: -64, speed: 1.5 },
+                { type: "movingPlatform", x: 2048, y: 256, width: 64, height: 16, moveX: 0, moveY: 64, speed: 1.5, id: "arena-lift-1", waitForTrigger: true },
+                { type: "movingPlatform", x: 2304, y: 320, width: 64, height: 16, moveX: 0, moveY: -64, speed: 1.5, id: "arena-lift-2", waitForTrigger: true },
                 
                 // Blocks with power-ups
                 { type: "block", x: 384, y: 256, width: 32, height: 32, contains: "mushroom" },
@@ -119,6 +123,22 @@ export default {
         { type: "enemy", x: 800, y: 384, enemyType: "piranha" },
         { type: "enemy", x: 1300, y: 384, enemyType: "piranha" },
         
+        // Saw blade between the obstacles
+        { type: "hazard", x: 656, y: 160, width: 32, height: 32, hazardType: "saw", moveY: 160, speed: 2 },
+        
+        // Wall torches
+        { type: "torch", x: 128, y: 288 },
+        { type: "torch", x: 704, y: 288 },
+        { type: "torch", x: 1152, y: 288 },
+        { type: "torch", x: 1728, y: 288 },
+        { type: "torch", x: 2112, y: 288 },
+        { type: "torch", x: 2624, y: 288 },
+        { type: "torch", x: 2944, y: 288 },
+        
+        // Doors in and out of the tower
+        { type: "warp", x: 160, y: 352, id: "tower-door", warpType: "door", direction: "up", targetArea: "tower", targetWarp: "tower-entry" },
+        { type: "warp", x: 944, y: 352, id: "tower-exit", warpType: "door", direction: "up" },
+        
         // Checkpoint before boss
         { type: "checkpoint", x: 1600, y: 352, id: "checkpoint1" },
         
@@ -127,5 +147,103 @@ export default {
         
         // Goal after boss
         { type: "goal", x: 3000, y: 320, goalType: "castle" }
+    ],
+    
+    // Trigger zones
+    triggers: [
+        {
+            id: "boss-arena",  // Shut the player into the arena and start the lifts
+            x: 1696,
+            y: 64,
+            width: 64,
+            height: 352,
+            once: true,
+            onEnter: [
+                { type: "lockCamera", x: 1664, y: 0, width: 1472, height: 480 },
+                { type: "message", text: "The castle boss awaits!", delay: 0.5 },
+                { type: "startPlatform", target: "arena-lift-1", delay: 1 },
+                { type: "startPlatform", target: "arena-lift-2" }
+            ]
+        }
+    ],
+    
+    // Sub-areas reached through warps
+    areas: [
+        {
+            id: "tower",  // A hall leading to a tall shaft that climbs to the tower top
+            width: 2560,
+            height: 1920,
+            backgrounds: [],
+            tileLayers: [
+                {
+                    name: "ground",
+                    tiles: [
+                        // Hall
+                        { type: "ground", x: 0, y: 1856, width: 2560, height: 64 },  // Floor
+                        { type: "ground", x: 0, y: 1168, width: 1280, height: 32 },  // Ceiling
+                        { type: "ground", x: 0, y: 1200, width: 32, height: 656 },  // Left wall
+                        
+                        // Shaft walls
+                        { type: "ground", x: 1280, y: 0, width: 32, height: 1168 },
+                        { type: "ground", x: 2528, y: 0, width: 32, height: 1856 },
+                        
+                        // Climb up the shaft
+                        { type: "platform", x: 1440, y: 1760, width: 128, height: 32 },
+                        { type: "platform", x: 1664, y: 1664, width: 128, height: 32 },
+                        { type: "platform", x: 1888, y: 1568, width: 128, height: 32 },
+                        { type: "platform", x: 2112, y: 1472, width: 128, height: 32 },
+                        { type: "platform", x: 2336, y: 1376, width: 160, height: 32 },
+                        { type: "ladder", x: 2400, y: 1088, width: 32, height: 288 },
+                        { type: "platform", x: 2208, y: 1088, width: 192, height: 32 },
+                        { type: "platform", x: 1984, y: 992, width: 128, height: 32 },
+                        { type: "platform", x: 1760, y: 896, width: 128, height: 32 },
+                        { type: "platform", x: 1536, y: 800, width: 128, height: 32 },
+                        { type: "platform", x: 1344, y: 704, width: 128, height: 32 },
+                        { type: "ladder", x: 1408, y: 320, width: 32, height: 384 },
+                        
+                        // Tower top
+                        { type: "ground", x: 1440, y: 320, width: 1088, height: 32 },
+                        { type: "ground", x: 2432, y: 256, width: 64, height: 64 }  // Exit pipe
+                    ]
+                }
+            ],
+            entities: [
+                // Coins
+                { type: "coin", x: 480, y: 1800, value: 1 },
+                { type: "coin", x: 512, y: 1800, value: 1 },
+                { type: "coin", x: 544, y: 1800, value: 1 },
+                { type: "coin", x: 2240, y: 1048, value: 1 },
+                { type: "coin", x: 2272, y: 1048, value: 1 },
+                { type: "coin", x: 2304, y: 1048, value: 1 },
+                { type: "coin", x: 1792, y: 280, value: 1 },
+                { type: "coin", x: 1824, y: 280, value: 1 },
+                { type: "coin", x: 1856, y: 280, value: 1 },
+                { type: "coin", x: 1888, y: 280, value: 1 },
+                
+                // Torches
+                { type: "torch", x: 320, y: 1760 },
+                { type: "torch", x: 1152, y: 1760 },
+                { type: "torch", x: 1344, y: 1600 },
+                { type: "torch", x: 2464, y: 1248 },
+                { type: "torch", x: 1600, y: 576 },
+                { type: "torch", x: 2176, y: 256 },
+                
+                // Enemies
+                { type: "enemy", x: 640, y: 1824, enemyType: "goomba" },
+                { type: "enemy", x: 960, y: 1824, enemyType: "koopa" },
+                { type: "enemy", x: 2048, y: 288, enemyType: "goomba" },
+                
+                // Warps
+                { type: "warp", x: 64, y: 1792, id: "tower-entry", warpType: "door", direction: "up" },
+                { type: "warp", x: 2432, y: 256, id: "tower-top", warpType: "pipe", direction: "down", targetArea: "main", targetWarp: "tower-exit" }
+            ],
+            
+            // The hall scrolls sideways and the shaft straight up; they overlap where the
+            // shaft opens into the hall
+            cameraSections: [
+                { id: "hall", x: 0, y: 1200, width: 2560, height: 720 },
+                { id: "shaft", x: 1280, y: 0, width: 1280, height: 1920 }
+            ]
+        }
     ]
 }
\ No newline at end of file
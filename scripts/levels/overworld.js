@@ -0,0 +1,46 @@
+/**
+ * Overworld Map
+ * Nodes for each level and the paths walked between them on the world map
+ *
+ * A node plays the level at its world and stage. A path opens once its `from`
+ * level has been finished through `exit` (normal unless given), and can then be
+ * walked both ways. `points` are corners the path bends around on the way.
+ */
+
+export default {
+    width: 1280,
+    height: 720,
+    start: "1-1",  // Always unlocked; where a new game begins
+
+    nodes: [
+        // World 1 - Grassland
+        { id: "1-1", world: 1, stage: 1, x: 160, y: 560 },
+        { id: "1-2", world: 1, stage: 2, x: 352, y: 560 },
+        { id: "1-3", world: 1, stage: 3, x: 352, y: 384 },
+
+        // World 2 - Hills
+        { id: "2-1", world: 2, stage: 1, x: 608, y: 384 },
+        { id: "2-2", world: 2, stage: 2, x: 800, y: 384 },
+        { id: "2-3", world: 2, stage: 3, x: 800, y: 224 },
+
+        // World 3 - Castle
+        { id: "3-1", world: 3, stage: 1, x: 992, y: 224 },
+        { id: "3-2", world: 3, stage: 2, x: 992, y: 416 },
+        { id: "3-3", world: 3, stage: 3, x: 1152, y: 416, final: true }
+    ],
+
+    paths: [
+        { from: "1-1", to: "1-2" },
+        { from: "1-2", to: "1-3" },
+        { from: "1-3", to: "2-1" },
+        { from: "2-1", to: "2-2" },
+        { from: "2-2", to: "2-3" },
+        { from: "2-3", to: "3-1" },
+        { from: "3-1", to: "3-2" },
+        { from: "3-2", to: "3-3" },
+
+        // Secret exits skip ahead
+        { from: "1-2", to: "2-1", exit: "secret", points: [{ x: 608, y: 560 }] },
+        { from: "2-2", to: "3-2", exit: "secret", points: [{ x: 800, y: 512 }, { x: 992, y: 512 }] }
+    ]
+};
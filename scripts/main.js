@@ -8,7 +8,7 @@ import { AssetLoader } from '/scripts/engine/assetLoader.js';
 import { AudioManager } from '/scripts/engine/audioManager.js';
 import { InputManager } from '/scripts/engine/inputManager.js';
 import { Renderer } from '/scripts/engine/renderer.js';
-import { Physics } from '/scripts/engine/physics.js';
+import { Physics, PHYSICS_DEFAULTS } from '/scripts/engine/physics.js';
 import { EntityManager } from '/scripts/engine/entityManager.js';
 import { LevelManager } from '/scripts/engine/levelManager.js';
 import { UIManager } from '/scripts/ui/uiManager.js';
@@ -16,6 +16,13 @@ import { SaveManager } from '/scripts/engine/saveManager.js';
 import { GameManager } from '/scripts/engine/gameManager.js';
 import { CheatManager } from '/scripts/engine/cheatManager.js';
 import { ParticleSystem } from '/scripts/engine/particleSystem.js';
+import { TriggerManager } from '/scripts/engine/triggerManager.js';
+import { LevelEditor } from '/scripts/engine/levelEditor.js';
+import { OverworldMap } from '/scripts/engine/overworldMap.js';
+import { AutoScroller } from '/scripts/engine/autoScroller.js';
+import { Lighting } from '/scripts/engine/lighting.js';
+import { Weather } from '/scripts/engine/weather.js';
+import { createRandom } from '/scripts/engine/random.js';
 
 // Game configuration
 const CONFIG = {
@@ -23,10 +30,10 @@ const CONFIG = {
         width: 1280,
         height: 720
     },
-    physics: {
-        gravity: 0.5,
-        friction: 0.8,
-        terminalVelocity: 10
+    physics: PHYSICS_DEFAULTS, // Shared with the level generator, so generated jumps are makeable
+    loop: {
+        tickRate: 60, // Simulation ticks per second
+        maxTicksPerFrame: 5 // Catch-up budget; time beyond it is dropped instead of fast-forwarded
     },
     player: {
         speed: 5,
@@ -99,7 +106,17 @@ const ASSETS = {
         { id: 'sfx-1up', src: 'assets/audio/sfx/1up.mp3' },
         { id: 'sfx-fireball', src: 'assets/audio/sfx/fireball.mp3' },
         { id: 'sfx-kick', src: 'assets/audio/sfx/kick.mp3' },
-        { id: 'sfx-death', src: 'assets/audio/sfx/death.mp3' }
+        { id: 'sfx-death', src: 'assets/audio/sfx/death.mp3' },
+        { id: 'sfx-spike', src: 'assets/audio/sfx/spike.mp3' },
+        { id: 'sfx-lava', src: 'assets/audio/sfx/lava.mp3' },
+        { id: 'sfx-saw', src: 'assets/audio/sfx/saw.mp3' },
+        { id: 'sfx-fall', src: 'assets/audio/sfx/fall.mp3' },
+        { id: 'sfx-splash', src: 'assets/audio/sfx/splash.mp3' },
+        { id: 'sfx-swim', src: 'assets/audio/sfx/swim.mp3' },
+        { id: 'sfx-spring', src: 'assets/audio/sfx/spring.mp3' },
+        { id: 'sfx-vine', src: 'assets/audio/sfx/vine.mp3' },
+        { id: 'sfx-crush', src: 'assets/audio/sfx/crush.mp3' },
+        { id: 'sfx-thunder', src: 'assets/audio/sfx/thunder.mp3' }
     ],
     fonts: [
         { id: 'pixel-font', src: 'assets/fonts/pixel.ttf' }
@@ -131,13 +148,29 @@ class Game {
         this.inputManager = new InputManager();
         this.renderer = new Renderer(this.canvas, this.ctx);
         this.physics = new Physics(CONFIG.physics);
-        this.entityManager = new EntityManager();
-        this.levelManager = new LevelManager();
+        this.entityManager = new EntityManager(this);
+        this.levelManager = new LevelManager(this);
         this.uiManager = new UIManager();
         this.saveManager = new SaveManager();
         this.gameManager = new GameManager(this);
         this.cheatManager = new CheatManager(this);
         this.particleSystem = new ParticleSystem(this);
+        this.triggerManager = new TriggerManager(this);
+        this.levelEditor = new LevelEditor(this);
+        this.overworld = new OverworldMap(this);
+        this.autoScroller = new AutoScroller(this);
+        this.lighting = new Lighting(this);
+        this.weather = new Weather(this);
+        
+        // Random numbers for the simulation, reseeded for each level so runs replay exactly
+        this.random = createRandom(CONFIG.game.initialLevel);
+        
+        // Fixed-step simulation
+        this.tickDuration = 1 / CONFIG.loop.tickRate; // Seconds per tick
+        this.maxTicksPerFrame = CONFIG.loop.maxTicksPerFrame;
+        this.accumulator = 0; // Frame time not yet simulated
+        this.tick = 0; // Ticks simulated so far
+        this.timers = []; // Scheduled callbacks, { tick, callback }, soonest first
         
         // Game state
         this.isLoading = true;
@@ -150,6 +183,9 @@ class Game {
         this.loadAssets = this.loadAssets.bind(this);
         this.start = this.start.bind(this);
         this.update = this.update.bind(this);
+        this.step = this.step.bind(this);
+        this.schedule = this.schedule.bind(this);
+        this.clearTimers = this.clearTimers.bind(this);
         this.render = this.render.bind(this);
         this.gameLoop = this.gameLoop.bind(this);
         this.resize = this.resize.bind(this);
@@ -158,6 +194,11 @@ class Game {
         this.init();
     }
     
+    // Debug drawing and checks, on with the renderer's debug view or the debug cheat
+    get debug() {
+        return this.renderer.debugMode || this.cheatManager.isActive('debugMode');
+    }
+    
     // Initialize the game
     init() {
         console.log('Initializing Super Arya World...');
@@ -174,6 +215,12 @@ class Game {
         // Initialize cheat manager
         this.cheatManager.init();
         
+        // Initialize level editor
+        this.levelEditor.init();
+        
+        // Initialize overworld map
+        this.overworld.init();
+        
         // Load saved game data
         this.saveManager.loadGameData();
         
@@ -277,20 +324,68 @@ class Game {
 
     // Main game loop
     gameLoop(timestamp) {
-        // Calculate delta time
-        const deltaTime = timestamp - this.lastTime;
+        // Calculate frame time in seconds, capped at the catch-up budget so a stalled
+        // or background tab doesn't make everything jump ahead
+        const maxFrameTime = this.tickDuration * this.maxTicksPerFrame;
+        const frameTime = this.lastTime ? Math.min((timestamp - this.lastTime) / 1000, maxFrameTime) : 0;
         this.lastTime = timestamp;
         
         // Update and render the game
         if (this.isRunning && !this.isPaused) {
-            this.update(deltaTime / 1000); // Convert to seconds
+            // Run whole ticks for the time that has passed, carrying the remainder over
+            this.accumulator += frameTime;
+            
+            while (this.accumulator >= this.tickDuration) {
+                this.step();
+                this.accumulator -= this.tickDuration;
+            }
+        } else if (this.levelEditor.active) {
+            this.levelEditor.update(frameTime);
+        } else if (this.overworld.active) {
+            this.overworld.update(frameTime);
         }
         
-        this.render();
+        // Draw between the last two ticks by the fraction of a tick left over
+        this.render(this.accumulator / this.tickDuration);
         
         // Continue the game loop
         requestAnimationFrame(this.gameLoop);
     }
+    
+    // Advance the simulation by one fixed tick
+    step() {
+        // Remember where things were for interpolation
+        this.entityManager.savePreviousState();
+        this.renderer.savePreviousCamera();
+        
+        // Latch the input, so everything this tick sees the same presses and releases
+        this.inputManager.update();
+        
+        this.update(this.tickDuration);
+        this.tick++;
+        
+        // Run the callbacks that are due, in the order they were scheduled
+        while (this.timers.length > 0 && this.timers[0].tick <= this.tick) {
+            this.timers.shift().callback();
+        }
+    }
+    
+    // Drop every scheduled callback and count ticks from zero again
+    // Called whenever a level is built or left, so nothing it scheduled fires later
+    clearTimers() {
+        this.timers = [];
+        this.tick = 0;
+    }
+    
+    // Call a function after a delay in seconds of simulated time
+    // Use instead of setTimeout for anything that affects the game, so it happens on
+    // the same tick every run and waits while the game is paused
+    schedule(callback, delay) {
+        const tick = this.tick + Math.max(1, Math.round(delay / this.tickDuration));
+        const index = this.timers.findIndex(timer => timer.tick > tick);
+        
+        this.timers.splice(index === -1 ? this.timers.length : index, 0, { tick, callback });
+    }
 
     // Update game state
     update(deltaTime) {
@@ -306,6 +401,15 @@ class Game {
         // Update particle system
         this.particleSystem.update(deltaTime);
         
+        // Update level triggers
+        this.triggerManager.update(deltaTime);
+        
+        // Scroll the camera in auto-scrolling levels
+        this.autoScroller.update(deltaTime);
+        
+        // Keep the weather moving with the camera
+        this.weather.update(deltaTime);
+        
         // Update level
         this.levelManager.update(deltaTime);
         
@@ -314,20 +418,42 @@ class Game {
     }
 
     // Render the game
-    render() {
+    // alpha: how far the frame is between the previous and current tick, 0 to 1
+    render(alpha = 1) {
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Render the game
         if (this.isRunning) {
+            // Draw the world from between the last two ticks
+            this.renderer.beginInterpolation(alpha, (this.tick - 1 + alpha) * this.tickDuration);
+            
             // Render level
             this.levelManager.render(this.renderer);
             
             // Render entities
-            this.entityManager.render(this.renderer);
+            this.entityManager.render(alpha);
             
             // Render particles
             this.particleSystem.render(this.renderer);
+            
+            // Tint and light the scene for the level's theme
+            this.renderer.drawTint();
+            this.lighting.render(this.renderer);
+            
+            // Draw fog and lightning flashes
+            this.weather.render(this.renderer);
+            
+            // Render trigger timers
+            this.triggerManager.render(this.renderer);
+            
+            this.renderer.endInterpolation();
+        } else if (this.levelEditor.active) {
+            // Render the level being edited
+            this.levelEditor.render(this.renderer);
+        } else if (this.overworld.active) {
+            // Render the world map
+            this.overworld.render(this.renderer);
         }
         
         // Render UI
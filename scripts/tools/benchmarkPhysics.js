@@ -0,0 +1,137 @@
+/**
+ * Benchmark Physics
+ * Node script that runs the physics on a stress level and reports broadphase pair
+ * counts and update times
+ *
+ * The stress level is a long generated stage with thousands of dynamic colliders
+ * dropped over it and a scattering of static blocks. Everything is seeded, so runs
+ * are comparable between changes.
+ *
+ * Usage:
+ *   npm run benchmark-physics                                Run with 2,000 colliders for 600 updates
+ *   npm run benchmark-physics -- --colliders 5000 --frames 300
+ */
+
+import { performance } from 'node:perf_hooks';
+import { Physics } from '../engine/physics.js';
+import { TileCollisionMap } from '../engine/tileCollisionMap.js';
+import { normalizeLevel } from '../engine/levelParser.js';
+import { generateLevel } from '../engine/levelGenerator.js';
+import { createRandom } from '../engine/random.js';
+
+const BENCHMARK_DEFAULTS = {
+    colliders: 2000, // Dynamic colliders
+    blocks: 200, // Static colliders
+    frames: 600, // Updates to run, 10 seconds at 60fps
+    length: 12800, // Level width in pixels
+    seed: 'benchmark'
+};
+
+const DELTA_TIME = 1 / 60;
+
+/**
+ * Read options from the command line
+ * @param {Array} args - Command line arguments
+ * @returns {Object} - Benchmark options, see BENCHMARK_DEFAULTS
+ */
+function parseArgs(args) {
+    const options = { ...BENCHMARK_DEFAULTS };
+
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+
+        if (!(name in options)) {
+            throw new Error(`Unknown option "${args[i]}"`);
+        }
+
+        options[name] = name === 'seed' ? args[i + 1] : Number(args[i + 1]);
+    }
+
+    return options;
+}
+
+/**
+ * Build the stress level
+ * @param {Object} options - Benchmark options
+ * @returns {Physics} - Physics with the level's geometry and colliders added
+ */
+function createStressLevel(options) {
+    const level = normalizeLevel(generateLevel({ seed: options.seed, length: options.length }));
+    const random = createRandom(options.seed);
+    const physics = new Physics({ gravity: 900, terminalVelocity: 600 });
+    const { PLATFORM, ENEMY } = physics.layers;
+
+    physics.setTileMap(TileCollisionMap.fromLevel(level));
+
+    for (let i = 0; i < options.blocks; i++) {
+        physics.addCollider({
+            x: random.range(0, level.width - 32),
+            y: random.range(level.height / 3, level.height - 96),
+            width: 32,
+            height: 32,
+            isStatic: true,
+            collisionLayer: PLATFORM
+        });
+    }
+
+    for (let i = 0; i < options.colliders; i++) {
+        physics.addCollider({
+            x: random.range(0, level.width - 32),
+            y: random.range(0, level.height / 2),
+            width: 32,
+            height: 32,
+            velocityX: random.range(-120, 120),
+            collisionLayer: ENEMY
+        });
+    }
+
+    return physics;
+}
+
+/**
+ * Get the pair count of the old all-pairs loop for the same colliders
+ * Every dynamic collider was tested against every other one and twice against every
+ * static one, once for collisions and once for the grounded check
+ * @param {Physics} physics - Physics with the stress level
+ * @returns {number} - Pairs per update
+ */
+function getAllPairsCount(physics) {
+    const dynamicCount = physics.dynamicColliders.length;
+    const staticCount = physics.staticColliders.length;
+
+    return dynamicCount * (dynamicCount - 1) + dynamicCount * staticCount * 2;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const physics = createStressLevel(options);
+    const times = [];
+    let pairs = 0;
+    let checks = 0;
+
+    for (let frame = 0; frame < options.frames; frame++) {
+        const start = performance.now();
+        physics.update(DELTA_TIME);
+        times.push(performance.now() - start);
+
+        pairs += physics.stats.pairs;
+        checks += physics.stats.checks;
+    }
+
+    times.sort((a, b) => a - b);
+    const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+    const percentile = times[Math.min(times.length - 1, Math.floor(times.length * 0.95))];
+    const format = value => Math.round(value).toLocaleString('en-US');
+
+    console.log(`${format(options.colliders)} dynamic and ${format(options.blocks)} static colliders, ${format(options.frames)} updates`);
+    console.log(`pairs per update:   ${format(pairs / options.frames)} (all-pairs would test ${format(getAllPairsCount(physics))})`);
+    console.log(`checks per update:  ${format(checks / options.frames)}`);
+    console.log(`update time:        ${average.toFixed(2)}ms average, ${percentile.toFixed(2)}ms 95th percentile, ${times[times.length - 1].toFixed(2)}ms worst`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Failed to run the physics benchmark:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,64 @@
+/**
+ * Validate Levels
+ * Node script that checks levels against the level schema
+ *
+ * Usage:
+ *   npm run validate-levels                     Validate the bundled levels and Tiled maps
+ *   npm run validate-levels -- path/to/level.js Validate level modules or Tiled JSON maps
+ *
+ * Exits with code 1 if any level has errors.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import levels from '../levels/index.js';
+import { validateLevels, formatIssue } from '../engine/levelValidator.js';
+
+const TILED_DIR = fileURLToPath(new URL('../levels/tiled/', import.meta.url));
+
+/**
+ * Load a level file
+ * @param {string} file - Path to a level module (.js) or Tiled JSON map (.json)
+ * @returns {Promise<Object>} - Level data
+ */
+async function loadLevelFile(file) {
+    const path = resolve(file);
+
+    if (path.endsWith('.json')) {
+        return JSON.parse(await readFile(path, 'utf8'));
+    }
+
+    const module = await import(pathToFileURL(path).href);
+    return module.default;
+}
+
+/**
+ * Load the bundled Tiled JSON maps
+ * @returns {Promise<Array>} - Level data for each map
+ */
+async function loadTiledLevels() {
+    const files = (await readdir(TILED_DIR)).filter(file => file.endsWith('.json')).sort();
+    return Promise.all(files.map(file => loadLevelFile(join(TILED_DIR, file))));
+}
+
+async function main() {
+    const files = process.argv.slice(2);
+    const levelData = files.length > 0 ?
+        await Promise.all(files.map(loadLevelFile)) :
+        [...levels, ...await loadTiledLevels()];
+
+    const result = validateLevels(levelData);
+
+    result.warnings.forEach(issue => console.warn(`warning  ${formatIssue(issue)}`));
+    result.errors.forEach(issue => console.error(`error    ${formatIssue(issue)}`));
+
+    console.log(`${levelData.length} level(s) checked: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+
+    process.exitCode = result.valid ? 0 : 1;
+}
+
+main().catch(error => {
+    console.error('Failed to validate levels:', error);
+    process.exitCode = 1;
+});